@@ -10,9 +10,55 @@ import { fileURLToPath } from "url";
 
 import {
   findEvents,
+  searchEvents,
   getEventById,
+  getStoredRows,
   invalidateEventsCache,
+  applyWebhookPayload,
+  syncEvents,
+  getSyncStatus,
+  listVenues,
+  getVenue,
+  getCatalogueVersion,
+  onEventsInvalidated,
 } from "./lib/events.js";
+import { parseEventQuery, applyEventQuery } from "./lib/filters.js";
+import { extractJsonLdNodes, isEventNode, placeName } from "./lib/sources/jsonld.js";
+import { describeEventDate, parseEventDate, siteTimezone } from "./lib/dates.js";
+import { isRecurring, upcomingOccurrences } from "./lib/recurrence.js";
+import { resolveVenueId, loadVenues } from "./lib/venues.js";
+import { detectPlace, resolvePlace, nearby } from "./lib/geo.js";
+import { detectTimeframe, describeRange } from "./lib/timeframe.js";
+import { loadCategories, detectCategories, rankByCategories, unscored } from "./lib/categories.js";
+import { EVENT_TOOLS, runEventTool } from "./lib/tools.js";
+import { verifyAnswer, logViolations, recentViolations, publicVerification } from "./lib/guard.js";
+import { loadPrompts, detectIntent, namedVenue, contextLines, buildPrompt, publicTemplate } from "./lib/prompts.js";
+import { answerKey, getAnswer, putAnswer, clearAnswerCache, answerCacheStats } from "./lib/answercache.js";
+import { resolveLocale, canonicalize, intlLocale, languageName, t } from "./lib/i18n.js";
+import { logQuery, queryReport } from "./lib/analytics.js";
+import { tokenize } from "./lib/search.js";
+import { toIcs } from "./lib/ical.js";
+import { toSchemaEvent, toSchemaItemList } from "./lib/schema.js";
+import { eventsToCsv, planImport, applyImport, publicPlan } from "./lib/importer.js";
+import {
+  openSession,
+  getSession,
+  endSession,
+  addMessage,
+  rememberHits,
+  setFocus,
+  historyForLLM,
+  resolveTurn,
+} from "./lib/sessions.js";
+import {
+  FEED_FORMATS,
+  renderFeed,
+  cachedFeed,
+  clearFeedCache,
+  eventFeedItem,
+  postFeedItem,
+  tagUri,
+} from "./lib/feeds.js";
 
 // ──────────────────────────────────────────────────────────────
 // Env setup
@@ -61,6 +107,14 @@ function verifyWebhook(req) {
   const hdr = req.get("X-Webhook-Secret") || "";
   return WEBHOOK_SECRET && hdr === WEBHOOK_SECRET;
 }
+// Admin routes (data changes, review logs): Authorization: Bearer <ADMIN_TOKEN> (or X-Admin-Token)
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN || "";
+  if (!token) return res.status(503).json({ ok: false, error: "ADMIN_TOKEN not set" });
+  const hdr = req.get("X-Admin-Token") || (req.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+  if (hdr !== token) return res.status(401).json({ ok: false, error: "unauthorized" });
+  next();
+}
 const recent = new Map();
 function shouldDrop(key, windowMs = 2000) {
   const now = Date.now();
@@ -72,10 +126,12 @@ function shouldDrop(key, windowMs = 2000) {
   return last && now - last < windowMs;
 }
 
-// Presentation-only date shortener (does not change stored data)
-function dateShort(s) {
-  const m = String(s || "").match(/^(\d{4}-\d{2}-\d{2})/);
-  return m ? m[1] : (s || "Not specified");
+// Canonical form of a scraped/stored date (ISO instant, or YYYY-MM-DD when no
+// time is known); unparseable text is kept as-is rather than dropped.
+function canonicalDate(value, tz) {
+  const p = parseEventDate(value, { tz });
+  if (p.ts == null) return value ? String(value) : null;
+  return p.timeKnown ? p.iso : p.date;
 }
 
 // Tiny in-memory cache for page enrichment (non-persistent)
@@ -102,22 +158,37 @@ app.get("/health", (_req, res) => res.json({ ok: true }));
 // ──────────────────────────────────────────────────────────────
 /** Basic WP passthroughs kept for parity */
 // ──────────────────────────────────────────────────────────────
+// WP post → the shape /api/wp/posts returns (also feeds /feeds/posts.*)
+function mapWpPost(p) {
+  const terms = (p._embedded?.["wp:term"] || []).flat();
+  return {
+    id: p.id,
+    title: p.title?.rendered ?? "",
+    slug: p.slug,
+    date: p.date,
+    excerpt: p.excerpt?.rendered ?? "",
+    url: p.link,
+    date_gmt: p.date_gmt ?? null,
+    modified_gmt: p.modified_gmt ?? null,
+    categories: terms.filter(t => t?.taxonomy === "category").map(t => t.name).filter(Boolean),
+  };
+}
+
+// after/before: ISO dates passed through to WP's own date filter
+async function fetchWpPosts({ page = 1, per_page = 10, after = null, before = null } = {}) {
+  if (!WP) throw new Error("WP_BASE_URL not set");
+  const qs = new URLSearchParams({ page: String(page), per_page: String(per_page), _embed: "1" });
+  if (after) qs.set("after", after);
+  if (before) qs.set("before", before);
+  const raw = await fetchJSON(`${WP}/wp-json/wp/v2/posts?${qs}`);
+  return (Array.isArray(raw) ? raw : []).map(mapWpPost);
+}
+
 app.get("/api/wp/posts", async (req, res) => {
   try {
-    if (!WP) throw new Error("WP_BASE_URL not set");
     const page = Number(req.query.page || 1);
     const per_page = Math.max(1, Math.min(50, Number(req.query.per_page || 10)));
-    const raw = await fetchJSON(
-      `${WP}/wp-json/wp/v2/posts?page=${page}&per_page=${per_page}&_embed=1`
-    );
-    const posts = raw.map((p) => ({
-      id: p.id,
-      title: p.title?.rendered ?? "",
-      slug: p.slug,
-      date: p.date,
-      excerpt: p.excerpt?.rendered ?? "",
-      url: p.link,
-    }));
+    const posts = await fetchWpPosts({ page, per_page });
     res.json(posts);
   } catch (e) {
     res.status(500).json({ error: String(e) });
@@ -146,62 +217,55 @@ app.get("/api/wp/events", async (_req, res) => {
 });
 
 // ──────────────────────────────────────────────────────────────
-// Music relevance scoring (title/category/tags only)
-// ──────────────────────────────────────────────────────────────
-const NEG = [
-  "show","exhibition","fair","conference","summit","expo","workshop",
-  "race","cup","open","championship","marathon","soapbox","motorcycle",
-  "model","modelling","engineering","knitting","stitching","gardeners","question time"
-];
-const STRONG = [
-  "music","concert","gig","festival","tour","orchestra","choir","symphony",
-  "philharmonic","band","dj","edm","hip hop","hip-hop","rap","r&b","live","jazz","classical","opera"
-];
-const ACT_HINTS = [
-  "the maccabees","suede","the national","bjork","madness","vans warped tour",
-  "camden light orchestra","i’ll be your mirror","ill be your mirror","heavy metal"
-];
-
-function scoreMusic(row) {
-  const title = String(row?.title || row?.name || "").toLowerCase();
-  const cats = Array.isArray(row?.categories) ? row.categories.join(" ").toLowerCase()
-            : String(row?.category || "").toLowerCase();
-  const tags = Array.isArray(row?.tags) ? row.tags.join(" ").toLowerCase() : "";
-  const hay = `${title} ${cats} ${tags}`;
-
-  let s = 0;
-  for (const n of NEG) if (hay.includes(n)) s -= 3;
-  for (const k of STRONG) if (hay.includes(k)) s += (k === "live" ? 1 : 3);
-  for (const h of ACT_HINTS) if (title.includes(h)) s += 4;
-  const properWord = /^(?:the\s+)?[A-Z][a-z]+(?:\s+[A-Z][a-z]+){0,3}$/.test(row?.title ?? "");
-  if (properWord) s += 2;
-  return s;
-}
-const isMusicScoreEnough = (s) => s >= 3;
-
-// ──────────────────────────────────────────────────────────────
-// Strict grounding context fed to the LLM
-// ──────────────────────────────────────────────────────────────
-function buildEventsContext(q, rows) {
-  const top = rows.slice(0, 8);
-  if (!top.length) return "";
-  const lines = top.map((e) => {
-    const bits = [];
-    const title = e.title || e.name || `#${e.id}`;
-    bits.push(title);
-    bits.push(`date: ${e.date ? dateShort(e.date) : "Not specified"}`);
-    bits.push(`venue: ${e.venue ? e.venue : "Not specified"}`);
-    bits.push(`id: ${e.id}`);
-    return `- ${e.category ? `[${e.category}] ` : ""}${bits.join(" · ")}`;
+// System prompts from the template registry (lib/prompts.js, prompts/*.md)
+// ──────────────────────────────────────────────────────────────
+// The venue a venue question is about: named in it, the one the conversation
+// is on, or the top hit's — as lines for the template's {{venue}}
+async function venueFacts(message, rows, session, venues) {
+  const v = namedVenue(message, venues)
+    || (session?.venue && await getVenue(session.venue))
+    || (rows[0] && await getVenue(rows[0].venue_id || rows[0].venue));
+  if (!v) return "";
+  return [
+    v.name,
+    v.address ? `Address: ${v.address}` : null,
+    v.capacity ? `Capacity: ${v.capacity}` : null,
+    v.accessibility ? `Accessibility: ${v.accessibility}` : null,
+  ].filter(Boolean).join("\n");
+}
+
+/**
+ * chatPrompt: system prompt for a chat turn, picked by intent and locale.
+ * Returns { text, intent, template: { id, intent, locale, version } | null, missing }.
+ */
+async function chatPrompt({ message, q = "", rows = [], when = null, session = null, locale = null, tools = false }) {
+  const venues = await loadVenues();
+  const intent = tools ? "tools" : detectIntent(message, {
+    venues,
+    foundCats: detectCategories(message, await loadCategories()),
+    hits: rows,
   });
-  return `CONTEXT (authoritative events for "${q || "general"}"):
-${lines.join("\n")}
+  const vars = {
+    today: new Date().toLocaleDateString(intlLocale(locale), {
+      timeZone: siteTimezone(), weekday: "long", day: "numeric", month: "long", year: "numeric",
+    }),
+    language: languageName(locale),
+    message,
+    query: q || "general",
+    range: when?.label || "",
+    events: contextLines(rows),
+    event_count: rows.length,
+    venue: intent === "venue" ? await venueFacts(message, rows, session, venues) : "",
+  };
+  return { intent, ...(await buildPrompt({ intent, locale, vars })) };
+}
 
-RULES YOU MUST FOLLOW:
-- Only refer to events listed in CONTEXT above. Do not mention anything else.
-- If no listed event matches the request, you MUST output a section titled "Closest matches (from site)" listing up to 3 items from CONTEXT.
-- For each listed item, provide: Title — Date — Venue. If a detail is missing, write "Not specified".
-- Never invent events, dates, or venues.`;
+// Check an answer against the events it was based on (lib/guard.js); failed
+// checks are logged for review. Returns the verification.
+function guardAnswer(route, question, answer, events, session = null, prompt = null) {
+  const verification = verifyAnswer(answer, events);
+  logViolations({ route, question, answer, verification, session_id: session?.id ?? null, prompt });
+  return verification;
 }
 
 // ──────────────────────────────────────────────────────────────
@@ -210,14 +274,14 @@ RULES YOU MUST FOLLOW:
 async function augmentWithUrls(rows) {
   const out = [];
   for (const r of rows) {
-    if (r && r.url && r.date && r.venue) { out.push(r); continue; }
+    if (r && r.url && (r.date || r.start) && r.venue) { out.push({ ...r, date: r.date ?? r.start }); continue; }
     try {
       const full = await getEventById(r.id);
       if (full) {
         out.push({
           ...r,
           url: r.url ?? full.url,
-          date: r.date ?? full.date,
+          date: r.date ?? r.start ?? full.start ?? null,
           venue: r.venue ?? full.venue,
         });
       } else {
@@ -273,7 +337,7 @@ async function enrichEvents(rows) {
       ev.date = ev.date || (cached.date || null);
       ev.venue = ev.venue || (cached.venue || "Not specified");
       ev.venue = clean(ev.venue);
-      ev.date = ev.date ? String(ev.date) : null;
+      ev.date = ev.date ? canonicalDate(ev.date, ev.tz) : null;
       out.push(ev);
       continue;
     }
@@ -282,51 +346,18 @@ async function enrichEvents(rows) {
       const r = await fetch(ev.url, { redirect: "follow" });
       if (r.ok) {
         const html = await r.text();
-        const scripts = [...html.matchAll(/<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)]
-          .map(m => m[1]).filter(Boolean);
-
         let filled = false;
 
-        for (const raw of scripts) {
-          let data;
-          try {
-            const cleaned = raw.replace(/^\uFEFF/, "").trim();
-            data = JSON.parse(cleaned);
-          } catch { continue; }
-
-          const nodes = [];
-          const pushNode = (n) => { if (n && typeof n === "object") nodes.push(n); };
-          if (Array.isArray(data)) data.forEach(pushNode);
-          else {
-            pushNode(data);
-            if (data["@graph"] && Array.isArray(data["@graph"])) data["@graph"].forEach(pushNode);
-          }
-
-          for (const node of nodes) {
-            const type = node["@type"];
-            const types = Array.isArray(type) ? type : [type];
-            const isEvent = types?.some(t => String(t).toLowerCase() === "event") ||
-                            ("startDate" in node) || ("location" in node);
-            if (!isEvent) continue;
-
-            const start = node.startDate || node.start_time || node.start || null;
-
-            let venueName = "";
-            const loc = node.location;
-            if (Array.isArray(loc)) {
-              const first = loc.find(x => x && typeof x === "object" && (x.name || x.address));
-              if (first) venueName = first.name || first.address?.name || first.address?.streetAddress || first.address?.addressLocality || "";
-            } else if (loc && typeof loc === "object") {
-              venueName = loc.name || loc.address?.name || loc.address?.streetAddress || loc.address?.addressLocality || "";
-            } else if (typeof loc === "string") {
-              venueName = loc;
-            }
-
-            if (start && !ev.date) ev.date = String(start);
-            if (venueName && !ev.venue) ev.venue = venueName;
-            if (ev.date && ev.venue) { filled = true; break; }
-          }
-          if (filled) break;
+        for (const node of extractJsonLdNodes(html)) {
+          const isEvent = isEventNode(node) || ("startDate" in node) || ("location" in node);
+          if (!isEvent) continue;
+
+          const start = node.startDate || node.start_time || node.start || null;
+          const venueName = placeName(node.location);
+
+          if (start && !ev.date) ev.date = String(start);
+          if (venueName && !ev.venue) ev.venue = venueName;
+          if (ev.date && ev.venue) { filled = true; break; }
         }
 
         if (!filled) {
@@ -337,7 +368,7 @@ async function enrichEvents(rows) {
       }
     } catch {}
 
-    ev.date = ev.date ? String(ev.date) : null;
+    ev.date = ev.date ? canonicalDate(ev.date, ev.tz) : null;
     ev.venue = clean(ev.venue);
 
     // store normalized in cache for next time
@@ -351,23 +382,33 @@ async function enrichEvents(rows) {
 // ──────────────────────────────────────────────────────────────
 // Lightweight builtin classifier + helpers (used by gatherHits)
 // ──────────────────────────────────────────────────────────────
-function builtinClassifyQuery(message) {
-  const txt = String(message || "").toLowerCase();
-  const cats = ["music","comedy","family","sport","sports","dance","exhibition"];
-  const foundCats = cats.filter(c => txt.includes(c));
+function builtinClassifyQuery(message, venues = [], { dates = true, categories = [] } = {}) {
+  // place phrase ("near Camden", "within 2 miles of …") filters by distance
+  // and a date phrase ("this weekend") by start date (lib/timeframe.js),
+  // so both are taken out of the text search
+  const place = detectPlace(String(message || "").toLowerCase(), venues);
+  let txt = String(message || "").toLowerCase();
+  if (place) txt = txt.replace(place.phrase, " ").replace(/\s+/g, " ").trim();
+  const when = dates ? detectTimeframe(txt) : null;
+  if (when) txt = txt.replace(when.phrase, " ").replace(/\s+/g, " ").trim();
+  // categories asked for ("gigs", "stand-up") → scored by lib/categories.js
+  const foundCats = detectCategories(txt, categories);
+  const catTerms = [...new Set(foundCats.flatMap(c => c.terms))];
 
   const quoted = Array.from(txt.matchAll(/"([^"]+)"/g)).map(m => m[1]);
-  const junk = ["what's on","whats on","what is on","show me","events","event","about"];
+  const junk = ["what else is on","what's on","whats on","what is on","anything else","show me","events","event","about"];
   let q = quoted.length
     ? quoted.join(" ")
     : foundCats.length
-      ? foundCats.join(" ")
-      : junk.reduce((s, j) => s.replace(j, ""), txt).trim();
+      ? catTerms.join(" ")
+      : junk.reduce((s, j) => s.replace(j, ""), txt).replace(/[?!.,]+/g, " ").replace(/\s+/g, " ").trim();
 
   const parts = [];
-  if (foundCats.length) parts.push(foundCats.join(", "));
+  if (foundCats.length) parts.push(foundCats.map(c => c.category.id).join(", "));
   if (quoted.length) parts.push(`“${quoted.join(" ” “")}”`);
-  return { q, parts, foundCats };
+  if (place) parts.push(`near ${place.place.name}`);
+  if (when) parts.push(`(${when.label})`);
+  return { q, parts, foundCats, place, when };
 }
 
 function builtinBuildAnswer({ parts, total, shown }) {
@@ -380,28 +421,74 @@ function builtinBuildAnswer({ parts, total, shown }) {
 }
 
 // ──────────────────────────────────────────────────────────────
-/** LLM streaming hook (Ollama via ./lib/llm.js) */
+/** LLM streaming hook (OpenAI-compatible / Ollama / mock via ./lib/llm.js) */
 // ──────────────────────────────────────────────────────────────
 let streamChatFn = null;
+let streamChatWithToolsFn = null;
+let llmProviders = [];
 try {
   const llmMod = await import("./lib/llm.js");
   if (llmMod && typeof llmMod.streamChat === "function") {
     streamChatFn = llmMod.streamChat;
   }
+  if (llmMod && typeof llmMod.streamChatWithTools === "function") {
+    streamChatWithToolsFn = llmMod.streamChatWithTools;
+  }
+  llmProviders = llmMod?.LLM_PROVIDERS || [];
 } catch { /* optional */ }
 
+// Locale a chat turn is answered in (lib/i18n.js resolveLocale): `locale` in
+// body/query, else the language the message is written in, the session's
+// earlier turns, Accept-Language, the default.
+async function readLocale(req, src = {}, { message = "", session = null } = {}) {
+  const previous = session?.messages.findLast(m => m.role === "user" && m.locale)?.locale || null;
+  const { locale } = await resolveLocale({ explicit: src.locale, message, previous, acceptLanguage: req.get("Accept-Language") });
+  return locale;
+}
+
+// Per-request backend override ({ provider?, model? } from body or query);
+// 400 for a provider lib/llm.js doesn't know.
+function readLLMOverride(src = {}) {
+  const provider = String(src.provider || "").trim().toLowerCase() || null;
+  const model = String(src.model || "").trim() || null;
+  if (provider && !llmProviders.includes(provider)) {
+    const err = new Error(`unknown provider: ${provider} (expected one of ${llmProviders.join(", ")})`);
+    err.status = 400;
+    throw err;
+  }
+  return { provider, model };
+}
+
+// Tool-calling mode (LLM_TOOLS=1): the model looks events up itself through
+// lib/tools.js instead of getting a fixed context block.
+const toolMode = () =>
+  Boolean(streamChatWithToolsFn) && ["1","true","yes"].includes(String(process.env.LLM_TOOLS || "").toLowerCase());
+
 // ──────────────────────────────────────────────────────────────
 // Hit gathering with adaptive routing (works when q=music returns [])
 // ──────────────────────────────────────────────────────────────
-async function gatherHits(message, limit) {
-  const { q, foundCats } = builtinClassifyQuery(message);
+// Chat callers pass free text; `dates: false` keeps date words as search terms
+async function gatherHits(message, limit, { dates = true } = {}) {
+  const { q, foundCats, place, when } = builtinClassifyQuery(message, await loadVenues(), {
+    dates,
+    categories: await loadCategories(),
+  });
   const txt = message.toLowerCase();
+  // a date phrase limits hits to events starting in its range
+  const range = when ? { from: when.from, to: when.to } : {};
+  const wide = Boolean(place || when);
+
+  // With a place, keep hits inside its radius (each gets distance_km);
+  // ranked lists keep their order, plain listings go closest first.
+  const near = (rows, ranked) => {
+    if (!place) return rows;
+    const hits = nearby(rows, place.place, place.radiusKm);
+    if (!ranked) return hits;
+    const dist = new Map(hits.map(r => [r.id, r.distance_km]));
+    return rows.filter(r => dist.has(r.id)).map(r => ({ ...r, distance_km: dist.get(r.id) }));
+  };
 
-  const isMusicQuery =
-    foundCats?.includes("music") ||
-    /\bmusic|concert|gig|band|dj|edm|orchestra|choir|symphony|jazz|classical|opera|hip[ -]?hop|rap|r&b\b/.test(txt);
-
-  const pool = await findEvents({ limit: 200, q: "" });
+  const pool = await findEvents({ limit: wide ? Infinity : 200, q: "", ...range });
 
   const quoted = Array.from(txt.matchAll(/"([^"]+)"/g)).map((m) => m[1]?.toLowerCase()).filter(Boolean);
   let candidates = pool;
@@ -409,52 +496,271 @@ async function gatherHits(message, limit) {
     candidates = pool.filter((r) => quoted.some((qz) => String(r.title || "").toLowerCase().includes(qz)));
   }
 
-  if (isMusicQuery) {
-    const scored = candidates
-      .map((r) => ({ ...r, _score: scoreMusic(r) }))
-      .sort((a, b) => b._score - a._score);
-
-    const strong = scored.filter((r) => isMusicScoreEnough(r._score));
+  // A category question ranks by category score (config/categories*.json):
+  // rows reaching the category's threshold are exact matches; otherwise
+  // text search gets a go, then rows over its fuzzy threshold go out as
+  // closest matches.
+  if (foundCats.length) {
+    const scored = rankByCategories(near(candidates, true), foundCats);
+    const strong = unscored(scored.filter((r) => r._strong));
     if (strong.length) {
-      return { q: q || "music", rows: strong, shown: strong.slice(0, limit), isExact: true };
+      return { q, rows: strong, shown: strong.slice(0, limit), isExact: true, when };
     }
-    return { q: q || "music", rows: scored, shown: scored.slice(0, limit), isExact: false };
+    const text = quoted.length ? [] : near(await findEvents({ limit: wide ? Infinity : 100, q, ...range }), true);
+    if (text.length) return { q, rows: text, shown: text.slice(0, limit), isExact: true, when };
+    const close = unscored(scored.filter((r) => r._close));
+    return { q, rows: close, shown: close.slice(0, limit), isExact: !close.length, when };
   }
 
-  const rows = q ? await findEvents({ limit: 100, q }) : pool;
-  return { q, rows, shown: rows.slice(0, limit), isExact: true };
+  if (!q) {
+    const rows = near(pool, false);
+    return { q, rows, shown: rows.slice(0, limit), isExact: true, when };
+  }
+  // hybrid keyword + semantic ranking (lib/events.js searchEvents); hits that
+  // only match in meaning are closest matches rather than exact ones
+  const rows = near(await searchEvents({ limit: wide ? Infinity : 100, q, ...range }), true);
+  const isExact = !rows.length || rows.some(r => r.keyword_score > 0);
+  return { q, rows, shown: rows.slice(0, limit), isExact, when };
 }
 
 // ──────────────────────────────────────────────────────────────
 // Deterministic builders (used by SSE + JSON)
 // ──────────────────────────────────────────────────────────────
-function buildClosestMatchesAnswer(message, shown) {
-  const top = shown.slice(0, 3);
-  const header = `Couldn't find direct matches for “${message}”. Closest matches (from site):`;
-  const lines = top.map((e, i) => {
-    const title = e.title || e.name || `#${e.id}`;
-    const date = dateShort(e.date) || "Not specified";
-    const venue = e.venue || "Not specified";
-    return `${i + 1}. ${title} — ${date} — ${venue}`;
+// Answers are in the turn's locale (lib/i18n.js strings; null = default).
+// " (1.2 km away)" for hits from a place search
+function distanceNote(e, locale = null) {
+  return e.distance_km != null ? ` (${t(locale, "distance", { km: e.distance_km < 1 ? "<1" : e.distance_km.toFixed(1) })})` : "";
+}
+
+// "this weekend: Fri 2 Oct – Sun 4 Oct" when a date phrase filtered the hits
+// (other languages give just the dates: the phrase was matched in English)
+function rangeText(when, locale = null) {
+  return when ? t(locale, "range", { label: when.label, dates: describeRange(when, siteTimezone(), intlLocale(locale)) }) : "";
+}
+
+const eventDate = (e, locale) => describeEventDate(e, { locale: intlLocale(locale), unknown: t(locale, "not_specified") });
+
+// "1. Title — Sat 3 Oct 2026, 19:30 — Venue"
+function eventLine(e, i, locale) {
+  const title = e.title || e.name || `#${e.id}`;
+  const venue = e.venue || t(locale, "not_specified");
+  return `${i + 1}. ${title} — ${eventDate(e, locale)} — ${venue}${distanceNote(e, locale)}`;
+}
+
+function buildNoEventsAnswer(q, when, { message = q, locale = null } = {}) {
+  return t(locale, "no_events", { query: q, message, range: rangeText(when, locale) });
+}
+
+function buildClosestMatchesAnswer(message, shown, when = null, locale = null) {
+  const header = t(locale, "closest_matches", { message, range: rangeText(when, locale) });
+  return [header, "", ...shown.slice(0, 3).map((e, i) => eventLine(e, i, locale))].join("\n");
+}
+
+function buildFoundListAnswer(shown, when = null, locale = null) {
+  const header = t(locale, "found", { count: shown.length, range: rangeText(when, locale) });
+  return `${header}\n\n${shown.map((e, i) => eventLine(e, i, locale)).join("\n")}`;
+}
+
+// Which of the three search answers a hit list gets
+const searchKind = (hits, isExact) => (!hits.length ? "none" : isExact ? "found" : "closest");
+
+// A search answer in the asker's own words: "none" and "closest" quote the
+// message and all three name the date phrase used ("this weekend: …"), so
+// the answer cache keeps only kind and hits and this runs per request
+function buildSearchAnswer(kind, hits, { q, message, when, locale = null }) {
+  if (kind === "none") return buildNoEventsAnswer(q, when, { message, locale });
+  if (kind === "closest") return buildClosestMatchesAnswer(message, hits, when, locale);
+  return buildFoundListAnswer(hits, when, locale);
+}
+
+// The date range of a search answer, as /ai/ask returns it
+const rangeBody = (when) =>
+  when ? { from: new Date(when.from).toISOString(), to: new Date(when.to).toISOString(), label: when.label } : null;
+
+// One event, for "tell me more about the second one"
+function buildEventDetailAnswer(e, locale = null) {
+  const lines = [
+    `**${e.title || e.name || `#${e.id}`}**`,
+    t(locale, "when", { date: eventDate(e, locale) }),
+    `${t(locale, "where", { venue: e.venue || t(locale, "not_specified") })}${distanceNote(e, locale)}`,
+    e.price_from != null ? t(locale, "price_from", { price: String(e.price_from) }) : "",
+    e.availability ? t(locale, "availability", { availability: e.availability }) : "",
+    e.url ? t(locale, "tickets", { url: e.url }) : "",
+    e.content_0_text ? `\n${e.content_0_text.slice(0, 400)}${e.content_0_text.length > 400 ? "…" : ""}` : "",
+  ];
+  return lines.filter(Boolean).join("\n");
+}
+
+// Full, enriched copy of an event remembered in a chat session
+async function sessionEventDetail(ref) {
+  const full = (await getEventById(ref.id).catch(() => null)) || ref;
+  const [ev] = await enrichEvents(await augmentWithUrls([full]));
+  return ev || full;
+}
+
+// ──────────────────────────────────────────────────────────────
+/** Answer cache (lib/answercache.js) */
+// ──────────────────────────────────────────────────────────────
+onEventsInvalidated(() => clearAnswerCache());
+
+// What a search turn asks for, normalized: "What's on this weekend?" and
+// "whats on this weekend" come out the same (answer cache and analytics).
+// `q` and `when.label` are as worded, for rendering answers; keys leave them out.
+async function queryIntent(text) {
+  const { q, foundCats, place, when } = builtinClassifyQuery(text, await loadVenues(), {
+    categories: await loadCategories(),
   });
-  return [header, "", ...lines].join("\n");
+  return {
+    q,
+    terms: [...new Set(tokenize(q))].sort(),
+    categories: foundCats.map(c => c.category.id).sort(),
+    quoted: Array.from(String(text).toLowerCase().matchAll(/"([^"]+)"/g)).map(m => m[1].trim()).sort(),
+    place: place ? { name: place.place.name, lat: place.place.lat, lng: place.place.lng, km: place.radiusKm } : null,
+    when: when ? { phrase: when.phrase.toLowerCase(), from: when.from, to: when.to, label: when.label } : null,
+  };
+}
+
+// A cache entry's key material: the intent plus what else shapes the answer
+function answerIntent(route, intent, extra = {}) {
+  return {
+    route,
+    terms: intent.terms,
+    categories: intent.categories,
+    quoted: intent.quoted,
+    place: intent.place ? { lat: intent.place.lat, lng: intent.place.lng, km: intent.place.km } : null,
+    from: intent.when?.from ?? null,
+    to: intent.when?.to ?? null,
+    ...extra,
+  };
+}
+
+// A message as far as the model's answer may echo it, for keying those
+const wording = (text) => String(text).toLowerCase().replace(/['’]/g, "").replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+
+// Tee everything a chat turn streams from here on; onEnd(sse) gets it when
+// the response ends.
+function recordSSE(res, onEnd) {
+  const write = res.write.bind(res);
+  const end = res.end.bind(res);
+  let sse = "";
+  res.write = (chunk, ...rest) => {
+    sse += String(chunk);
+    return write(chunk, ...rest);
+  };
+  res.end = (...args) => {
+    res.write = write;
+    res.end = end;
+    try {
+      onEnd(sse);
+    } catch (e) {
+      console.warn("[answer-cache] could not store answer:", e.message);
+    }
+    return end(...args);
+  };
 }
 
-function buildFoundListAnswer(shown) {
-  const lines = shown.map((e, i) => {
-    const title = e.title || e.name || `#${e.id}`;
-    const date = dateShort(e.date) || "Not specified";
-    const venue = e.venue || "Not specified";
-    return `${i + 1}. ${title} — ${date} — ${venue}`;
+// A recorded model answer as a cache entry: the frames plus what replaying
+// needs. Errors and LLM fallbacks aren't kept.
+function recordedAnswer(sse) {
+  let text = null, hits = [], prompt = null;
+  for (const block of sse.split("\n\n")) {
+    const event = block.match(/^event: (.+)$/m)?.[1];
+    if (event === "error") return null;
+    let data;
+    try {
+      data = JSON.parse(block.match(/^data: (.*)$/m)?.[1]);
+    } catch {
+      continue;
+    }
+    if (data?.type === "fallback") return null;
+    if (data?.type === "hits") hits = data.hits || [];
+    if (event === "done") ({ text, prompt = null } = data);
+  }
+  return text ? { sse, text, hits, prompt } : null;
+}
+
+// Send a cached chat answer: a model's as the stream it was first sent as, a
+// search answer ({ kind, hits }) rendered for this message
+function replayAnswer(res, session, turn, entry, { message, intent, locale = null }) {
+  if (entry.kind) {
+    const text = buildSearchAnswer(entry.kind, entry.hits, { q: intent.q, message, when: intent.when, locale });
+    const sse = [
+      ...(entry.hits.length ? [`data: ${JSON.stringify({ type: "hits", hits: entry.hits })}\n\n`] : []),
+      `data: ${JSON.stringify({ token: text, type: "text", delta: text })}\n\n`,
+      `event: done\ndata: ${JSON.stringify({ text, locale })}\n\n`,
+    ].join("");
+    entry = { ...entry, text, sse };
+  }
+  rememberHits(session, entry.hits, turn.text);
+  addMessage(session, "assistant", entry.text, { ...(entry.prompt ? { prompt: entry.prompt } : {}), locale, cached: true });
+  res.write(`data: ${JSON.stringify({ type: "cache", hit: true, cached_at: new Date(entry.cached_at).toISOString(), locale })}\n\n`);
+  res.write(entry.sse);
+  res.end();
+}
+
+// ──────────────────────────────────────────────────────────────
+/** Query analytics (lib/analytics.js) */
+// ──────────────────────────────────────────────────────────────
+/**
+ * trackQuery: log this request when its response closes. Handlers fill in
+ * what they learn on the returned entry (also res.locals.query): intent
+ * (loggedIntent), hits, path, llm, fallback, cached, locale, session_id.
+ */
+function trackQuery(req, res, route, query) {
+  const started = Date.now();
+  const entry = { at: new Date(started).toISOString(), route, query, hits: null, path: null, llm: false };
+  res.locals.query = entry;
+  res.once("close", () => {
+    logQuery({ ...entry, latency_ms: Date.now() - started, status: res.statusCode, aborted: !res.writableFinished, ip: req.ip });
   });
-  return `Here ${shown.length === 1 ? "is" : "are"} ${shown.length} event${shown.length === 1 ? "" : "s"} found:\n\n${lines.join("\n")}`;
+  return entry;
 }
 
+// The intent as analytics keeps it: place by name, dates by the phrase asked
+// with ("this weekend"), not the days that meant at the time
+const loggedIntent = (intent) => ({
+  terms: intent.terms,
+  categories: intent.categories,
+  quoted: intent.quoted,
+  place: intent.place?.name || null,
+  when: intent.when?.phrase || null,
+});
+
 // ──────────────────────────────────────────────────────────────
 /** SSE Chat (POST and GET) */
 // ──────────────────────────────────────────────────────────────
-async function handleSSEChat(message, limit, res) {
-  const { q, rows, shown, isExact } = await gatherHits(message, limit);
+/**
+ * sendVerification: emit the guard's `verification` frame; returns the text
+ * to keep. When rewriting dropped every event the model named, `fallback()`
+ * (if given) supplies a deterministic answer instead.
+ */
+function sendVerification(res, v, { fallback = null } = {}) {
+  let text = v.text;
+  if (v.rewritten && v.checked > 0 && v.kept === 0 && fallback) text = fallback();
+  const frame = publicVerification({ ...v, text, rewritten: v.rewritten || text !== v.text });
+  res.write(`data: ${JSON.stringify({ type: "verification", ...frame })}\n\n`);
+  return text;
+}
+
+/**
+ * sendLLMFallback: the model failed (every backend, or mid-stream) — replace
+ * whatever was streamed with `text` and finish the turn normally.
+ */
+function sendLLMFallback(res, session, err, text, locale = null) {
+  console.warn("[chat] LLM failed, answering without it:", err?.message || err);
+  res.write(`data: ${JSON.stringify({ type: "fallback", reason: String(err?.message || err), partial: Boolean(err?.partial), text })}\n\n`);
+  addMessage(session, "assistant", text, { locale });
+  res.write("event: done\n");
+  res.write(`data: ${JSON.stringify({ text, locale })}\n\n`);
+  res.end();
+}
+
+async function handleSSEChat(message, limit, res, session, { llm = {}, locale = null } = {}) {
+  // searched in English: "conciertos esta noche" → "concerts tonight"
+  const turn = resolveTurn(canonicalize(message, locale), session, { venues: await loadVenues() });
+  addMessage(session, "user", message, { locale });
+  const track = res.locals.query || {};
+  Object.assign(track, { locale, session_id: session.id });
 
   res.setHeader("Content-Type", "text/event-stream");
   res.setHeader("Cache-Control", "no-cache, no-transform");
@@ -462,62 +768,178 @@ async function handleSSEChat(message, limit, res) {
   if (typeof res.flushHeaders === "function") res.flushHeaders();
 
   res.write("event: hello\n");
-  res.write('data: {"ok":true}\n\n');
+  res.write(`data: ${JSON.stringify({ ok: true, session_id: session.id, locale })}\n\n`);
+
+  // deterministic answers: one text frame, then done
+  const reply = (text) => {
+    addMessage(session, "assistant", text, { locale });
+    res.write(`data: ${JSON.stringify({ token: text, type: "text", delta: text })}\n\n`);
+    res.write("event: done\n");
+    res.write(`data: ${JSON.stringify({ text, locale })}\n\n`);
+    res.end();
+  };
+
+  // "tell me more about the second one": answer from the remembered hit list
+  if (turn.kind === "event") {
+    const ev = await sessionEventDetail(turn.event);
+    setFocus(session, ev);
+    Object.assign(track, { path: "event", hits: 1 });
+    res.write(`data: ${JSON.stringify({ type: "hits", hits: [ev] })}\n\n`);
+    return reply(buildEventDetailAnswer(ev, locale));
+  }
+
+  // the same question against the same catalogue gets the same answer.
+  // Search answers keep kind and hits and are worded per request; the model's
+  // free text may echo the message, so those are keyed by its wording too and
+  // ones written with earlier turns in view are only replayed, not kept.
+  // Entries are stamped after answering, as detail fetches while enriching
+  // hits move the catalogue version themselves.
+  const intent = await queryIntent(turn.text);
+  track.intent = loggedIntent(intent);
+  const keyed = { limit, locale, llm, tools: toolMode() };
+  const cacheKey = answerKey(answerIntent("chat", intent, keyed));
+  const modelKey = answerKey(answerIntent("chat", intent, { ...keyed, wording: wording(message) }));
+  const cached = getAnswer([cacheKey, modelKey], getCatalogueVersion());
+  if (cached) {
+    Object.assign(track, { path: "cache", cached: true, hits: cached.hits.length });
+    return replayAnswer(res, session, turn, cached, { message, intent, locale });
+  }
+  const firstTurn = session.messages.length <= 1;
+  let search = null; // { kind, hits } once a search answer is sent
+  recordSSE(res, (sse) => {
+    const entry = recordedAnswer(sse);
+    if (!entry) return;
+    if (search) putAnswer(cacheKey, getCatalogueVersion(), search);
+    else if (firstTurn || !entry.prompt) putAnswer(modelKey, getCatalogueVersion(), entry);
+  });
+
+  if (toolMode()) return handleToolChat(message, turn, res, session, { limit, llm, locale });
+
+  const { q, rows, shown, isExact, when } = await gatherHits(turn.text, limit);
+  Object.assign(track, { path: isExact ? "exact" : "fuzzy", hits: rows.length });
 
   // Ensure URLs and enrich before emitting
   const withUrls = await augmentWithUrls(shown);
   const enrichedShown = await enrichEvents(withUrls);
+  rememberHits(session, enrichedShown, turn.text);
 
   if (enrichedShown.length) {
     res.write(`data: ${JSON.stringify({ type: "hits", hits: enrichedShown })}\n\n`);
   }
 
+  // deterministic search answers, cached as kind + hits (see buildSearchAnswer)
+  const replySearch = (kind) => {
+    search = { kind, hits: enrichedShown };
+    reply(buildSearchAnswer(kind, enrichedShown, { q, message, when, locale }));
+  };
+
   // NEW BEHAVIOR:
   // - Strong/exact: deterministic summary (no LLM streaming)
   // - Fuzzy: stream via LLM if available; otherwise deterministic "closest matches"
-  if (isExact) {
-    const text = enrichedShown.length
-      ? buildFoundListAnswer(enrichedShown)
-      : `I couldn’t find any events${q ? ` for ${q}` : ""}.`;
-    res.write(`data: ${JSON.stringify({ token: text, type: "text", delta: text })}\n\n`);
-    res.write("event: done\n");
-    res.write(`data: ${JSON.stringify({ text })}\n\n`);
-    res.end();
-    return;
-  }
+  if (isExact) return replySearch(searchKind(enrichedShown, true));
 
   // Fuzzy path: stream if we can
   if (streamChatFn) {
-    const baseSystem = process.env.LLM_SYSTEM_PROMPT || "You are a concise assistant.";
-    const ctx = buildEventsContext(q, enrichedShown);
-    const system = ctx ? `${baseSystem}\n\n${ctx}` : baseSystem;
+    const prompt = await chatPrompt({ message: turn.text, q, rows: enrichedShown, when, session, locale });
+    track.llm = true;
 
+    // deterministic answer when the model's is unusable or never arrives
+    const fallback = () => (enrichedShown.length
+      ? buildClosestMatchesAnswer(message, enrichedShown, when, locale)
+      : buildNoEventsAnswer(q, when, { message, locale }));
     await streamChatFn({
       userText: message,
-      system,
+      // earlier turns, trimmed (see lib/sessions.js)
+      history: historyForLLM(session, { current: message }),
+      system: prompt.text,
+      ...llm,
       onToken: (t) => res.write(`data: ${JSON.stringify({ token: t, type: "text", delta: t })}\n\n`),
       onDone: (final) => {
+        const text = sendVerification(res, guardAnswer("chat", message, final, enrichedShown, session, prompt.template), { fallback });
+        addMessage(session, "assistant", text, { prompt: prompt.template, locale });
         res.write("event: done\n");
-        res.write(`data: ${JSON.stringify({ text: final })}\n\n`);
+        res.write(`data: ${JSON.stringify({ text, prompt: prompt.template, locale })}\n\n`);
         res.end();
       },
       onError: (err) => {
-        res.write("event: error\n");
-        res.write(`data: ${JSON.stringify({ error: String(err) })}\n\n`);
-        res.end();
+        track.fallback = true;
+        sendLLMFallback(res, session, err, fallback(), locale);
       },
     });
     return;
   }
 
   // Fuzzy but no LLM available → deterministic “closest matches”
-  const text = enrichedShown.length
-    ? buildClosestMatchesAnswer(message, enrichedShown)
-    : `I couldn’t find any events${q ? ` for ${q}` : ""}.`;
-  res.write(`data: ${JSON.stringify({ token: text, type: "text", delta: text })}\n\n`);
-  res.write("event: done\n");
-  res.write(`data: ${JSON.stringify({ text })}\n\n`);
-  res.end();
+  replySearch(searchKind(enrichedShown, false));
+}
+
+/**
+ * Tool-calling chat turn. Besides the usual text/hits/done frames it sends
+ *   { type: "tool_call", id, name, args }              before each lookup
+ *   { type: "tool_result", id, name, ok, count?, error? } after it
+ * and a "hits" frame for every search that found events.
+ */
+async function handleToolChat(message, turn, res, session, { limit = 10, llm = {}, locale = null } = {}) {
+  const send = (frame) => res.write(`data: ${JSON.stringify(frame)}\n\n`);
+  const prompt = await chatPrompt({ message: turn.text, session, locale, tools: true });
+  const track = res.locals.query || {};
+  Object.assign(track, { path: "tools", llm: true });
+
+  const seen = new Map(); // every event the tools returned, for the guard
+  await streamChatWithToolsFn({
+    // the message as written, unless a follow-up was filled in from earlier turns
+    userText: turn.text === canonicalize(message, locale) ? message : turn.text,
+    history: historyForLLM(session, { current: message }),
+    system: prompt.text,
+    tools: EVENT_TOOLS,
+    ...llm,
+    runTool: async (name, args) => {
+      const result = await runEventTool(name, args);
+      for (const e of [...(result.rows || []), ...(result.event ? [result.event] : [])]) seen.set(String(e.id), e);
+      if (result.rows?.length) {
+        const hits = await enrichEvents(await augmentWithUrls(result.rows));
+        rememberHits(session, hits, turn.text);
+        send({ type: "hits", hits });
+      }
+      if (result.event) setFocus(session, result.event);
+      return result;
+    },
+    onToolCall: ({ id, name, args }) => send({ type: "tool_call", id, name, args }),
+    onToolResult: ({ id, name, result }) => {
+      const c = result?.content || {};
+      send({
+        type: "tool_result", id, name, ok: !c.error,
+        ...(c.error ? { error: c.error } : {}),
+        ...(Array.isArray(c.events) ? { count: c.events.length } : {}),
+        ...(Array.isArray(c.venues) ? { count: c.venues.length } : {}),
+      });
+    },
+    onToken: (t) => send({ token: t, type: "text", delta: t }),
+    onDone: (final) => {
+      track.hits = seen.size;
+      const text = sendVerification(res, guardAnswer("chat-tools", message, final, [...seen.values()], session, prompt.template));
+      addMessage(session, "assistant", text, { prompt: prompt.template, locale });
+      res.write("event: done\n");
+      res.write(`data: ${JSON.stringify({ text, prompt: prompt.template, locale })}\n\n`);
+      res.end();
+    },
+    onError: async (err) => {
+      // no model: answer from a plain search instead
+      try {
+        const { q, rows, shown, isExact, when } = await gatherHits(turn.text, limit);
+        Object.assign(track, { fallback: true, hits: rows.length });
+        const hits = await enrichEvents(await augmentWithUrls(shown));
+        rememberHits(session, hits, turn.text);
+        if (hits.length) send({ type: "hits", hits });
+        const text = buildSearchAnswer(searchKind(hits, isExact), hits, { q, message, when, locale });
+        sendLLMFallback(res, session, err, text, locale);
+      } catch (e) {
+        res.write("event: error\n");
+        res.write(`data: ${JSON.stringify({ error: String(e) })}\n\n`);
+        res.end();
+      }
+    },
+  });
 }
 
 app.post("/ai/chat", async (req, res) => {
@@ -525,7 +947,16 @@ app.post("/ai/chat", async (req, res) => {
     const message = String(req.body?.message || "").trim();
     if (!message) return res.status(400).json({ error: "message required" });
     const limit = Math.max(1, Math.min(20, Number(req.body?.limit || 10)));
-    await handleSSEChat(message, limit, res);
+    let llm;
+    try {
+      llm = readLLMOverride(req.body);
+    } catch (e) {
+      return res.status(e.status || 400).json({ error: e.message });
+    }
+    trackQuery(req, res, "chat", message);
+    const session = openSession(req.body?.session_id);
+    const locale = await readLocale(req, req.body, { message, session });
+    await handleSSEChat(message, limit, res, session, { llm, locale });
   } catch (e) {
     if (!res.headersSent) res.status(500).json({ error: String(e) });
     else try { res.end(); } catch {}
@@ -537,7 +968,16 @@ app.get("/ai/chat", async (req, res) => {
     const message = String(req.query?.message || "").trim();
     if (!message) return res.status(400).json({ error: "message required" });
     const limit = Math.max(1, Math.min(20, Number(req.query?.limit || 10)));
-    await handleSSEChat(message, limit, res);
+    let llm;
+    try {
+      llm = readLLMOverride(req.query);
+    } catch (e) {
+      return res.status(e.status || 400).json({ error: e.message });
+    }
+    trackQuery(req, res, "chat", message);
+    const session = openSession(req.query?.session_id);
+    const locale = await readLocale(req, req.query, { message, session });
+    await handleSSEChat(message, limit, res, session, { llm, locale });
   } catch (e) {
     if (!res.headersSent) res.status(500).json({ error: String(e) });
     else try { res.end(); } catch {}
@@ -548,6 +988,8 @@ app.get("/ai/chat", async (req, res) => {
 /** AI (JSON) — /ai/ask
  * Uses the SAME adaptive path as /ai/chat:
  * gatherHits → augmentWithUrls → enrichEvents → deterministic answer
+ * Both take an optional `session_id` (returned on every reply) so follow-ups
+ * ("the second one", "what about tomorrow?") resolve against earlier turns.
  */
 // ──────────────────────────────────────────────────────────────
 app.post("/ai/ask", async (req, res) => {
@@ -556,60 +998,415 @@ app.post("/ai/ask", async (req, res) => {
     if (!message) return res.status(400).json({ error: "message required" });
     const limit = Math.max(1, Math.min(20, Number(req.body?.limit || 10)));
 
-    const { q, rows, shown, isExact } = await gatherHits(message, limit);
+    const track = trackQuery(req, res, "ask", message);
+    const session = openSession(req.body?.session_id);
+    const locale = await readLocale(req, req.body, { message, session });
+    const turn = resolveTurn(canonicalize(message, locale), session, { venues: await loadVenues() });
+    addMessage(session, "user", message, { locale });
+    Object.assign(track, { locale, session_id: session.id });
+
+    if (turn.kind === "event") {
+      const ev = await sessionEventDetail(turn.event);
+      setFocus(session, ev);
+      Object.assign(track, { path: "event", hits: 1 });
+      const answer = buildEventDetailAnswer(ev, locale);
+      addMessage(session, "assistant", answer, { locale });
+      return res.json({ ok: true, session_id: session.id, locale, q: null, isExact: true, total: 1, hits: [ev], answer });
+    }
+
+    const intent = await queryIntent(turn.text);
+    track.intent = loggedIntent(intent);
+    // cached: kind and hits; the answer is worded for this message (see buildSearchAnswer)
+    const cacheKey = answerKey(answerIntent("ask", intent, { limit, locale }));
+    const cached = getAnswer(cacheKey, getCatalogueVersion());
+    if (cached) {
+      Object.assign(track, { path: "cache", cached: true, hits: cached.total });
+      rememberHits(session, cached.hits, turn.text);
+      const { kind, hits, isExact, total } = cached;
+      const verification = guardAnswer("ask", message, buildSearchAnswer(kind, hits, { q: intent.q, message, when: intent.when, locale }), hits, session);
+      addMessage(session, "assistant", verification.text, { locale, cached: true });
+      return res.json({
+        ok: true, session_id: session.id, locale, q: intent.q, isExact, total, range: rangeBody(intent.when), hits,
+        answer: verification.text, verification: publicVerification(verification), cached: true,
+      });
+    }
+
+    const { q, rows, shown, isExact, when } = await gatherHits(turn.text, limit);
+    Object.assign(track, { path: isExact ? "exact" : "fuzzy", hits: rows.length });
     const withUrls = await augmentWithUrls(shown);
     const enrichedShown = await enrichEvents(withUrls);
+    rememberHits(session, enrichedShown, turn.text);
 
-    let answer;
-    if (enrichedShown.length === 0) {
-      answer = `I couldn’t find any events${q ? ` for ${q}` : ""}.`;
-    } else if (!isExact) {
-      answer = buildClosestMatchesAnswer(message, enrichedShown);
-    } else {
-      answer = buildFoundListAnswer(enrichedShown);
-    }
+    const kind = searchKind(enrichedShown, isExact);
+    const verification = guardAnswer("ask", message, buildSearchAnswer(kind, enrichedShown, { q, message, when, locale }), enrichedShown, session);
+    const answer = verification.text;
+    addMessage(session, "assistant", answer, { locale });
 
-    res.json({
-      ok: true,
+    const body = {
+      locale,
       q,
       isExact,
       total: rows.length,
+      // date range applied from the message ("this weekend"), if any
+      range: rangeBody(when),
       hits: enrichedShown,
       answer,
+      verification: publicVerification(verification),
+    };
+    // after enriching (see handleSSEChat)
+    putAnswer(cacheKey, getCatalogueVersion(), { kind, isExact, total: rows.length, hits: enrichedShown });
+    res.json({ ok: true, session_id: session.id, ...body, cached: false });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/** GET /admin/answer-violations?limit=N (requires ADMIN_TOKEN): recent guard failures, newest first */
+app.get("/admin/answer-violations", requireAdmin, (req, res) => {
+  const limit = Math.max(1, Math.min(200, Number(req.query.limit || 50)));
+  res.json({ ok: true, items: recentViolations(limit) });
+});
+
+/** GET /admin/answer-cache (requires ADMIN_TOKEN): hit/miss counts; DELETE empties the cache */
+app.get("/admin/answer-cache", requireAdmin, (_req, res) => {
+  res.json({ ok: true, ...answerCacheStats() });
+});
+app.delete("/admin/answer-cache", requireAdmin, (_req, res) => {
+  clearAnswerCache();
+  res.json({ ok: true, ...answerCacheStats() });
+});
+
+// Report window from ?window=30m|24h|7d|4w (default 24h, ending now) or ?from=&to= (ISO dates)
+const WINDOW_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+function readWindow(src = {}) {
+  const invalid = (message) => {
+    const err = new Error(message);
+    err.status = 400;
+    return err;
+  };
+  const to = src.to ? Date.parse(src.to) : Date.now();
+  if (Number.isNaN(to)) throw invalid(`invalid to: ${src.to}`);
+  let from;
+  if (src.from) {
+    from = Date.parse(src.from);
+    if (Number.isNaN(from)) throw invalid(`invalid from: ${src.from}`);
+  } else {
+    const m = String(src.window || "24h").trim().match(/^(\d+)\s*([mhdw])$/i);
+    if (!m) throw invalid(`invalid window: ${src.window} (e.g. 30m, 24h, 7d, 4w)`);
+    from = to - Number(m[1]) * WINDOW_MS[m[2].toLowerCase()];
+  }
+  if (from > to) throw invalid("from is after to");
+  return { from, to };
+}
+
+/**
+ * GET /admin/analytics?window=7d&route=chat|ask|events&limit=N (requires ADMIN_TOKEN):
+ * what people searched for — top and zero-result queries, categories, answer
+ * paths and p50/p95 latency over the window (see lib/analytics.js).
+ */
+app.get("/admin/analytics", requireAdmin, async (req, res) => {
+  let range;
+  try {
+    range = readWindow(req.query);
+    if (req.query.route && !["chat", "ask", "events"].includes(req.query.route)) {
+      const err = new Error(`unknown route: ${req.query.route} (expected chat, ask or events)`);
+      err.status = 400;
+      throw err;
+    }
+  } catch (e) {
+    return res.status(e.status || 400).json({ error: e.message });
+  }
+  try {
+    const limit = Math.max(1, Math.min(100, Number(req.query.limit || 20)));
+    res.json({ ok: true, ...(await queryReport({ ...range, route: req.query.route || null, limit })) });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/** GET /admin/prompts (requires ADMIN_TOKEN): prompt templates in use */
+app.get("/admin/prompts", requireAdmin, async (req, res) => {
+  try {
+    const templates = await loadPrompts();
+    res.json({
+      ok: true,
+      items: [...templates.values()].map(t => ({ ...publicTemplate(t), description: t.description, file: t.file })),
     });
   } catch (e) {
     res.status(500).json({ error: String(e) });
   }
 });
 
+/**
+ * GET /admin/prompts/preview?message=…&locale=…&tools=0|1 (requires ADMIN_TOKEN):
+ * the system prompt a chat message would get, without calling the model.
+ * `llm` says whether the message would reach the model at all (exact
+ * matches are answered directly).
+ */
+app.get("/admin/prompts/preview", requireAdmin, async (req, res) => {
+  try {
+    const message = String(req.query.message || "").trim();
+    if (!message) return res.status(400).json({ error: "message required" });
+    const tools = req.query.tools != null
+      ? ["1","true","yes"].includes(String(req.query.tools).toLowerCase())
+      : toolMode();
+    const session = req.query.session_id ? getSession(req.query.session_id) : null;
+    const locale = await readLocale(req, req.query, { message, session });
+    const text = canonicalize(message, locale);
+
+    let prompt;
+    let llm = true;
+    if (tools) {
+      prompt = await chatPrompt({ message: text, session, locale, tools: true });
+    } else {
+      const { q, shown, isExact, when } = await gatherHits(text, 10);
+      prompt = await chatPrompt({ message: text, q, rows: await enrichEvents(await augmentWithUrls(shown)), when, session, locale });
+      llm = !isExact && Boolean(streamChatFn);
+    }
+    res.json({ ok: true, locale, intent: prompt.intent, template: prompt.template, missing: prompt.missing, llm, system: prompt.text });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/** Chat session history (GET) and reset (DELETE) — see lib/sessions.js */
+app.get("/ai/sessions/:id", (req, res) => {
+  const s = getSession(req.params.id);
+  if (!s) return res.status(404).json({ error: "session not found" });
+  res.json({ session_id: s.id, messages: s.messages, hits: s.hits, search: s.search, focus: s.focus, venue: s.venue });
+});
+
+app.delete("/ai/sessions/:id", (req, res) => {
+  res.json({ ok: true, removed: endSession(req.params.id) });
+});
+
 // ──────────────────────────────────────────────────────────────
 /** Normalized Events API (used by UI and AI)
  * Now supports:
+ *   - ?q=...    -> ranked full-text search; rows carry `score` + `highlights`
  *   - ?fuzzy=1  -> use adaptive scoring (e.g., for q=music)
  *   - ?enrich=1 -> augment each result with URL/date/venue (scraped if needed)
+ *   - filters:  from, to (ISO dates), venue (name or venue id), category, max_price, availability
+ *   - geo:      lat, lng (+ radius, km or "2mi"; default 3km) or near=<place>
+ *               -> rows carry distance_km; default sort is distance
+ *   - ?sort=start|title|relevance|distance (&order=desc)
+ *   - ?envelope=1 or ?cursor=... -> { total, next, items } with an opaque
+ *     `next` cursor for the following page
  * Backward compatible: by default returns the same array as before.
  */
 
+// parseEventQuery + ?near=<place> resolved to lat/lng (400 if unknown)
+async function readEventQuery(query) {
+  const opts = parseEventQuery(query);
+  if (opts.near && opts.lat == null) {
+    const place = await resolvePlace(opts.near);
+    if (!place) {
+      const err = new Error(`unknown place: ${opts.near}`);
+      err.status = 400;
+      throw err;
+    }
+    opts.lat = place.lat;
+    opts.lng = place.lng;
+    if (query.radius == null || query.radius === "") opts.radiusKm = place.radiusKm;
+  }
+  return opts;
+}
+
 app.get("/api/events", async (req, res) => {
   try {
-    const limit = Math.max(1, Math.min(100, Number(req.query.limit || 50)));
-    const q = String(req.query.q || "");
+    let opts;
+    try {
+      opts = await readEventQuery(req.query);
+    } catch (e) {
+      return res.status(e.status || 400).json({ error: e.message });
+    }
+    const { q, limit } = opts;
     const fuzzy = ["1","true","yes"].includes(String(req.query.fuzzy || "").toLowerCase());
     const doEnrich = ["1","true","yes"].includes(String(req.query.enrich || "").toLowerCase());
+    // searches are logged; plain listings aren't
+    const track = q ? trackQuery(req, res, "events", q) : {};
 
     let rows;
+    let isExact = true;
     if (fuzzy) {
-      const { shown } = await gatherHits(q, limit);
-      rows = shown;
+      ({ rows, isExact } = await gatherHits(q, limit, { dates: false }));
     } else {
-      rows = await findEvents({ limit, q });
+      rows = await findEvents({ limit: Infinity, q });
     }
 
+    const page = applyEventQuery(rows, opts);
+    if (q) Object.assign(track, { intent: loggedIntent(await queryIntent(q)), path: isExact ? "exact" : "fuzzy", hits: page.total });
+    let items = page.items;
+
     if (doEnrich) {
-      rows = await enrichEvents(await augmentWithUrls(rows));
+      items = await enrichEvents(await augmentWithUrls(items));
+    }
+
+    if (opts.envelope) {
+      return res.json({ total: page.total, next: page.next, items });
+    }
+    res.json(items);
+  } catch (e) {
+    res.status(e.status || 500).json({ error: e.status ? e.message : String(e) });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────
+/** Calendar export (iCalendar, see lib/ical.js) */
+// ──────────────────────────────────────────────────────────────
+// UID domain: stable per install so subscribed calendars track events
+function icsDomain() {
+  if (process.env.ICS_UID_DOMAIN) return process.env.ICS_UID_DOMAIN;
+  try { return new URL(WP).hostname || "events.local"; } catch { return "events.local"; }
+}
+
+// LOCATION/GEO from the venue registry when the event links to a known venue
+async function icsLocator() {
+  const byId = new Map((await loadVenues()).map(v => [v.id, v]));
+  return (e) => {
+    const v = byId.get(e.venue_id);
+    if (!v) return null;
+    return {
+      location: [v.name, v.address].filter(Boolean).join(", "),
+      geo: Number.isFinite(v.lat) && Number.isFinite(v.lng) ? { lat: v.lat, lng: v.lng } : null,
+    };
+  };
+}
+
+function sendIcs(res, text, filename) {
+  res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+  res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+  res.setHeader("Cache-Control", "public, max-age=300");
+  res.send(text);
+}
+
+/**
+ * GET /api/events.ics
+ *   - subscribable feed; takes the same filters as /api/events
+ *     (q, from, to, venue, category, max_price, availability, near/lat/lng)
+ *   - no paging: every matching event, sorted by start
+ *   - repeating events keep their RRULE unless a from/to window expands them
+ */
+app.get("/api/events.ics", async (req, res) => {
+  try {
+    let opts;
+    try {
+      opts = await readEventQuery(req.query);
+    } catch (e) {
+      return res.status(e.status || 400).json({ error: e.message });
+    }
+    const rows = await findEvents({ limit: Infinity, q: opts.q });
+    const { items } = applyEventQuery(rows, {
+      ...opts,
+      sort: req.query.sort ? opts.sort : "start",
+      limit: Infinity,
+      cursor: null,
+    });
+    const name = process.env.ICS_CALENDAR_NAME || "Events";
+    sendIcs(res, toIcs(items, { name, domain: icsDomain(), locate: await icsLocator() }), "events.ics");
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// getEventById, with null for unknown ids (other failures still throw)
+const findEvent = (id) => getEventById(id).catch((e) => {
+  if (e.status === 404) return null;
+  throw e;
+});
+
+/** GET /api/events/:id.ics — one event (or series) as a calendar file */
+app.get("/api/events/:id.ics", async (req, res) => {
+  try {
+    const id = String(req.params.id || "").trim();
+    if (!id) return res.status(400).json({ error: "missing id" });
+    const core = await findEvent(id);
+    if (!core) return res.status(404).json({ error: "event not found" });
+    const text = toIcs([core], { name: core.title || "Event", domain: icsDomain(), locate: await icsLocator() });
+    sendIcs(res, text, `event-${String(core.id).replace(/[^\w.-]/g, "-")}.ics`);
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────
+/** Spreadsheet export (see lib/importer.js; import lives under Admin) */
+// ──────────────────────────────────────────────────────────────
+/**
+ * GET /api/events/export.csv
+ *   - same filters as /api/events; no paging, sorted by start
+ *   - one line per stored row: repeating events once (not per date), merged
+ *     duplicates one line per source
+ *   - local times plus a tz column, so the sheet can be edited and imported
+ */
+app.get("/api/events/export.csv", async (req, res) => {
+  try {
+    let opts;
+    try {
+      opts = await readEventQuery(req.query);
+    } catch (e) {
+      return res.status(e.status || 400).json({ error: e.message });
+    }
+    const rows = await findEvents({ limit: Infinity, q: opts.q });
+    const { items } = applyEventQuery(rows, {
+      ...opts,
+      sort: req.query.sort ? opts.sort : "start",
+      limit: Infinity,
+      cursor: null,
+    });
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", 'attachment; filename="events.csv"');
+    // BOM so Excel reads the file as UTF-8; stored rows, so it imports back as is
+    res.send("\uFEFF" + eventsToCsv(await getStoredRows(items)));
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────
+/** schema.org JSON-LD (see lib/schema.js) — for <script type="application/ld+json"> */
+// ──────────────────────────────────────────────────────────────
+async function schemaOptsFor() {
+  const byId = new Map((await loadVenues()).map(v => [v.id, v]));
+  return (e) => ({ venue: byId.get(e.venue_id) || null });
+}
+
+function sendJsonLd(res, doc) {
+  res.setHeader("Content-Type", "application/ld+json; charset=utf-8");
+  res.setHeader("Cache-Control", "public, max-age=300");
+  res.send(JSON.stringify(doc, null, 2));
+}
+
+/**
+ * GET /api/events.jsonld
+ *   - ItemList of schema.org Events; same filters and paging as /api/events
+ *     (default sort start; X-Next-Cursor header when there are more)
+ */
+app.get("/api/events.jsonld", async (req, res) => {
+  try {
+    let opts;
+    try {
+      opts = await readEventQuery(req.query);
+    } catch (e) {
+      return res.status(e.status || 400).json({ error: e.message });
     }
+    const rows = await findEvents({ limit: Infinity, q: opts.q });
+    const page = applyEventQuery(rows, { ...opts, sort: req.query.sort ? opts.sort : "start" });
+    if (page.next) res.setHeader("X-Next-Cursor", page.next);
+    sendJsonLd(res, toSchemaItemList(page.items, await schemaOptsFor()));
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
 
-    res.json(rows.slice(0, limit));
+/** GET /api/events/:id/jsonld — one schema.org Event */
+app.get("/api/events/:id/jsonld", async (req, res) => {
+  try {
+    const id = String(req.params.id || "").trim();
+    if (!id) return res.status(400).json({ error: "missing id" });
+    const core = await findEvent(id);
+    if (!core) return res.status(404).json({ error: "event not found" });
+    sendJsonLd(res, toSchemaEvent(core, (await schemaOptsFor())(core)));
   } catch (e) {
     res.status(500).json({ error: String(e) });
   }
@@ -624,10 +1421,25 @@ app.get("/api/events/:id", async (req, res) => {
     const base = {
       id: String((core && core.id) ?? id),
       title: (core && core.title) || "",
-      date: (core && core.date) || null,
+      date: (core && (core.start || core.date)) || null,
       venue: (core && core.venue) || "",
+      venue_id: core?.venue_id ?? null,
       url: (core && core.url) || (WP ? `${WP.replace(/\/$/, "")}/?p=${id}` : "")
     };
+    // canonical date model (see lib/dates.js)
+    const when = {
+      start: core?.start ?? null,
+      end: core?.end ?? null,
+      start_text: core?.start_text ?? null,
+      tz: core?.tz ?? null,
+      all_day: Boolean(core?.all_day),
+      time_known: core?.time_known ?? false,
+      // repeating events: the rule plus the next few dates (see lib/recurrence.js)
+      recurrence: core?.recurrence ?? null,
+      occurrences: core && isRecurring(core)
+        ? upcomingOccurrences(core, { limit: Math.min(50, Number(req.query.occurrences) || 10) })
+        : [],
+    };
 
     const doEnrich = ["1","true","yes"].includes(String(req.query.enrich || "").toLowerCase());
     const clean = (v) => (v || "").toString().replace(/[{}]+/g, "").replace(/\s+/g, " ").trim();
@@ -638,7 +1450,9 @@ app.get("/api/events/:id", async (req, res) => {
         title: base.title,
         date: base.date || null,
         venue: clean(base.venue),
-        url: base.url
+        venue_id: base.venue_id,
+        url: base.url,
+        ...when,
       });
     }
 
@@ -651,10 +1465,204 @@ app.get("/api/events/:id", async (req, res) => {
       title: one.title || base.title,
       date: one.date || null,
       venue: clean(one.venue || base.venue),
-      url: one.url || base.url
+      // a venue scraped by enrichment still links to the registry
+      venue_id: base.venue_id || (one.venue ? await resolveVenueId(clean(one.venue)) : null),
+      url: one.url || base.url,
+      ...when,
     });
   } catch (err) {
-    res.status(500).json({ error: String((err && err.message) || err) });
+    res.status(err?.status || 500).json({ error: String((err && err.message) || err) });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────
+/** Venues (registry in config/venues.json, see lib/venues.js) */
+// ──────────────────────────────────────────────────────────────
+/**
+ * GET /api/venues
+ *   - registered venues plus ad-hoc ones seen on events, with event_count
+ *   - ?q=...        -> fuzzy name filter
+ *   - ?registered=1 -> registry entries only
+ */
+app.get("/api/venues", async (req, res) => {
+  try {
+    let venues = await listVenues();
+    if (["1","true","yes"].includes(String(req.query.registered || "").toLowerCase())) {
+      venues = venues.filter(v => v.registered);
+    }
+    const q = String(req.query.q || "").trim();
+    if (q) {
+      const id = await resolveVenueId(q);
+      const needle = q.toLowerCase();
+      venues = venues.filter(v => v.id === id ||
+        [v.name, ...v.aliases, ...v.seen_as].some(n => String(n).toLowerCase().includes(needle)));
+    }
+    venues.sort((a, b) => b.event_count - a.event_count || a.name.localeCompare(b.name));
+    res.json(venues);
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+app.get("/api/venues/:id", async (req, res) => {
+  try {
+    const venue = await getVenue(req.params.id);
+    if (!venue) return res.status(404).json({ error: "venue not found" });
+    res.json(venue);
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * GET /api/venues/:id/events
+ *   - events linked to the venue (id, or a name that matches one)
+ *   - accepts the same filters/sort/paging as /api/events
+ *   - returns { venue, total, next, items }
+ */
+app.get("/api/venues/:id/events", async (req, res) => {
+  try {
+    let opts;
+    try {
+      opts = await readEventQuery({ sort: "start", ...req.query });
+    } catch (e) {
+      return res.status(e.status || 400).json({ error: e.message });
+    }
+    const venue = await getVenue(req.params.id);
+    if (!venue) return res.status(404).json({ error: "venue not found" });
+
+    const rows = (await findEvents({ limit: Infinity, q: opts.q })).filter(r => r.venue_id === venue.id);
+    const page = applyEventQuery(rows, opts);
+    res.json({ venue, total: page.total, next: page.next, items: page.items });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+// ──────────────────────────────────────────────────────────────
+/** Syndication feeds (RSS / Atom / JSON Feed, see lib/feeds.js) */
+// ──────────────────────────────────────────────────────────────
+const FEED_TTL_MS = 5 * 60 * 1000; // posts have no webhook; events also age out
+onEventsInvalidated(() => clearFeedCache());
+
+function feedSelf(req) {
+  return `${req.protocol}://${req.get("host")}${req.originalUrl}`;
+}
+
+// Validators come from the cache entry; conditional requests get a 304.
+function sendFeed(req, res, format, entry) {
+  res.setHeader("Content-Type", FEED_FORMATS[format]);
+  res.setHeader("ETag", entry.etag);
+  res.setHeader("Last-Modified", entry.lastModified);
+  res.setHeader("Cache-Control", "public, max-age=300");
+  if (req.fresh) return res.status(304).end();
+  res.send(entry.body);
+}
+
+// Sorted query string, so ?a=1&b=2 and ?b=2&a=1 share a cache entry
+function feedKey(kind, format, query) {
+  const qs = new URLSearchParams(Object.entries(query).map(([k, v]) => [k, String(v)]));
+  qs.sort();
+  return `${kind}:${format}:${qs}`;
+}
+
+/**
+ * GET /feeds/events.{rss,atom,json}
+ *   - upcoming events (from defaults to now), soonest first
+ *   - same filters as /api/events: category, from, to, venue, q, near, ...
+ *   - limit (default 50, max 100)
+ */
+app.get("/feeds/events.:format", async (req, res) => {
+  try {
+    const format = String(req.params.format);
+    if (!FEED_FORMATS[format]) return res.status(404).json({ error: "unknown feed format" });
+    let opts;
+    try {
+      opts = await readEventQuery({ sort: "start", ...req.query });
+    } catch (e) {
+      return res.status(e.status || 400).json({ error: e.message });
+    }
+    if (opts.from == null) opts.from = Date.now();
+
+    const domain = icsDomain();
+    const entry = await cachedFeed(
+      feedKey("events", format, req.query),
+      { version: getCatalogueVersion(), ttlMs: FEED_TTL_MS },
+      async () => {
+        const rows = await findEvents({ limit: Infinity, q: opts.q });
+        const { items } = applyEventQuery(rows, { ...opts, cursor: null });
+        const feedItems = items.map(e => eventFeedItem(e, {
+          domain,
+          fallbackUrl: WP ? `${WP}/?p=${encodeURIComponent(e.source_ref || e.id)}` : null,
+        }));
+        const updated = Math.max(0, ...feedItems.map(it => it.updated)) || Date.now();
+        const body = renderFeed(format, {
+          id: tagUri(domain, "feed", "events"),
+          title: process.env.FEED_EVENTS_TITLE || "Upcoming events",
+          description: "Upcoming events",
+          home: WP || feedSelf(req),
+          self: feedSelf(req),
+          updated,
+          items: feedItems,
+        });
+        return { body, updated };
+      }
+    );
+    sendFeed(req, res, format, entry);
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/**
+ * GET /feeds/posts.{rss,atom,json}
+ *   - latest WP posts (same mapping as /api/wp/posts)
+ *   - category (name, case-insensitive), from/to (publish date), limit (max 50)
+ */
+app.get("/feeds/posts.:format", async (req, res) => {
+  try {
+    const format = String(req.params.format);
+    if (!FEED_FORMATS[format]) return res.status(404).json({ error: "unknown feed format" });
+    const bound = (v, name) => {
+      if (v == null || v === "") return null;
+      const p = parseEventDate(v);
+      if (p.ts == null) throw Object.assign(new Error(`invalid ${name}: ${v}`), { status: 400 });
+      return new Date(p.ts).toISOString();
+    };
+    let after, before;
+    try {
+      after = bound(req.query.from, "from");
+      before = bound(req.query.to, "to");
+    } catch (e) {
+      return res.status(e.status || 400).json({ error: e.message });
+    }
+    const limit = Math.max(1, Math.min(50, Number(req.query.limit || 20) || 20));
+    const category = String(req.query.category || "").trim().toLowerCase();
+
+    const domain = icsDomain();
+    const entry = await cachedFeed(
+      feedKey("posts", format, req.query),
+      { ttlMs: FEED_TTL_MS },
+      async () => {
+        // filter by category after fetching, so pull a full page first
+        let posts = await fetchWpPosts({ per_page: category ? 50 : limit, after, before });
+        if (category) posts = posts.filter(p => p.categories.some(c => c.toLowerCase().includes(category)));
+        const feedItems = posts.slice(0, limit).map(p => postFeedItem(p, { domain }));
+        const updated = Math.max(0, ...feedItems.map(it => it.updated)) || Date.now();
+        const body = renderFeed(format, {
+          id: tagUri(domain, "feed", "posts"),
+          title: process.env.FEED_POSTS_TITLE || "Latest posts",
+          home: WP || feedSelf(req),
+          self: feedSelf(req),
+          updated,
+          items: feedItems,
+        });
+        return { body, updated };
+      }
+    );
+    sendFeed(req, res, format, entry);
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
   }
 });
 
@@ -667,7 +1675,70 @@ app.get("/admin/ping", (_req, res) => {
   res.json({ ok: true, emitted: "event-updated" });
 });
 
-app.post("/webhooks/wp", (req, res) => {
+/** Sync status of the persistent event store (last sync, row count, last error); requires ADMIN_TOKEN */
+app.get("/admin/sync", requireAdmin, async (_req, res) => {
+  try {
+    res.json({ ok: true, status: await getSyncStatus() });
+  } catch (e) {
+    res.status(500).json({ error: String(e) });
+  }
+});
+
+/** Force a full reconcile with WordPress (requires ADMIN_TOKEN) */
+app.post("/admin/sync", requireAdmin, async (_req, res) => {
+  try {
+    const result = await syncEvents();
+    io.emit("event-updated", { source: "admin-sync", ts: Date.now() });
+    res.json({ ...result, status: await getSyncStatus() });
+  } catch (e) {
+    res.status(502).json({ ok: false, error: String(e), status: await getSyncStatus() });
+  }
+});
+
+/**
+ * POST /admin/events/import (requires ADMIN_TOKEN)
+ *   - body: CSV (text/csv) or JSON { csv }; columns as in /api/events/export.csv
+ *   - ?dry_run=1       -> validate and report creates/updates only
+ *   - ?target=store|wp -> write into the event store (default) or WordPress
+ *   - rows with errors block the import unless ?skip_invalid=1
+ */
+app.post(
+  "/admin/events/import",
+  requireAdmin,
+  express.text({ type: ["text/csv", "text/plain", "application/csv"], limit: "5mb" }),
+  async (req, res) => {
+    try {
+      const flag = (v) => ["1","true","yes"].includes(String(v || "").toLowerCase());
+      const body = typeof req.body === "string" ? { csv: req.body } : (req.body || {});
+      const dryRun = flag(req.query.dry_run ?? body.dry_run);
+      const skipInvalid = flag(req.query.skip_invalid ?? body.skip_invalid);
+      const target = String(req.query.target || body.target || "store").toLowerCase();
+
+      let plan;
+      try {
+        plan = await planImport(String(body.csv || ""), { target });
+      } catch (e) {
+        if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+        throw e;
+      }
+      const report = publicPlan(plan);
+      if (dryRun) return res.json({ ok: true, dry_run: true, ...report });
+      if (plan.errors.length && !skipInvalid) {
+        return res.status(422).json({ ok: false, dry_run: false, error: "invalid rows; nothing imported", ...report });
+      }
+
+      const applied = await applyImport(plan);
+      if (applied.created || applied.updated) {
+        io.emit("event-updated", { source: "admin-import", ts: Date.now() });
+      }
+      res.json({ ok: !applied.failed.length, dry_run: false, ...report, applied });
+    } catch (e) {
+      res.status(500).json({ ok: false, error: String(e) });
+    }
+  }
+);
+
+app.post("/webhooks/wp", async (req, res) => {
   if (!verifyWebhook(req)) {
     return res.status(401).json({ ok: false, error: "unauthorized" });
   }
@@ -678,9 +1749,17 @@ app.post("/webhooks/wp", (req, res) => {
     return res.json({ ok: true, dropped: true });
   }
   console.log("[webhook] received:", req.body);
-  invalidateEventsCache();
+  let sync;
+  try {
+    sync = await applyWebhookPayload(req.body || {});
+  } catch (e) {
+    sync = { applied: false, error: String(e) };
+  }
+  // The payload patched the store in place; only fall back to a full resync
+  // when it could not be applied.
+  if (sync.error) invalidateEventsCache();
   io.emit("event-updated", { source: "wp-webhook", payload: req.body, ts: Date.now() });
-  res.json({ ok: true, received: req.body });
+  res.json({ ok: true, received: req.body, sync });
 });
 
 // ──────────────────────────────────────────────────────────────
@@ -0,0 +1,247 @@
+// server/lib/analytics.js
+// Query analytics for /ai/chat, /ai/ask and /api/events?q=.
+//
+// One entry per request:
+//   { at, route, query, intent, locale, hits, path, llm, fallback, cached,
+//     latency_ms, status, aborted, ip, session_id }
+// where `intent` is the normalized question (terms, categories, quoted
+// titles, place, date phrase) that groups "What's on this weekend?" with
+// "whats on this weekend", `path` how it was answered ("exact", "fuzzy",
+// "event", "tools", "cache") and `llm` whether a model was asked.
+// Entries are appended to ANALYTICS_LOG (JSON lines, default
+// server/data/query-log.jsonl) and kept in memory for reports. Anything older
+// than ANALYTICS_RETENTION_DAYS (default 30; 0 keeps everything) is dropped,
+// from the file too, at startup and then hourly; at most ANALYTICS_MAX
+// (default 50000) entries are kept.
+// IPs are never stored as is: ANALYTICS_IP "truncate" (default) zeroes the
+// host part (IPv4 /24, IPv6 /48), "hash" keeps a salted hash
+// (ANALYTICS_IP_SALT; random per process when unset) and "off" drops them.
+// ANALYTICS=off disables logging.
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import net from "net";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_LOG = path.join(__dirname, "..", "data", "query-log.jsonl");
+
+const PRUNE_EVERY_MS = 60 * 60 * 1000;
+const QUERY_CHARS = 300;
+
+const enabled = () => !["0", "off", "false", "no"].includes(String(process.env.ANALYTICS || "on").toLowerCase());
+const logFile = () => process.env.ANALYTICS_LOG || DEFAULT_LOG;
+const retentionDays = () => Number(process.env.ANALYTICS_RETENTION_DAYS ?? 30);
+const maxEntries = () => Number(process.env.ANALYTICS_MAX || 50000);
+const ipMode = () => String(process.env.ANALYTICS_IP || "truncate").toLowerCase();
+
+const PROCESS_SALT = crypto.randomBytes(16).toString("hex");
+
+let entries = null;      // oldest first
+let loading = null;
+let writing = Promise.resolve();
+let prunedAt = 0;
+let trimmed = false;     // memory went over ANALYTICS_MAX since the last rewrite
+
+// ── IPs
+function expandIPv6(ip) {
+  const [head, tail = ""] = ip.split("::");
+  const a = head ? head.split(":") : [];
+  const b = ip.includes("::") && tail ? tail.split(":") : [];
+  const fill = ip.includes("::") ? Array(8 - a.length - b.length).fill("0") : [];
+  return [...a, ...fill, ...b];
+}
+
+/** anonymizeIp: an IP as ANALYTICS_IP says to store it ("203.0.113.0"), or null */
+export function anonymizeIp(ip) {
+  let addr = String(ip || "").trim();
+  if (!addr) return null;
+  if (/^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(addr)) addr = addr.slice(7); // IPv4-mapped
+  const mode = ipMode();
+  if (mode === "off" || mode === "none") return null;
+  if (mode === "hash") {
+    const salt = process.env.ANALYTICS_IP_SALT || PROCESS_SALT;
+    return `h:${crypto.createHash("sha256").update(`${salt}:${addr}`).digest("base64url").slice(0, 16)}`;
+  }
+  if (net.isIPv4(addr)) return addr.replace(/\.\d+$/, ".0");
+  if (net.isIPv6(addr)) return `${expandIPv6(addr.replace(/%.*$/, "")).slice(0, 3).join(":")}::`;
+  return null;
+}
+
+// ── store
+const cutoff = () => (retentionDays() > 0 ? Date.now() - retentionDays() * 864e5 : -Infinity);
+
+async function load() {
+  const list = [];
+  try {
+    const raw = await fs.readFile(logFile(), "utf8");
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        list.push(JSON.parse(line));
+      } catch { /* torn line */ }
+    }
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn("[analytics] could not read", logFile(), "-", e.message);
+  }
+  entries = list;
+  await prune(true);
+  return entries;
+}
+
+async function ensureLoaded() {
+  if (entries) return entries;
+  if (!loading) loading = load().finally(() => { loading = null; });
+  return loading;
+}
+
+// Writes are chained so appends never land in the middle of a rewrite.
+function write(fn) {
+  writing = writing
+    .catch(() => {})
+    .then(async () => {
+      await fs.mkdir(path.dirname(logFile()), { recursive: true });
+      await fn(logFile());
+    })
+    .catch(e => console.warn("[analytics] write failed:", e.message));
+  return writing;
+}
+
+// Drop entries past retention (and over the cap) and rewrite the file to
+// match; hourly unless `now`
+async function prune(now = false) {
+  if (!now && Date.now() - prunedAt < PRUNE_EVERY_MS) return;
+  prunedAt = Date.now();
+  const from = cutoff();
+  const before = entries.length;
+  entries = entries.filter(e => Date.parse(e.at) >= from).slice(-Math.max(1, maxEntries()));
+  if (entries.length === before && !trimmed) return;
+  trimmed = false;
+  const snapshot = entries.map(e => `${JSON.stringify(e)}\n`).join("");
+  await write(async (file) => {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, snapshot, "utf8");
+    await fs.rename(tmp, file);
+  });
+}
+
+/**
+ * logQuery: record one request (see the entry fields above). `ip` is
+ * anonymized here; `at` defaults to now.
+ */
+export async function logQuery({ ip = null, ...entry }) {
+  if (!enabled()) return;
+  try {
+    await ensureLoaded();
+    const e = {
+      at: new Date().toISOString(),
+      ...entry,
+      query: String(entry.query || "").slice(0, QUERY_CHARS),
+      ip: anonymizeIp(ip),
+    };
+    entries.push(e);
+    if (entries.length > Math.max(1, maxEntries())) {
+      entries.shift();
+      trimmed = true;
+    }
+    await write(file => fs.appendFile(file, `${JSON.stringify(e)}\n`));
+    await prune();
+  } catch (err) {
+    console.warn("[analytics] could not log query:", err.message);
+  }
+}
+
+// ── reports
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+function latency(list) {
+  const ms = list.map(e => e.latency_ms).filter(Number.isFinite).sort((a, b) => a - b);
+  return { count: ms.length, p50: percentile(ms, 50), p95: percentile(ms, 95), max: ms.length ? ms[ms.length - 1] : null };
+}
+
+const tally = (list, key) => list.reduce((acc, e) => {
+  const k = key(e);
+  acc[k] = (acc[k] || 0) + 1;
+  return acc;
+}, {});
+
+/** intentLabel: a normalized query as text ("jazz #music near Camden this weekend") */
+export function intentLabel(intent) {
+  if (!intent) return "";
+  return [
+    ...(intent.quoted || []).map(q => `"${q}"`),
+    ...(intent.terms || []),
+    ...(intent.categories || []).map(c => `#${c}`),
+    intent.place ? `near ${intent.place}` : "",
+    intent.when || "",
+  ].filter(Boolean).join(" ");
+}
+
+/**
+ * queryReport: what was asked between `from` and `to` (epoch ms), optionally
+ * for one `route`: totals, top and zero-result queries (grouped by normalized
+ * intent, `limit` each, with the latest wording as `example`), categories
+ * asked for, answer paths and p50/p95 latency overall and per route.
+ * `fuzzy_only` counts questions answered with closest matches only.
+ */
+export async function queryReport({ from = Date.now() - 864e5, to = Date.now(), route = null, limit = 20 } = {}) {
+  const all = await ensureLoaded();
+  const list = all.filter((e) => {
+    const at = Date.parse(e.at);
+    return at >= from && at <= to && (!route || e.route === route);
+  });
+
+  const groups = new Map();
+  for (const e of list) {
+    const label = intentLabel(e.intent) || String(e.query || "").toLowerCase().trim();
+    let g = groups.get(label);
+    if (!g) groups.set(label, g = { normalized: label, example: e.query, count: 0, zero_results: 0, fuzzy_only: 0, hits: 0, last_at: e.at });
+    g.count++;
+    g.hits += Number(e.hits) || 0;
+    if (e.hits === 0) g.zero_results++;
+    else if (e.path === "fuzzy") g.fuzzy_only++; // only closest matches
+    g.example = e.query;
+    g.last_at = e.at;
+  }
+  const shape = ({ hits, ...g }) => ({ ...g, avg_hits: g.count ? Math.round((hits / g.count) * 10) / 10 : 0 });
+  const top = [...groups.values()].sort((a, b) => b.count - a.count || (a.last_at < b.last_at ? 1 : -1));
+
+  const categories = new Map();
+  for (const e of list) {
+    for (const c of e.intent?.categories?.length ? e.intent.categories : ["(none)"]) {
+      const row = categories.get(c) || { category: c, count: 0, zero_results: 0 };
+      row.count++;
+      if (e.hits === 0) row.zero_results++;
+      categories.set(c, row);
+    }
+  }
+
+  const zero = list.filter(e => e.hits === 0).length;
+  return {
+    window: { from: new Date(from).toISOString(), to: new Date(to).toISOString(), route },
+    total: list.length,
+    zero_results: zero,
+    zero_result_rate: list.length ? Math.round((zero / list.length) * 1000) / 1000 : null,
+    fuzzy_only: list.filter(e => e.hits > 0 && e.path === "fuzzy").length,
+    llm_used: list.filter(e => e.llm).length,
+    llm_fallbacks: list.filter(e => e.fallback).length,
+    cached: list.filter(e => e.cached).length,
+    routes: tally(list, e => e.route),
+    paths: tally(list, e => e.path || "unknown"),
+    locales: tally(list.filter(e => e.locale), e => e.locale),
+    latency_ms: {
+      all: latency(list),
+      ...Object.fromEntries([...new Set(list.map(e => e.route))].map(r => [r, latency(list.filter(e => e.route === r))])),
+    },
+    top_queries: top.slice(0, limit).map(shape),
+    zero_result_queries: top.filter(g => g.zero_results > 0)
+      .sort((a, b) => b.zero_results - a.zero_results || (a.last_at < b.last_at ? 1 : -1))
+      .slice(0, limit).map(shape),
+    categories: [...categories.values()].sort((a, b) => b.count - a.count),
+    settings: { retention_days: retentionDays(), ip: ipMode(), max_entries: maxEntries(), stored: all.length },
+  };
+}
@@ -0,0 +1,95 @@
+// server/lib/answercache.js
+// Response cache for chat answers (/ai/chat, /ai/ask).
+//
+// Keys describe what was asked, normalized — search terms, categories,
+// quoted titles, place and date range — plus anything else that shapes the
+// answer (route, limit, locale, LLM override); see answerKey(). Entries are
+// stamped with the catalogue version (getCatalogueVersion in ./events.js) and
+// ignored once it moves. ANSWER_CACHE_TTL_MS (default 10 min) bounds how
+// long an answer lives anyway, since "upcoming" moves with the clock, and
+// ANSWER_CACHE_MAX (default 500) entries are kept, least recently used
+// going first. ANSWER_CACHE=off disables it.
+// Callers keep nothing worded by the asker under an intent-only key: search
+// answers are kept as kind and hits and rendered per request, and the
+// model's answers (kept as the SSE frames that were sent, replayed as the
+// same stream) are keyed by the message's wording as well; see index.js.
+
+import crypto from "crypto";
+
+const enabled = () => !["0", "off", "false", "no"].includes(String(process.env.ANSWER_CACHE || "on").toLowerCase());
+const ttlMs = () => Number(process.env.ANSWER_CACHE_TTL_MS || 10 * 60 * 1000);
+const maxEntries = () => Number(process.env.ANSWER_CACHE_MAX || 500);
+
+const cache = new Map(); // key → { version, value, at, hits }
+const stats = { hits: 0, misses: 0, stores: 0, evictions: 0 };
+
+// JSON with sorted object keys, so equal intents hash the same
+function stable(v) {
+  if (Array.isArray(v)) return `[${v.map(stable).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v).sort().filter(k => v[k] !== undefined).map(k => `${JSON.stringify(k)}:${stable(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+/** answerKey: cache key for a normalized intent (any JSON-able object) */
+export function answerKey(intent) {
+  return crypto.createHash("sha1").update(stable(intent)).digest("base64url");
+}
+
+/**
+ * getAnswer: the cached value for key (or the first of several keys that has
+ * one) at this catalogue version, or null; counted once as a hit or miss
+ */
+export function getAnswer(keys, version) {
+  if (!enabled()) return null;
+  let key, hit;
+  for (key of [].concat(keys)) {
+    hit = cache.get(key);
+    if (hit && (hit.version !== version || Date.now() - hit.at >= ttlMs())) {
+      cache.delete(key);
+      hit = null;
+    }
+    if (hit) break;
+  }
+  if (!hit) {
+    stats.misses++;
+    return null;
+  }
+  // most recently used goes last
+  cache.delete(key);
+  cache.set(key, hit);
+  hit.hits++;
+  stats.hits++;
+  return { ...hit.value, cached_at: hit.at };
+}
+
+/** putAnswer: store a value for key at this catalogue version */
+export function putAnswer(key, version, value) {
+  if (!enabled()) return;
+  cache.delete(key);
+  cache.set(key, { version, value, at: Date.now(), hits: 0 });
+  stats.stores++;
+  while (cache.size > Math.max(1, maxEntries())) {
+    cache.delete(cache.keys().next().value);
+    stats.evictions++;
+  }
+}
+
+/** clearAnswerCache: drop every entry (counters are kept) */
+export function clearAnswerCache() {
+  cache.clear();
+}
+
+/** answerCacheStats: hit/miss counters and current size */
+export function answerCacheStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    enabled: enabled(),
+    size: cache.size,
+    max: maxEntries(),
+    ttl_ms: ttlMs(),
+    ...stats,
+    hit_rate: lookups ? Math.round((stats.hits / lookups) * 1000) / 1000 : null,
+  };
+}
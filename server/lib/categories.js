@@ -0,0 +1,194 @@
+// server/lib/categories.js
+// Category relevance scoring for chat hits ("comedy tonight", "any gigs?").
+//
+// Categories are listed in a JSON file (CATEGORIES_FILE, default
+// server/config/categories.json); without one the shipped
+// config/categories.example.json is used. Each entry:
+//   { id, keywords?, positive?, negative?, acts?, taxonomy?, weights?,
+//     proper_name_bonus?, threshold?, fuzzy_threshold? }
+//   keywords   words in a question that ask for the category (id included)
+//   positive   title/category/tag terms that point to it   (+3 each)
+//   negative   terms that point away from it                (-3 each)
+//   acts       known performers/series, matched in titles   (+4 each)
+//   taxonomy   WP category/term names that mean it          (+5 once; default [id])
+//   weights    per-term overrides, e.g. { "live": 1 }
+//   proper_name_bonus  extra for titles that look like a name ("Suede")
+//   threshold  score a row needs to count as an exact match (default 3)
+//   fuzzy_threshold  score for a "closest match" when nothing is exact (default 1)
+// Terms match whole words on normalized text (lowercase, no accents or
+// punctuation; unlike normText in ./dedupe.js a leading "the" is kept, so
+// "the national" doesn't match every "National …").
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = path.join(__dirname, "..", "config", "categories.json");
+const EXAMPLE_FILE = path.join(__dirname, "..", "config", "categories.example.json");
+
+const POSITIVE = 3;
+const NEGATIVE = -3;
+const ACT = 4;
+const TAXONOMY = 5;
+const QUERY_TERM = 3;  // row also contains the word the user asked with ("jazz")
+const THRESHOLD = 3;
+const FUZZY_THRESHOLD = 1;
+
+let cache = { file: null, mtimeMs: -1, categories: null };
+
+function configFile() {
+  return process.env.CATEGORIES_FILE || DEFAULT_FILE;
+}
+
+const norm = (s) => String(s || "")
+  .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+  .toLowerCase()
+  .replace(/&/g, " and ")
+  .replace(/[^a-z0-9]+/g, " ")
+  .trim();
+const num = (v) => (v === null || v === undefined || v === "" || Number.isNaN(Number(v)) ? null : Number(v));
+const terms = (list) => [...new Set([].concat(list || []).map(norm).filter(Boolean))];
+
+// positive/negative may be ["term", …] or { term: weight }
+function weighted(list, fallback, overrides) {
+  const entries = Array.isArray(list) || typeof list === "string"
+    ? terms(list).map(t => [t, fallback])
+    : Object.entries(list || {}).map(([t, w]) => [norm(t), Number(w)]);
+  return entries
+    .filter(([t, w]) => t && Number.isFinite(w))
+    .map(([term, w]) => ({ term, weight: overrides.has(term) ? overrides.get(term) : w }));
+}
+
+function build(list) {
+  const seen = new Set();
+  const out = [];
+  for (const cfg of list) {
+    const id = norm(cfg?.id);
+    if (!id) continue;
+    if (seen.has(id)) {
+      console.warn(`[categories] duplicate id "${id}" — skipped`);
+      continue;
+    }
+    seen.add(id);
+    const overrides = new Map(Object.entries(cfg.weights || {}).map(([t, w]) => [norm(t), Number(w)]));
+    out.push({
+      id,
+      keywords: terms([id, ...[].concat(cfg.keywords || [])]),
+      positive: weighted(cfg.positive, POSITIVE, overrides),
+      negative: weighted(cfg.negative, NEGATIVE, overrides),
+      acts: terms(cfg.acts),
+      taxonomy: terms(cfg.taxonomy?.length ? cfg.taxonomy : [id]),
+      properNameBonus: Number(cfg.proper_name_bonus) || 0,
+      threshold: num(cfg.threshold) ?? THRESHOLD,
+      fuzzyThreshold: num(cfg.fuzzy_threshold) ?? FUZZY_THRESHOLD,
+    });
+  }
+  return out;
+}
+
+/** loadCategories: configured categories (re-read when the file changes) */
+export async function loadCategories() {
+  let file = configFile();
+  let stat = null;
+  try {
+    stat = await fs.stat(file);
+  } catch {
+    // no site config: fall back to the shipped defaults
+    if (!process.env.CATEGORIES_FILE) {
+      file = EXAMPLE_FILE;
+      try { stat = await fs.stat(file); } catch { /* none either */ }
+    }
+  }
+
+  const mtimeMs = stat ? stat.mtimeMs : 0;
+  if (cache.categories && cache.file === file && cache.mtimeMs === mtimeMs) return cache.categories;
+
+  let list = [];
+  if (stat) {
+    try {
+      const raw = JSON.parse(await fs.readFile(file, "utf8"));
+      list = Array.isArray(raw) ? raw : (raw?.categories || []);
+    } catch (e) {
+      console.warn("[categories] could not read", file, "-", e.message);
+    }
+  }
+  cache = { file, mtimeMs, categories: build(list) };
+  return cache.categories;
+}
+
+// Whole-word containment on normalized text
+const has = (hay, term) => ` ${hay} `.includes(` ${term} `);
+// "gigs" asks for "gig"
+const asks = (text, term) => has(text, term) || has(text, `${term}s`);
+
+/**
+ * detectCategories: categories a question asks for, in config order, as
+ * [{ category, terms }] where `terms` are the keywords found ("jazz").
+ */
+export function detectCategories(text, categories = []) {
+  const t = norm(text);
+  if (!t) return [];
+  const out = [];
+  for (const category of categories) {
+    // longest keyword wins where they overlap ("live music" over "music",
+    // "sports" over "sport")
+    const found = category.keywords
+      .filter(k => asks(t, k))
+      .filter((k, _, all) => !all.some(o => o !== k && (has(o, k) || o === `${k}s`)));
+    if (found.length) out.push({ category, terms: found });
+  }
+  return out;
+}
+
+function rowText(row) {
+  const title = norm(row?.title || row?.name);
+  const cats = [].concat(row?.category || [], row?.categories || []).map(norm).filter(Boolean);
+  const tags = [].concat(row?.tags || []).map(norm).filter(Boolean);
+  return { title, cats, hay: [title, ...cats, ...tags].join(" ") };
+}
+
+/**
+ * scoreCategory: how strongly a row belongs to `category` (title,
+ * category/taxonomy terms and tags only). `queryTerms` are words the
+ * question used for it ("jazz"); rows containing one rank higher.
+ */
+export function scoreCategory(row, category, { queryTerms = [] } = {}) {
+  const { title, cats, hay } = rowText(row);
+  let s = 0;
+  for (const { term, weight } of category.negative) if (has(hay, term)) s += weight;
+  for (const { term, weight } of category.positive) if (has(hay, term)) s += weight;
+  for (const act of category.acts) if (has(title, act)) s += ACT;
+  if (cats.some(c => category.taxonomy.some(t => has(c, t)))) s += TAXONOMY;
+  if (queryTerms.some(q => q !== category.id && asks(hay, q))) s += QUERY_TERM;
+  if (category.properNameBonus && /^(?:the\s+)?[A-Z][a-z]+(?:\s+[A-Z][a-z]+){0,3}$/.test(row?.title ?? "")) {
+    s += category.properNameBonus;
+  }
+  return s;
+}
+
+/**
+ * rankByCategories: rows scored against the detected categories (best
+ * category per row), highest first. Each row gets `_score`, `_strong`
+ * (reached a category's threshold) and `_close` (its fuzzy_threshold);
+ * internal only — unscored() drops them.
+ */
+export function rankByCategories(rows, detected = []) {
+  return rows
+    .map((r) => {
+      let best = -Infinity, strong = false, close = false;
+      for (const { category, terms: queryTerms } of detected) {
+        const s = scoreCategory(r, category, { queryTerms });
+        if (s > best) best = s;
+        if (s >= category.threshold) strong = true;
+        if (s >= category.fuzzyThreshold) close = true;
+      }
+      return { ...r, _score: best, _strong: strong, _close: close };
+    })
+    .sort((a, b) => b._score - a._score);
+}
+
+/** unscored: rows without rankByCategories' fields (before they go out) */
+export function unscored(rows) {
+  return rows.map(({ _score, _strong, _close, ...r }) => r);
+}
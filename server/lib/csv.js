@@ -0,0 +1,77 @@
+// server/lib/csv.js
+// Minimal RFC 4180 CSV parsing (quoted fields, escaped quotes, CRLF, BOM)
+// and writing.
+
+// Records as { line, cells }: `line` is the 1-based line of the file the
+// record starts on (blank lines counted, then dropped)
+function parseRecords(text) {
+  const s = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  let line = 1, startLine = 1;
+
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (quoted) {
+      if (c === '"') {
+        if (s[i + 1] === '"') { field += '"'; i++; }
+        else quoted = false;
+      } else {
+        if (c === "\n" || (c === "\r" && s[i + 1] !== "\n")) line++;
+        field += c;
+      }
+      continue;
+    }
+    if (c === '"') quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && s[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      rows.push({ line: startLine, cells: row }); row = [];
+      startLine = ++line;
+    } else {
+      field += c;
+    }
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push({ line: startLine, cells: row }); }
+  // drop blank lines
+  return rows.filter(r => r.cells.some(v => v.trim() !== ""));
+}
+
+/** parseCsv: text → array of rows (arrays of strings) */
+export function parseCsv(text) {
+  return parseRecords(text).map(r => r.cells);
+}
+
+/**
+ * parseCsvLines: first row is the header; returns [{ line, values }] where
+ * `values` is { header: value } and `line` the file line the row starts on
+ * (what error messages should point at). Header names are kept as written
+ * (callers decide how to match them).
+ */
+export function parseCsvLines(text) {
+  const [header = { cells: [] }, ...rows] = parseRecords(text);
+  const keys = header.cells.map(h => h.trim());
+  return rows.map(r => ({ line: r.line, values: Object.fromEntries(keys.map((k, i) => [k, (r.cells[i] ?? "").trim()])) }));
+}
+
+/** parseCsvObjects: parseCsvLines without line numbers — [{ header: value }] */
+export function parseCsvObjects(text) {
+  return parseCsvLines(text).map(r => r.values);
+}
+
+// Quote a field when it holds a delimiter, quote or line break; leading
+// = + - @ are prefixed with ' so spreadsheets don't run them as formulas.
+function csvField(v) {
+  if (v === null || v === undefined) return "";
+  let s = Array.isArray(v) ? v.join(", ") : String(v);
+  if (/^[=+\-@]/.test(s) && !/^-?\d/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** toCsv: [{...}] → CSV text (CRLF) with the given columns as the header */
+export function toCsv(rows = [], columns = []) {
+  const lines = [columns.map(csvField).join(",")];
+  for (const r of rows) lines.push(columns.map(c => csvField(r[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
@@ -0,0 +1,258 @@
+// server/lib/dates.js
+// Date normalization for events.
+// Turns whatever a source gives us (ISO instants, WP "Y-m-d H:i:s", iCal
+// stamps, "03/10/2026 7.30pm", "Date: 3rd Sept") into a UTC instant plus the
+// source timezone, keeps the original text, and flags all-day / unknown times.
+// No dependencies: zone offsets come from Intl.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11,
+};
+
+/** siteTimezone: IANA zone used for floating times and day boundaries */
+export function siteTimezone() {
+  // Read env at call-time (dotenv already loaded in index.js)
+  return validTimezone(process.env.SITE_TIMEZONE) || "Europe/London";
+}
+
+const dtfCache = new Map();
+function partsFormatter(tz) {
+  let f = dtfCache.get(tz);
+  if (!f) {
+    f = new Intl.DateTimeFormat("en-US", {
+      timeZone: tz, hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit",
+      hour: "2-digit", minute: "2-digit", second: "2-digit",
+    });
+    dtfCache.set(tz, f);
+  }
+  return f;
+}
+
+/** validTimezone: the zone name if Intl knows it, else null */
+export function validTimezone(tz) {
+  if (!tz) return null;
+  try {
+    partsFormatter(String(tz));
+    return String(tz);
+  } catch {
+    return null;
+  }
+}
+
+/** zonedParts: wall-clock fields of an instant in a zone */
+export function zonedParts(ms, tz = siteTimezone()) {
+  const p = Object.fromEntries(partsFormatter(tz).formatToParts(new Date(ms)).map(x => [x.type, x.value]));
+  return { y: +p.year, m: +p.month - 1, d: +p.day, h: +p.hour, mi: +p.minute, s: +p.second };
+}
+
+function zoneOffsetMs(tz, ms) {
+  const p = zonedParts(ms, tz);
+  return Date.UTC(p.y, p.m, p.d, p.h, p.mi, p.s) - Math.floor(ms / 1000) * 1000;
+}
+
+/** zonedToUtc: wall-clock time in `tz` → epoch ms (DST-aware, two passes) */
+export function zonedToUtc({ y, m, d, h = 0, mi = 0, s = 0 }, tz = siteTimezone()) {
+  const guess = Date.UTC(y, m, d, h, mi, s);
+  const off1 = zoneOffsetMs(tz, guess);
+  const t = guess - off1;
+  const off2 = zoneOffsetMs(tz, t);
+  return off2 === off1 ? t : guess - off2;
+}
+
+/** localDay: YYYY-MM-DD of an instant in `tz` */
+export function localDay(ms, tz = siteTimezone()) {
+  const p = zonedParts(ms, tz);
+  return `${p.y}-${String(p.m + 1).padStart(2, "0")}-${String(p.d).padStart(2, "0")}`;
+}
+
+/** startOfLocalDay / endOfLocalDay: bounds of the zone-local day containing ms */
+export function startOfLocalDay(ms, tz = siteTimezone()) {
+  const p = zonedParts(ms, tz);
+  return zonedToUtc({ y: p.y, m: p.m, d: p.d }, tz);
+}
+export function endOfLocalDay(ms, tz = siteTimezone()) {
+  const p = zonedParts(ms, tz);
+  return zonedToUtc({ y: p.y, m: p.m, d: p.d + 1 }, tz) - 1;
+}
+
+function validYmd(y, m, d) {
+  const t = new Date(Date.UTC(y, m, d));
+  return t.getUTCFullYear() === y && t.getUTCMonth() === m && t.getUTCDate() === d;
+}
+
+// "7.30pm", "19:30", "7pm", "noon" → { h, mi } (null if none)
+function parseTime(s) {
+  if (/\bnoon\b/i.test(s)) return { h: 12, mi: 0 };
+  if (/\bmidnight\b/i.test(s)) return { h: 0, mi: 0 };
+  let m = s.match(/\b(\d{1,2})(?:[:.](\d{2}))?\s*([ap])\.?m\.?\b/i);
+  if (m) {
+    let h = Number(m[1]) % 12;
+    if (m[3].toLowerCase() === "p") h += 12;
+    return { h, mi: Number(m[2] || 0) };
+  }
+  m = s.match(/\b([01]?\d|2[0-3])[:.]([0-5]\d)(?::([0-5]\d))?\b/);
+  if (m) return { h: Number(m[1]), mi: Number(m[2]), s: Number(m[3] || 0) };
+  return null;
+}
+
+// Missing year → the nearest upcoming occurrence (allowing ~2 months back).
+function inferYear(m, d, ref) {
+  const y = zonedParts(ref).y;
+  const candidate = Date.UTC(y, m, d);
+  return candidate < ref - 60 * DAY_MS ? y + 1 : y;
+}
+
+function fromWallClock({ y, m, d, time }, tz) {
+  if (!validYmd(y, m, d)) return null;
+  if (!time) return { ts: zonedToUtc({ y, m, d }, tz), timeKnown: false };
+  return { ts: zonedToUtc({ y, m, d, h: time.h, mi: time.mi, s: time.s || 0 }, tz), timeKnown: true };
+}
+
+function parseParts(s, tz, ref) {
+  // ISO 8601 / WP "Y-m-d H:i:s", optional offset
+  let m = s.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+  if (m) {
+    const [, y, mo, d, h, mi, se, off] = m;
+    if (h && off) {
+      const t = Date.parse(`${y}-${mo}-${d}T${h}:${mi}:${se || "00"}${off.length === 5 ? off.replace(/(\d{2})(\d{2})$/, "$1:$2") : off}`);
+      return Number.isNaN(t) ? null : { ts: t, timeKnown: true, exact: true };
+    }
+    return fromWallClock({ y: +y, m: +mo - 1, d: +d, time: h ? { h: +h, mi: +mi, s: +(se || 0) } : null }, tz);
+  }
+
+  // iCal basic format 20261003T193000Z
+  m = s.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/i);
+  if (m) {
+    const [, y, mo, d, h, mi, se, z] = m;
+    if (h && z) return { ts: Date.UTC(+y, +mo - 1, +d, +h, +mi, +(se || 0)), timeKnown: true, exact: true };
+    return fromWallClock({ y: +y, m: +mo - 1, d: +d, time: h ? { h: +h, mi: +mi, s: +(se || 0) } : null }, tz);
+  }
+
+  // Explicit zone ("… 18:00:00 GMT", "… +0100"): trust the JS parser
+  if (/\b(?:GMT|UTC)\b|[+-]\d{2}:?\d{2}$/.test(s)) {
+    const t = Date.parse(s);
+    if (!Number.isNaN(t)) return { ts: t, timeKnown: true, exact: true };
+  }
+
+  const text = s
+    .replace(/^\s*(?:date|when|starts?)\s*:\s*/i, "")
+    .replace(/(\d)(st|nd|rd|th)\b/gi, "$1");
+  const time = parseTime(text);
+
+  // Numeric day-first dates: 03/10/2026, 3.10.26, 03-10-2026
+  m = text.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})\b/);
+  if (m) {
+    let y = Number(m[3]);
+    if (y < 100) y += 2000;
+    return fromWallClock({ y, m: Number(m[2]) - 1, d: Number(m[1]), time }, tz);
+  }
+
+  // Month names: "3 Sept 2026", "Sept 3, 2026", "Saturday 3rd September"
+  const words = text.toLowerCase();
+  const monthRe = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?/;
+  const mm = words.match(monthRe);
+  if (mm) {
+    const month = MONTHS[mm[1]];
+    const before = words.slice(0, mm.index).match(/\b(\d{1,2})\s*(?:of\s*)?$/);
+    const after = words.slice(mm.index + mm[0].length).match(/^\s*(\d{1,2})\b(?![:.]\d)/);
+    const day = Number((before || after || [])[1]);
+    if (day >= 1 && day <= 31) {
+      const yM = words.match(/\b(19|20)\d{2}\b/);
+      const y = yM ? Number(yM[0]) : inferYear(month, day, ref);
+      return fromWallClock({ y, m: month, d: day, time }, tz);
+    }
+  }
+
+  // Anything else JS understands (RFC 2822, "Oct 3 2026 19:30 GMT", …)
+  const t = Date.parse(s);
+  if (!Number.isNaN(t) && /\d{4}/.test(s)) return { ts: t, timeKnown: /\d{1,2}:\d{2}/.test(s), exact: true };
+  return null;
+}
+
+/**
+ * parseEventDate: free-form event date → canonical pieces.
+ * Returns { text, ts, iso, date, tz, allDay, timeKnown }:
+ *   ts/iso  UTC instant (local midnight when the time is unknown), null if unparseable
+ *   date    YYYY-MM-DD in the event's timezone
+ *   allDay  explicitly all-day (e.g. iCal VALUE=DATE), or caller-flagged
+ *   timeKnown false when only a day was given
+ */
+export function parseEventDate(value, { tz, allDay = false, ref = Date.now() } = {}) {
+  const text = value == null ? "" : String(value).trim();
+  const zone = validTimezone(tz) || siteTimezone();
+  const empty = { text, ts: null, iso: null, date: null, tz: zone, allDay: Boolean(allDay), timeKnown: false };
+  if (!text || /^(tba|tbc|not specified|null|undefined)$/i.test(text)) return empty;
+
+  const p = parseParts(text, zone, ref);
+  if (!p || Number.isNaN(p.ts)) return empty;
+  const timeKnown = p.timeKnown && !allDay;
+  return {
+    text,
+    ts: p.ts,
+    iso: new Date(p.ts).toISOString(),
+    date: localDay(p.ts, zone),
+    tz: zone,
+    allDay: Boolean(allDay),
+    timeKnown,
+  };
+}
+
+/**
+ * normalizeEventDates: canonical start/end on a normalized event row.
+ *   start / end           UTC ISO instant, or YYYY-MM-DD when no time is known
+ *   start_ts / end_ts     epoch ms (for filtering + sorting)
+ *   start_text / end_text what the source actually said
+ *   tz, all_day, time_known
+ * Rows without any start/end text are returned untouched, so a sparse row
+ * merged over a stored one never clears its dates.
+ */
+export function normalizeEventDates(row = {}) {
+  // already canonical (keeps the original start_text)
+  if (row.start_text != null && Number.isFinite(row.start_ts)) return row;
+  const rawStart = row.start ?? row.date ?? null;
+  if (!rawStart && !row.end) return row;
+
+  const tz = validTimezone(row.tz) || siteTimezone();
+  const allDay = row.all_day === true;
+  const s = parseEventDate(rawStart, { tz, allDay });
+  const e = parseEventDate(row.end, { tz, allDay });
+  const shape = (p) => (p.ts == null ? null : p.timeKnown ? p.iso : p.date);
+  return {
+    ...row,
+    start: shape(s) ?? (rawStart || null),
+    end: shape(e) ?? (row.end || null),
+    start_ts: s.ts,
+    end_ts: e.ts,
+    start_text: s.text || null,
+    end_text: e.text || null,
+    tz,
+    all_day: s.allDay,
+    time_known: s.timeKnown,
+  };
+}
+
+/** eventStartTs: epoch ms for a row (canonical field first, then parse) */
+export function eventStartTs(row) {
+  if (Number.isFinite(row?.start_ts)) return row.start_ts;
+  return parseEventDate(row?.start ?? row?.date, { tz: row?.tz }).ts;
+}
+
+/**
+ * describeEventDate: human date for answers/context ("Sat 3 Oct 2026, 19:30").
+ * Shown in the event's timezone; day only when the time is unknown, and
+ * `unknown` when there's no date at all.
+ */
+export function describeEventDate(row, { locale = "en-GB", unknown = "Not specified" } = {}) {
+  const tz = validTimezone(row?.tz) || siteTimezone();
+  const p = Number.isFinite(row?.start_ts)
+    ? { ts: row.start_ts, timeKnown: row.time_known !== false && !row.all_day }
+    : parseEventDate(row?.start ?? row?.date, { tz, allDay: row?.all_day === true });
+  if (p.ts == null) return unknown;
+  const opts = { timeZone: tz, weekday: "short", day: "numeric", month: "short", year: "numeric" };
+  if (p.timeKnown) Object.assign(opts, { hour: "2-digit", minute: "2-digit", hourCycle: "h23" });
+  return new Intl.DateTimeFormat(locale, opts).format(new Date(p.ts));
+}
@@ -0,0 +1,160 @@
+// server/lib/dedupe.js
+// Cross-source de-duplication.
+// Rows from different sources that look like the same gig (similar title,
+// same start day, same venue) are clustered and merged into one canonical
+// event. Each field is taken from the highest-priority source that has it
+// (WordPress meta beats feeds beats scraped pages) and `provenance` records
+// where every field came from. Absorbed ids are kept in `merged_ids`.
+
+import { eventStartTs, localDay } from "./dates.js";
+
+const TITLE_MIN = 0.75;        // Dice similarity to consider two titles the same
+const TITLE_MIN_NO_VENUE = 0.9; // stricter when one side has no venue
+const VENUE_MIN = 0.7;
+
+// Lower rank wins. Config may override per source with `priority`.
+const TYPE_RANK = { wordpress: 0, csv: 1, ics: 2, jsonld: 3 };
+
+const FIELDS = [
+  "title", "start", "end", "venue", "category", "url",
+  "availability", "price_from", "content_0_text",
+];
+// canonical date fields travel together with the value they describe
+const FIELD_GROUPS = {
+  start: ["start_ts", "start_text", "tz", "all_day", "time_known", "recurrence"],
+  end: ["end_ts", "end_text"],
+};
+
+/** normText: lowercase, tags/entities/accents/punctuation stripped */
+export function normText(s) {
+  return String(s || "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&#?\w+;/g, " ")
+    .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .replace(/^the /, "")
+    .trim();
+}
+
+function bigrams(s) {
+  const t = s.replace(/ /g, "");
+  const out = new Map();
+  for (let i = 0; i < t.length - 1; i++) {
+    const g = t.slice(i, i + 2);
+    out.set(g, (out.get(g) || 0) + 1);
+  }
+  return out;
+}
+
+/** similarity: Sørensen–Dice over character bigrams of normalized text (0..1) */
+export function similarity(a, b) {
+  const x = normText(a), y = normText(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  const A = bigrams(x), B = bigrams(y);
+  let inter = 0, total = 0;
+  for (const [g, n] of A) { inter += Math.min(n, B.get(g) || 0); total += n; }
+  for (const n of B.values()) total += n;
+  return total ? (2 * inter) / total : 0;
+}
+
+function startDay(row) {
+  const t = eventStartTs(row);
+  return t == null ? null : localDay(t, row.tz || undefined);
+}
+
+function sameVenue(a, b) {
+  const x = normText(a), y = normText(b);
+  if (!x || !y) return null; // unknown
+  if (x === y || x.includes(y) || y.includes(x)) return true;
+  return similarity(x, y) >= VENUE_MIN;
+}
+
+/** isLikelyDuplicate: same start day, similar title, compatible venue, different sources */
+export function isLikelyDuplicate(a, b) {
+  if ((a.source || "wp") === (b.source || "wp")) return false;
+  const day = startDay(a);
+  if (!day || day !== startDay(b)) return false;
+  const titleSim = similarity(a.title, b.title);
+  const venue = sameVenue(a.venue, b.venue);
+  if (venue === false) return false;
+  return titleSim >= (venue === null ? TITLE_MIN_NO_VENUE : TITLE_MIN);
+}
+
+/** sourceRanks: { sourceId: rank } from the configured sources */
+export function sourceRanks(sources = []) {
+  const ranks = {};
+  sources.forEach((s, i) => {
+    ranks[s.id] = s.priority ?? (TYPE_RANK[s.type] ?? 5) * 100 + i;
+  });
+  return ranks;
+}
+
+function isSet(v) {
+  return v !== null && v !== undefined && v !== "";
+}
+
+function mergeCluster(members, rank) {
+  const sorted = [...members].sort((a, b) =>
+    (rank(a) - rank(b)) || String(a.id).localeCompare(String(b.id)));
+  const [primary] = sorted;
+  const out = { ...primary };
+  const provenance = {};
+  for (const f of FIELDS) {
+    const from = sorted.find(r => isSet(r[f]));
+    if (!from) continue;
+    out[f] = from[f];
+    for (const g of FIELD_GROUPS[f] || []) out[g] = from[g];
+    provenance[f] = from.source || "wp";
+  }
+  out.provenance = provenance;
+  out.sources = [...new Set(sorted.map(r => r.source || "wp"))];
+  out.merged_ids = sorted.slice(1).map(r => r.id);
+  return out;
+}
+
+/**
+ * dedupeEvents: cluster + merge near-duplicates across sources.
+ * Returns { events, aliases } where `aliases` maps absorbed id → canonical id.
+ * Order follows the first appearance of each cluster in `rows`.
+ */
+export function dedupeEvents(rows = [], { ranks = {} } = {}) {
+  const rank = (r) => ranks[r.source || "wp"] ?? 1000;
+
+  // union-find over row indexes, compared only within the same start day
+  const parent = rows.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const byDay = new Map();
+  rows.forEach((r, i) => {
+    const d = startDay(r);
+    if (!d) return;
+    if (!byDay.has(d)) byDay.set(d, []);
+    byDay.get(d).push(i);
+  });
+  for (const idxs of byDay.values()) {
+    for (let a = 0; a < idxs.length; a++) {
+      for (let b = a + 1; b < idxs.length; b++) {
+        if (isLikelyDuplicate(rows[idxs[a]], rows[idxs[b]])) parent[find(idxs[a])] = find(idxs[b]);
+      }
+    }
+  }
+
+  const clusters = new Map();
+  rows.forEach((r, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(r);
+  });
+
+  const events = [];
+  const aliases = new Map();
+  for (const members of clusters.values()) {
+    if (members.length === 1) { events.push(members[0]); continue; }
+    const merged = mergeCluster(members, rank);
+    for (const id of merged.merged_ids) aliases.set(String(id), merged.id);
+    events.push(merged);
+  }
+  return { events, aliases };
+}
@@ -0,0 +1,142 @@
+// server/lib/embeddings.js
+// Embedding providers for semantic search (see ./vectors.js).
+//
+// EMBEDDINGS_PROVIDER picks the backend:
+//   "hash" (default)  in-process hashed TF-IDF vectors; no network, no model
+//   "openai"          OpenAI-compatible POST /embeddings (EMBEDDINGS_API_BASE,
+//                     EMBEDDINGS_MODEL; defaults to OPENAI_API_BASE)
+//   "ollama"          the same against a local Ollama (localhost:11434/v1,
+//                     nomic-embed-text unless configured)
+//   "off"             semantic search disabled
+// Provider contract:
+//   id              changes when vectors stop being comparable (backend/model)
+//   embed(texts)    -> [number[]]  one vector per text, same order
+//   fit?(texts)     corpus statistics (hash backend: term IDF), before embedding docs
+//   cacheable       vectors may be kept across index rebuilds
+
+import fetch from "node-fetch";
+
+import { tokenize } from "./search.js";
+
+const HASH_DIMS = 1024;
+const BATCH = 32;
+
+// ── in-process: hashed TF-IDF
+// FNV-1a; the top bit picks the sign so colliding terms tend to cancel
+function fnv1a(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+// stemmed words plus adjacent pairs ("date night")
+function features(text) {
+  const words = tokenize(text);
+  const out = [...words];
+  for (let i = 1; i < words.length; i++) out.push(`${words[i - 1]}_${words[i]}`);
+  return out;
+}
+
+/** createHashEmbedder: hashed TF-IDF vectors of `dims` dimensions */
+export function createHashEmbedder({ dims = Number(process.env.EMBEDDINGS_DIMS || HASH_DIMS) } = {}) {
+  let idf = new Map();
+  let maxIdf = 1;
+  return {
+    id: `hash:${dims}`,
+    cacheable: false, // IDF moves with the corpus
+    fit(texts) {
+      const df = new Map();
+      for (const t of texts) for (const f of new Set(features(t))) df.set(f, (df.get(f) || 0) + 1);
+      const n = texts.length || 1;
+      idf = new Map([...df].map(([f, c]) => [f, Math.log(1 + n / c)]));
+      maxIdf = Math.log(1 + n);
+    },
+    async embed(texts) {
+      return texts.map((text) => {
+        const vec = new Array(dims).fill(0);
+        const tf = new Map();
+        for (const f of features(text)) tf.set(f, (tf.get(f) || 0) + 1);
+        for (const [f, c] of tf) {
+          const h = fnv1a(f);
+          // unseen terms count as rare
+          vec[h % dims] += (h >>> 31 ? -1 : 1) * (1 + Math.log(c)) * (idf.get(f) ?? maxIdf);
+        }
+        return vec;
+      });
+    },
+  };
+}
+
+// ── OpenAI-compatible /embeddings (OpenAI, Ollama, LM Studio, …)
+/** createOpenAIEmbedder: remote embeddings, batched */
+export function createOpenAIEmbedder({
+  apiBase = process.env.EMBEDDINGS_API_BASE || process.env.OPENAI_API_BASE || "https://api.openai.com/v1",
+  apiKey = process.env.EMBEDDINGS_API_KEY || process.env.OPENAI_API_KEY || "",
+  model = process.env.EMBEDDINGS_MODEL || "text-embedding-3-small",
+  timeoutMs = Number(process.env.EMBEDDINGS_TIMEOUT_MS || 30000),
+} = {}) {
+  async function batch(input) {
+    const ctrl = new AbortController();
+    const t = setTimeout(() => ctrl.abort(), timeoutMs);
+    try {
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey.trim()) headers.Authorization = `Bearer ${apiKey}`;
+      const r = await fetch(`${apiBase.replace(/\/+$/, "")}/embeddings`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ model, input }),
+        signal: ctrl.signal,
+      });
+      if (!r.ok) {
+        const txt = await r.text().catch(() => "");
+        throw new Error(`embeddings HTTP ${r.status}: ${txt.slice(0, 200)}`);
+      }
+      const data = await r.json();
+      const rows = [...(data?.data || [])].sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+      if (rows.length !== input.length) throw new Error(`embeddings: got ${rows.length} vectors for ${input.length} inputs`);
+      return rows.map(d => d.embedding);
+    } finally {
+      clearTimeout(t);
+    }
+  }
+
+  return {
+    id: `openai:${apiBase}:${model}`,
+    cacheable: true,
+    async embed(texts) {
+      const out = [];
+      for (let i = 0; i < texts.length; i += BATCH) out.push(...await batch(texts.slice(i, i + BATCH)));
+      return out;
+    },
+  };
+}
+
+let current = { key: null, provider: null };
+
+/**
+ * getEmbeddingProvider: the configured provider (null when EMBEDDINGS_PROVIDER
+ * is "off"); rebuilt when its settings change.
+ */
+export function getEmbeddingProvider() {
+  const kind = String(process.env.EMBEDDINGS_PROVIDER || "hash").toLowerCase();
+  const key = [kind, process.env.EMBEDDINGS_API_BASE, process.env.OPENAI_API_BASE, process.env.EMBEDDINGS_MODEL, process.env.EMBEDDINGS_DIMS].join("|");
+  if (current.key === key) return current.provider;
+
+  let provider = null;
+  if (kind === "openai") provider = createOpenAIEmbedder();
+  else if (kind === "ollama") {
+    provider = createOpenAIEmbedder({
+      apiBase: process.env.EMBEDDINGS_API_BASE || "http://localhost:11434/v1",
+      model: process.env.EMBEDDINGS_MODEL || "nomic-embed-text",
+    });
+  } else if (kind === "hash") provider = createHashEmbedder();
+  else if (kind !== "off" && kind !== "none") {
+    console.warn(`[embeddings] unknown EMBEDDINGS_PROVIDER "${kind}" — using hash`);
+    provider = createHashEmbedder();
+  }
+  current = { key, provider };
+  return provider;
+}
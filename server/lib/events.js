@@ -1,178 +1,459 @@
 // server/lib/events.js
-import fetch from "node-fetch";
+import {
+  allEvents,
+  getStoredEvent,
+  upsertEvents,
+  removeEvents,
+  getStoreMeta,
+  updateStoreMeta,
+  getStoreRevision,
+} from "./store.js";
+import { buildIndex, searchIndex } from "./search.js";
+import { getEmbeddingProvider, createHashEmbedder } from "./embeddings.js";
+import { buildVectorIndex, searchVectors } from "./vectors.js";
+import { dedupeEvents, sourceRanks } from "./dedupe.js";
+import { expandInWindow, seriesId } from "./recurrence.js";
+import { loadVenues, linkVenues, summarizeVenues, matchVenue, venueSlug } from "./venues.js";
+import {
+  loadSources,
+  getSource,
+  primaryWordPressSource,
+  eventIdFor,
+  stampRow,
+} from "./sources/index.js";
 
-// ── tiny in-memory cache
-let listCache = { ts: 0, data: null };
-const detailCache = new Map();
-const TTL_LIST_MS = 60 * 1000;       // 60s
+// ── freshness windows over the persistent store (./store.js)
+// A full sync reconciles the store with every source; webhooks patch it in between.
+const TTL_SYNC_MS = Number(process.env.EVENTS_SYNC_TTL_MS || 5 * 60 * 1000); // 5m
 const TTL_DETAIL_MS = 5 * 60 * 1000; // 5m
 
+let lastSyncTs = 0;      // in-process; 0 forces a sync on next read
+let detailEpoch = 0;     // stored details older than this are refetched
+let syncing = null;      // shared promise while a sync is in flight
+let invalidations = 0;   // bumps on every invalidateEventsCache()
+let webhooks = 0;        // bumps on every webhook payload (see getCatalogueVersion)
+const invalidateListeners = new Set();
+// De-duplicated view of the store + its search index, rebuilt when rows
+// (or the venue registry) change
+let viewCache = { revision: -1, venues: null, events: null, byId: null, aliases: null, index: null, vectors: null };
+const vectorCache = new Map(); // remote embeddings of unchanged events survive rebuilds
+
 const now = () => Date.now();
 
-function getWPBase() {
-  // Read env at call-time (dotenv already loaded in index.js)
-  return (process.env.WP_BASE_URL || "").replace(/\/$/, "");
-}
+// Rows stored before sources existed all came from the default WP install.
+const sourceOf = (e) => e.source || "wp";
 
-function makeUrl(path) {
-  const base = getWPBase();
-  if (!base) throw new Error("WP_BASE_URL not set");
-  return `${base}${path}`;
+// Drop null/empty fields so a sparse fetch never erases what the store knows
+function definedOnly(obj) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) {
+    if (v !== null && v !== undefined && v !== "") out[k] = v;
+  }
+  return out;
 }
 
-async function fetchJson(url) {
-  const r = await fetch(url);
-  if (!r.ok) throw new Error(`${r.status} ${r.statusText} for ${url}`);
-  return r.json();
+// Pull one source into the store; only a complete listing may delete rows.
+async function syncSource(source, stored) {
+  const { rows, complete } = await source.fetchAll();
+  const mapped = rows.map(r => stampRow(source, r));
+  const changed = await upsertEvents(mapped);
+  const keep = new Set(mapped.map(e => e.id));
+  const gone = complete
+    ? stored.filter(e => sourceOf(e) === source.id && !keep.has(e.id)).map(e => e.id)
+    : [];
+  const removed = await removeEvents(gone);
+  return { fetched: mapped.length, complete, changed, removed };
 }
 
-function stripTags(html = "") {
-  return html.replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
-}
+/**
+ * syncEvents: full reconcile of the store against every configured source.
+ * Upserts every listed event and drops ones a source no longer lists.
+ * One failing source doesn't block the others; its error is recorded.
+ * Concurrent callers share one in-flight sync.
+ */
+export async function syncEvents() {
+  if (syncing) return syncing;
+  syncing = (async () => {
+    const attempt = new Date().toISOString();
+    try {
+      const sources = await loadSources();
+      const stored = await allEvents();
+      const prev = (await getStoreMeta()).sources || {};
+      const perSource = {};
+      const results = {};
+      const errors = [];
+
+      for (const source of sources) {
+        try {
+          results[source.id] = await syncSource(source, stored);
+          perSource[source.id] = { type: source.type, lastSync: attempt, lastError: null, ...results[source.id] };
+        } catch (e) {
+          const msg = String(e?.message || e);
+          errors.push(`${source.id}: ${msg}`);
+          perSource[source.id] = { ...(prev[source.id] || {}), type: source.type, lastError: msg };
+        }
+      }
+
+      if (sources.length && errors.length === sources.length) throw new Error(errors.join("; "));
 
-// Ensure a URL is absolute using WP base if it's relative
-function absoluteUrl(u) {
-  if (!u) return null;
-  const base = getWPBase();
-  if (!base) return u;
-  // handles "/path" or "//host/path"
-  if (u.startsWith("//")) return new URL((base.startsWith("https") ? "https:" : "http:") + u).toString();
-  if (u.startsWith("/")) return new URL(u, base).toString();
-  return u;
+      lastSyncTs = now();
+      refreshVectors();
+      await updateStoreMeta({
+        lastSync: attempt,
+        lastAttempt: attempt,
+        lastError: errors.length ? errors.join("; ") : null,
+        sources: perSource,
+      });
+      return { ok: true, sources: results, errors };
+    } catch (e) {
+      await updateStoreMeta({ lastAttempt: attempt, lastError: String(e?.message || e) });
+      throw e;
+    } finally {
+      syncing = null;
+    }
+  })();
+  return syncing;
 }
 
-// Force scheme+host to match WP_BASE_URL to reduce 404/mixed-content
-function fixHostUrl(u) {
-  if (!u) return null;
-  const base = getWPBase();
-  if (!base) return u;
+// Sync when the store is stale; if the sources are down, keep serving what we have.
+async function ensureFresh() {
+  if (lastSyncTs && now() - lastSyncTs < TTL_SYNC_MS) return;
   try {
-    const target = new URL(absoluteUrl(u));
-    const desired = new URL(base);
-    // if same hostname ignoring scheme/port OR local .local domain, force to base scheme+host
-    if (target.hostname === desired.hostname) {
-      target.protocol = desired.protocol;
-      target.host = desired.host; // host includes port if any
-      return target.toString();
-    }
-    return target.toString();
-  } catch {
-    return u;
+    await syncEvents();
+  } catch (e) {
+    const { count } = await getStoreMeta();
+    if (!count) throw e;
+    console.warn("[events] sync failed, serving stored events:", e.message);
   }
 }
 
-function mapFromWpPost(p) {
-  const contentHtml = p.content?.rendered || "";
+/**
+ * applyWebhookPayload: incremental update from the plugin webhook.
+ * Skips payloads whose fingerprint we already hold or whose modified_gmt
+ * is older than the stored copy; unpublished/deleted posts are removed.
+ */
+export async function applyWebhookPayload(p = {}) {
+  if (p.id == null) return { applied: false, reason: "missing id" };
+  webhooks++;
+  const source = await primaryWordPressSource();
+  if (!source) return { applied: false, reason: "no wordpress source configured" };
+  const id = eventIdFor(source, p.id);
+  const prev = await getStoredEvent(id);
 
-  // Embedded terms → category / event-category best effort
-  const terms = p._embedded?.["wp:term"] || [];
-  const flat = Array.isArray(terms) ? terms.flat() : [];
-  const cats = flat.filter(t => t?.taxonomy === "category").map(t => t?.name).filter(Boolean);
-  const eventCats = flat
-    .filter(t => /event/i.test(String(t?.taxonomy)))
-    .map(t => t?.name)
-    .filter(Boolean);
+  if (prev && p.fingerprint && prev.fingerprint === p.fingerprint) {
+    return { applied: false, reason: "unchanged" };
+  }
+  if (prev?.modified_gmt && p.modified_gmt && String(p.modified_gmt) < prev.modified_gmt) {
+    return { applied: false, reason: "stale" };
+  }
 
-  // ACF/meta best-effort
-  const acf = p.acf || p.meta || {};
-  const start = acf.start_date || acf.date || acf.start || null;
-  const end   = acf.end_date   || acf.end   || null;
+  const status = String(p.status || "publish");
+  if (status !== "publish" || /delete|trash/i.test(String(p.action || ""))) {
+    const removed = await removeEvents([id]);
+    return { applied: removed > 0, removed: true };
+  }
 
-  let url = p.link || null;
-  url = fixHostUrl(url);
+  // Only the fields the payload carries: upsertEvents merges into the stored
+  // row, so a bare { id, modified_gmt, fingerprint } ping keeps the rest.
+  // A blank start counts as missing (start_ts/start_text derive from it); a
+  // new start without an end drops the stored end.
+  const has = (k) => p[k] !== undefined;
+  await upsertEvents([stampRow(source, {
+    id: String(p.id),
+    ...(prev ? {} : { title: "", start: null, venue: "", url: null }),
+    ...(has("title") ? { title: p.title ?? "" } : {}),
+    ...(p.start ? { start: p.start } : {}),
+    ...(has("end") ? { end: p.end || null } : {}),
+    ...(has("venue") ? { venue: p.venue || "" } : {}),
+    ...(p.url ? { url: p.url } : {}),
+    // repeat fields only when the plugin sends them (older builds don't);
+    // the ones it leaves out come from the stored rule
+    ...(has("rrule") || has("rdates") || has("exdates") ? { recurrence: prev?.recurrence ?? null } : {}),
+    ...(has("rrule") ? { rrule: p.rrule } : {}),
+    ...(has("rdates") ? { rdates: p.rdates } : {}),
+    ...(has("exdates") ? { exdates: p.exdates } : {}),
+    status,
+    ...(p.modified_gmt ? { modified_gmt: String(p.modified_gmt) } : {}),
+    ...(p.fingerprint ? { fingerprint: p.fingerprint } : {}),
+    detail_at: null, // force a fresh detail fetch
+  })]);
+  return { applied: true };
+}
 
+/** getSyncStatus: last sync, row count and last error (overall + per source) */
+export async function getSyncStatus() {
+  const { aliases = {}, ...meta } = await getStoreMeta();
+  const counts = {};
+  for (const e of await allEvents()) counts[sourceOf(e)] = (counts[sourceOf(e)] || 0) + 1;
+  const sources = {};
+  for (const s of await loadSources()) {
+    sources[s.id] = { type: s.type, ...(meta.sources?.[s.id] || {}), count: counts[s.id] || 0 };
+  }
   return {
-    id: String(p.id),
-    title: p.title?.rendered || "",
-    start,
-    end,
-    venue: acf.venue || "",
-    category: eventCats[0] || cats[0] || null,
-    url,
-    availability: acf.availability ?? null,
-    price_from: acf.price_from ?? null,
-    content_0_text: stripTags(contentHtml).slice(0, 1200),
+    ...meta,
+    sources,
+    aliases: Object.keys(aliases).length,
+    syncing: Boolean(syncing),
+    stale: !lastSyncTs || now() - lastSyncTs >= TTL_SYNC_MS,
+  };
+}
+
+// The store keeps one row per source; readers see the merged catalogue where
+// cross-source duplicates collapse into one canonical event (./dedupe.js)
+// and each event is linked to a `venue_id` (./venues.js).
+async function getCatalogue() {
+  const rows = await allEvents();
+  const revision = getStoreRevision();
+  const venues = await loadVenues();
+  if (viewCache.events && viewCache.revision === revision && viewCache.venues === venues) return viewCache;
+  const deduped = dedupeEvents(rows, { ranks: sourceRanks(await loadSources()) });
+  const events = linkVenues(deduped.events, venues);
+  const { aliases } = deduped;
+
+  // Remember every alias ever issued so links keep working after a duplicate
+  // row disappears from its source.
+  const known = (await getStoreMeta()).aliases || {};
+  const fresh = [...aliases].filter(([from, to]) => known[from] !== to);
+  if (fresh.length) await updateStoreMeta({ aliases: { ...known, ...Object.fromEntries(fresh) } });
+  for (const [from, to] of Object.entries(known)) if (!aliases.has(from)) aliases.set(from, to);
+
+  viewCache = {
+    revision,
+    venues,
+    events,
+    byId: new Map(events.map(e => [String(e.id), e])),
+    aliases,
+    index: null,
+    vectors: null,
   };
+  return viewCache;
+}
+
+// The inverted index is rebuilt only when the catalogue changes.
+async function getSearchIndex() {
+  const view = await getCatalogue();
+  if (!view.index) view.index = buildIndex(view.events);
+  return view.index;
+}
+
+// The vector index (semantic search) is rebuilt with the catalogue too, or
+// when the embedding provider changes. A remote provider that fails falls
+// back to in-process vectors until the next rebuild.
+async function getVectorIndex() {
+  const provider = getEmbeddingProvider();
+  if (!provider) return null;
+  const view = await getCatalogue();
+  if (!view.vectors || view.vectors.provider !== provider) {
+    const building = buildVectorIndex(view.events, provider, { cache: vectorCache }).catch((e) => {
+      console.warn(`[events] embeddings via ${provider.id} failed, using local vectors:`, e.message);
+      return buildVectorIndex(view.events, createHashEmbedder());
+    });
+    view.vectors = { provider, building };
+  }
+  return view.vectors.building;
+}
+
+// Vectorize right after a sync so the first semantic query doesn't wait
+function refreshVectors() {
+  getVectorIndex().catch(e => console.warn("[events] vector index failed:", e.message));
 }
 
 /**
- * findEvents: lightweight list for grid/search
- * Supports optional { limit, q } (title contains)
+ * resolveEventId: canonical id for an id that was merged into another event.
+ * Occurrence ids ("<id>@YYYY-MM-DDTHHMM", "<id>@YYYY-MM-DD") resolve to their series.
  */
-export async function findEvents({ limit = 50, q = "" } = {}) {
-  if (listCache.data && now() - listCache.ts < TTL_LIST_MS) {
-    const out = listCache.data;
-    return q
-      ? out.filter(e => e.title.toLowerCase().includes(q.toLowerCase())).slice(0, limit)
-      : out.slice(0, limit);
+export async function resolveEventId(id) {
+  const { aliases, byId } = await getCatalogue();
+  const key = seriesId(id);
+  if (byId.has(key)) return key;
+  return aliases.get(key) || key;
+}
+
+/**
+ * getStoredRows: the stored rows behind catalogue events, in order — the
+ * series for an occurrence and one row per source for a merged event — so an
+ * export can be imported again without the merge showing up as edits.
+ */
+export async function getStoredRows(events = []) {
+  const byId = new Map((await allEvents()).map(r => [String(r.id), r]));
+  const out = new Map();
+  for (const e of events) {
+    for (const id of [e.series_id ?? e.id, ...(e.merged_ids || [])]) {
+      const row = byId.get(String(id));
+      if (row && !out.has(row.id)) out.set(row.id, row);
+    }
   }
+  return linkVenues([...out.values()], await loadVenues());
+}
+
+/**
+ * findEvents: lightweight list for grid/search (served from the store)
+ * Supports optional { limit, q, from, to }.
+ * With q, runs a ranked full-text search (terms are OR'ed, BM25-scored over
+ * title/venue/category/content) and each row carries `score` + `highlights`.
+ * With from/to (epoch ms), recurring events expand into one row per
+ * occurrence inside the window (see ./recurrence.js) and rows outside it drop.
+ */
+export async function findEvents({ limit = 50, q = "", from = null, to = null } = {}) {
+  await ensureFresh();
+  const windowed = from != null || to != null;
+  const rows = !String(q).trim()
+    ? (await getCatalogue()).events
+    : searchIndex(await getSearchIndex(), q, { limit: windowed ? Infinity : limit });
+  if (!windowed) return rows.slice(0, limit);
+  return inWindow(rows, from, to).slice(0, limit);
+}
 
-  const raw = await fetchJson(makeUrl("/wp-json/example/v1/events"));
-  const arr = Array.isArray(raw) ? raw : [];
-  const mapped = arr.map(e => ({
-    id: String(e.id),
-    title: e.title || e.post_title || "",
-  }));
+function inWindow(rows, from, to) {
+  return expandInWindow(rows, { from, to })
+    .filter(r => Number.isFinite(r.start_ts) && (from == null || r.start_ts >= from) && (to == null || r.start_ts <= to));
+}
 
-  listCache = { ts: now(), data: mapped };
+/**
+ * searchEvents: hybrid ranking — BM25 keyword scores (normalized to the best
+ * hit) blended with embedding cosine similarity:
+ *   score = (1 - w) · keyword + w · semantic,  w = SEARCH_SEMANTIC_WEIGHT (0.35)
+ * Semantic-only hits need similarity ≥ SEARCH_SEMANTIC_MIN (0.25), so "something
+ * chilled for a date night" can find events whose words never match.
+ * Rows carry `score`, `keyword_score` (raw BM25, 0 if no term matched),
+ * `semantic_score` and keyword `highlights`. Same { limit, q, from, to } as
+ * findEvents; without q it is findEvents.
+ */
+export async function searchEvents({ limit = 50, q = "", from = null, to = null } = {}) {
+  const text = String(q || "").trim();
+  if (!text) return findEvents({ limit, q: "", from, to });
+  await ensureFresh();
 
-  return q
-    ? mapped.filter(e => e.title.toLowerCase().includes(q.toLowerCase())).slice(0, limit)
-    : mapped.slice(0, limit);
+  const keyword = searchIndex(await getSearchIndex(), text, { limit: Infinity });
+  let semantic = [];
+  try {
+    const index = await getVectorIndex();
+    if (index) {
+      semantic = await searchVectors(index, text, {
+        limit: Infinity,
+        minScore: Number(process.env.SEARCH_SEMANTIC_MIN || 0.25),
+      });
+    }
+  } catch (e) {
+    console.warn("[events] semantic search failed, keyword only:", e.message);
+  }
+
+  const w = Math.min(1, Math.max(0, Number(process.env.SEARCH_SEMANTIC_WEIGHT || 0.35)));
+  const top = keyword[0]?.score || 1;
+  const byId = new Map();
+  for (const r of keyword) byId.set(String(r.id), { row: r, kw: r.score, sem: 0 });
+  for (const { row, similarity } of semantic) {
+    const hit = byId.get(String(row.id));
+    if (hit) hit.sem = similarity;
+    else byId.set(String(row.id), { row: { ...row, highlights: {} }, kw: 0, sem: similarity });
+  }
+  const round = (x) => Math.round(x * 1000) / 1000;
+  const rows = [...byId.values()]
+    .map(({ row, kw, sem }) => ({
+      ...row,
+      score: round((1 - w) * (kw / top) + w * sem),
+      keyword_score: round(kw),
+      semantic_score: round(sem),
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const windowed = from != null || to != null;
+  return (windowed ? inWindow(rows, from, to) : rows).slice(0, limit);
+}
+
+function notFound(id) {
+  const err = new Error(`event ${id} not found`);
+  err.status = 404;
+  return err;
 }
 
 /**
- * getEventById: richer, single event by numeric ID
- * Tries WP core posts first; falls back to likely endpoints.
+ * getEventById: richer, single event by store id
+ * Ids absorbed by de-duplication resolve to their canonical event.
+ * Served from the store while its detail is fresh; otherwise asks the
+ * event's source for details (WP only today) and writes the result back.
+ * If the source is unreachable the stored copy is returned as-is.
+ * Throws an Error with `status = 404` for ids neither the store nor WP knows.
  */
 export async function getEventById(id) {
-  const key = String(id);
-  const c = detailCache.get(key);
-  if (c && now() - c.ts < TTL_DETAIL_MS) return c.data;
-
-  const candidates = [
-    makeUrl(`/wp-json/wp/v2/posts/${key}?_embed=1`),
-    makeUrl(`/wp-json/wp/v2/event/${key}?_embed=1`),
-    makeUrl(`/wp-json/example/v1/events/${key}`),
-  ];
-
-  let data = null, lastErr = null;
-  for (const url of candidates) {
-    try {
-      const d = await fetchJson(url);
-      if (d && (d.id || d.title)) { data = d; break; }
-    } catch (e) {
-      lastErr = e;
-    }
+  // make sure a cold store knows the catalogue; a failed sync still leaves
+  // the direct source lookup below
+  await ensureFresh().catch(() => {});
+  const key = await resolveEventId(id);
+  const stored = await getStoredEvent(key);
+  // merged view of the stored row (cross-source fields + provenance)
+  const view = async (row) => (await getCatalogue()).byId.get(key) || row;
+
+  if (stored?.detail_at && stored.detail_at > detailEpoch && now() - stored.detail_at < TTL_DETAIL_MS) {
+    return view(stored);
   }
-  if (!data) throw lastErr || new Error("no detail endpoint found");
-
-  let out;
-  if (data && data.id && data.title && data.content) {
-    out = mapFromWpPost(data);
-  } else {
-    let url = data.link || null;
-    url = fixHostUrl(url);
-    out = {
-      id: String(data.id || id),
-      title: data.title?.rendered || data.title || "",
-      start: null,
-      end: null,
-      venue: "",
-      category: null,
-      url,
-      availability: null,
-      price_from: null,
-      content_0_text: stripTags(data.content?.rendered || "").slice(0, 1200),
-    };
+
+  // Unknown ids are treated as posts on the default WP install (legacy lookups).
+  const source = stored ? await getSource(sourceOf(stored)) : await primaryWordPressSource();
+  if (!source?.getDetail) {
+    if (stored) return view(stored);
+    throw notFound(key);
   }
 
-  detailCache.set(key, { ts: now(), data: out });
-  return out;
+  let fetched;
+  try {
+    fetched = stampRow(source, await source.getDetail(stored?.source_ref || key));
+  } catch (e) {
+    if (stored) return view(stored);
+    // WP answered, it just has no such post
+    if (/^404\b/.test(e.message)) throw notFound(key);
+    throw e;
+  }
+
+  const merged = { ...(stored || {}), ...definedOnly(fetched), id: stored ? key : fetched.id, detail_at: now() };
+  // Only catalogue events are persisted; ad-hoc post lookups stay transient.
+  if (!stored) return merged;
+  await upsertEvents([merged]);
+  return view(merged);
+}
+
+/** listVenues: registered + ad-hoc venues with event counts */
+export async function listVenues() {
+  await ensureFresh();
+  const { events, venues } = await getCatalogue();
+  return summarizeVenues(events, venues);
+}
+
+/**
+ * getVenue: one venue by id, or by a raw name that fuzzy-matches one
+ * ("the roundhouse" → roundhouse). Returns null if unknown.
+ */
+export async function getVenue(idOrName) {
+  const all = await listVenues();
+  const key = String(idOrName || "");
+  const hit = all.find(v => v.id === key) || all.find(v => v.id === venueSlug(key));
+  if (hit) return hit;
+  const { venues } = await getCatalogue();
+  const m = matchVenue(key, venues);
+  return m ? all.find(v => v.id === m.venue.id) || null : null;
+}
+
+/**
+ * getCatalogueVersion: opaque string that changes whenever the stored
+ * catalogue changes, the cache is invalidated or a webhook lands (for derived
+ * caches/ETags).
+ */
+export function getCatalogueVersion() {
+  return `${getStoreRevision()}.${invalidations}.${webhooks}`;
+}
+
+/** onEventsInvalidated: call `fn` after every invalidateEventsCache(); returns an unsubscribe */
+export function onEventsInvalidated(fn) {
+  invalidateListeners.add(fn);
+  return () => invalidateListeners.delete(fn);
 }
 
 /** invalidateEventsCache: used by webhooks/admin ping to force refresh */
 export function invalidateEventsCache() {
-  listCache = { ts: 0, data: null };
-  detailCache.clear();
+  lastSyncTs = 0;
+  detailEpoch = now();
+  invalidations++;
+  for (const fn of invalidateListeners) {
+    try { fn(); } catch (e) { console.warn("[events] invalidate listener failed:", e.message); }
+  }
 }
@@ -0,0 +1,223 @@
+// server/lib/feeds.js
+// Syndication output: RSS 2.0, Atom 1.0 and JSON Feed 1.1 from one feed model
+//   { title, home, self, id, updated, items: [{ id, title, url, summary,
+//     content_html, published, updated, tags, _event? }] }
+// plus a small response cache with ETag/Last-Modified for /feeds/*.
+
+import crypto from "crypto";
+import { describeEventDate } from "./dates.js";
+
+export const FEED_FORMATS = {
+  rss: "application/rss+xml; charset=utf-8",
+  atom: "application/atom+xml; charset=utf-8",
+  json: "application/feed+json; charset=utf-8",
+};
+
+const xml = (v) => String(v ?? "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&apos;");
+
+// The date part of tag: ids (RFC 4151) — a day the domain was ours. It must
+// never change once feeds are out, or readers see every item as new;
+// FEED_TAG_DATE ("2025", "2025-06" or "2025-06-01") sets it for another domain.
+const TAG_DATE = "2025";
+
+const iso = (ms) => new Date(ms).toISOString();
+const rfc822 = (ms) => new Date(ms).toUTCString();
+
+/** tagUri: stable, globally unique id (RFC 4151) — "tag:example.com,2025:event:42" */
+export function tagUri(domain, kind, id) {
+  return `tag:${domain || "events.local"},${process.env.FEED_TAG_DATE || TAG_DATE}:${kind}:${id}`;
+}
+
+// "£12.50" in EVENTS_CURRENCY (default GBP, as in ./schema.js)
+function price(v) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return String(v);
+  try {
+    return new Intl.NumberFormat("en-GB", { style: "currency", currency: process.env.EVENTS_CURRENCY || "GBP" }).format(n);
+  } catch {
+    return String(v); // unknown currency code
+  }
+}
+
+const html = (v) => String(v ?? "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+const stripTags = (v) => String(v ?? "").replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+
+/**
+ * eventFeedItem: normalized event → feed item. `published` is when the event
+ * last changed in the store; the event's own dates travel in `_event`.
+ */
+export function eventFeedItem(e, { domain, fallbackUrl = null } = {}) {
+  const when = describeEventDate(e);
+  const where = e.venue || "Venue TBC";
+  const changed = Date.parse(e.updated_at || "") || e.start_ts || 0;
+  return {
+    id: tagUri(domain, "event", e.id),
+    title: e.title || "Untitled event",
+    url: e.url || fallbackUrl,
+    summary: `${when} — ${where}`,
+    content_html: [
+      `<p><strong>When:</strong> ${html(when)}</p>`,
+      `<p><strong>Where:</strong> ${html(where)}</p>`,
+      e.price_from != null ? `<p><strong>From:</strong> ${html(price(e.price_from))}</p>` : "",
+      e.content_0_text ? `<p>${html(e.content_0_text)}</p>` : "",
+    ].join(""),
+    published: changed,
+    updated: changed,
+    tags: [...new Set([].concat(e.category || [], e.categories || []).filter(Boolean))],
+    _event: {
+      event_id: String(e.id),
+      start: e.start ?? null,
+      end: e.end ?? null,
+      tz: e.tz ?? null,
+      all_day: Boolean(e.all_day),
+      venue: e.venue || null,
+      venue_id: e.venue_id ?? null,
+      price_from: e.price_from ?? null,
+      availability: e.availability ?? null,
+    },
+  };
+}
+
+/** postFeedItem: /api/wp/posts row → feed item */
+export function postFeedItem(p, { domain } = {}) {
+  const gmt = (v) => (v ? Date.parse(`${String(v).replace(" ", "T")}Z`) : NaN);
+  const published = gmt(p.date_gmt) || Date.parse(p.date || "") || 0;
+  return {
+    id: tagUri(domain, "post", p.id),
+    title: stripTags(p.title) || "Untitled",
+    url: p.url || null,
+    summary: stripTags(p.excerpt),
+    content_html: p.excerpt || "",
+    published,
+    updated: gmt(p.modified_gmt) || published,
+    tags: p.categories || [],
+  };
+}
+
+/** toRss: RSS 2.0 document */
+export function toRss(feed) {
+  const items = feed.items.map(it => [
+    "    <item>",
+    `      <title>${xml(it.title)}</title>`,
+    it.url ? `      <link>${xml(it.url)}</link>` : "",
+    `      <guid isPermaLink="false">${xml(it.id)}</guid>`,
+    `      <pubDate>${rfc822(it.published)}</pubDate>`,
+    ...(it.tags || []).map(t => `      <category>${xml(t)}</category>`),
+    `      <description>${xml(it.content_html || it.summary || "")}</description>`,
+    "    </item>",
+  ].filter(Boolean).join("\n"));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "  <channel>",
+    `    <title>${xml(feed.title)}</title>`,
+    `    <link>${xml(feed.home)}</link>`,
+    `    <description>${xml(feed.description || feed.title)}</description>`,
+    `    <atom:link href="${xml(feed.self)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${rfc822(feed.updated)}</lastBuildDate>`,
+    ...items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+}
+
+/** toAtom: Atom 1.0 document */
+export function toAtom(feed) {
+  const entries = feed.items.map(it => [
+    "  <entry>",
+    `    <id>${xml(it.id)}</id>`,
+    `    <title>${xml(it.title)}</title>`,
+    it.url ? `    <link rel="alternate" href="${xml(it.url)}"/>` : "",
+    `    <published>${iso(it.published)}</published>`,
+    `    <updated>${iso(it.updated ?? it.published)}</updated>`,
+    ...(it.tags || []).map(t => `    <category term="${xml(t)}"/>`),
+    it.summary ? `    <summary>${xml(it.summary)}</summary>` : "",
+    it.content_html ? `    <content type="html">${xml(it.content_html)}</content>` : "",
+    "  </entry>",
+  ].filter(Boolean).join("\n"));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${xml(feed.id)}</id>`,
+    `  <title>${xml(feed.title)}</title>`,
+    `  <updated>${iso(feed.updated)}</updated>`,
+    `  <link rel="self" href="${xml(feed.self)}"/>`,
+    `  <link rel="alternate" href="${xml(feed.home)}"/>`,
+    `  <author><name>${xml(feed.author || feed.title)}</name></author>`,
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n");
+}
+
+/** toJsonFeed: JSON Feed 1.1 document (event items carry an `_event` extension) */
+export function toJsonFeed(feed) {
+  return JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    home_page_url: feed.home,
+    feed_url: feed.self,
+    ...(feed.description ? { description: feed.description } : {}),
+    items: feed.items.map(it => ({
+      id: it.id,
+      url: it.url || undefined,
+      title: it.title,
+      ...(it.content_html ? { content_html: it.content_html } : { content_text: it.summary || "" }),
+      ...(it.summary ? { summary: it.summary } : {}),
+      date_published: iso(it.published),
+      date_modified: iso(it.updated ?? it.published),
+      ...(it.tags?.length ? { tags: it.tags } : {}),
+      ...(it._event ? { _event: it._event } : {}),
+    })),
+  }, null, 2);
+}
+
+/** renderFeed: feed model → body string in the requested format */
+export function renderFeed(format, feed) {
+  if (format === "rss") return toRss(feed);
+  if (format === "atom") return toAtom(feed);
+  return toJsonFeed(feed);
+}
+
+// ── response cache
+// Entries hold the rendered body plus validators; they are dropped on
+// clearFeedCache() (wired to invalidateEventsCache) or when `version` moves.
+const cache = new Map(); // key → { version, body, etag, lastModified, at }
+const MAX_ENTRIES = 200;  // distinct filter combinations kept
+
+/**
+ * cachedFeed: cached { body, etag, lastModified } for key, rebuilt via
+ * build() → { body, updated } when missing, stale (ttlMs) or a new version.
+ */
+export async function cachedFeed(key, { version = null, ttlMs = Infinity } = {}, build) {
+  const hit = cache.get(key);
+  if (hit && hit.version === version && Date.now() - hit.at < ttlMs) return hit;
+  const { body, updated } = await build();
+  const entry = {
+    version,
+    body,
+    etag: `"${crypto.createHash("sha1").update(body).digest("base64url").slice(0, 20)}"`,
+    lastModified: new Date(Math.floor(updated / 1000) * 1000).toUTCString(),
+    at: Date.now(),
+  };
+  cache.delete(key);
+  cache.set(key, entry);
+  if (cache.size > MAX_ENTRIES) cache.delete(cache.keys().next().value); // oldest first
+  return entry;
+}
+
+/** clearFeedCache: drop every cached feed (prefix limits it to one kind) */
+export function clearFeedCache(prefix = "") {
+  for (const key of cache.keys()) if (key.startsWith(prefix)) cache.delete(key);
+}
@@ -0,0 +1,177 @@
+// server/lib/filters.js
+// Structured filtering, sorting and cursor pagination for event lists.
+// Shared by /api/events and anything else that accepts "the same filters".
+
+import crypto from "crypto";
+import { parseEventDate, eventStartTs, endOfLocalDay } from "./dates.js";
+import { expandInWindow } from "./recurrence.js";
+import { parseRadius, withDistance, NEAR_KM } from "./geo.js";
+
+const MAX_LIMIT = 100;
+const SORTS = ["start", "title", "relevance", "distance"];
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+const truthy = (v) => ["1", "true", "yes"].includes(String(v ?? "").toLowerCase());
+
+// Accepts dates or datetimes (site timezone unless an offset is given);
+// a bare day as `to` covers the whole day.
+function parseBound(v, name, endOfDay = false) {
+  if (v == null || v === "") return null;
+  const p = parseEventDate(v);
+  if (p.ts == null) throw badRequest(`invalid ${name}: ${v}`);
+  return !p.timeKnown && endOfDay ? endOfLocalDay(p.ts, p.tz) : p.ts;
+}
+
+function parseCoord(v, name, max) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || Math.abs(n) > max) throw badRequest(`invalid ${name}: ${v}`);
+  return n;
+}
+
+/** startTime: event start as epoch ms, or null when unknown/unparseable */
+export function startTime(row) {
+  return eventStartTs(row) ?? null;
+}
+
+// Signature of everything that shapes the result set, so a cursor cannot be
+// replayed against a different query.
+function querySignature(opts) {
+  const { cursor, limit, envelope, ...rest } = opts;
+  return crypto.createHash("sha1").update(JSON.stringify(rest)).digest("base64url").slice(0, 10);
+}
+
+function encodeCursor(offset, sig) {
+  return Buffer.from(JSON.stringify({ o: offset, s: sig })).toString("base64url");
+}
+
+function decodeCursor(cursor, sig) {
+  try {
+    const { o, s } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (s !== sig || !Number.isInteger(o) || o < 0) throw new Error();
+    return o;
+  } catch {
+    throw badRequest("invalid cursor for this query");
+  }
+}
+
+/**
+ * parseEventQuery: read filter/sort/paging params from a request query.
+ * Throws an Error with `status = 400` on malformed input.
+ */
+export function parseEventQuery(query = {}, { defaultLimit = 50 } = {}) {
+  const q = String(query.q || "");
+  const lat = parseCoord(query.lat, "lat", 90);
+  const lng = parseCoord(query.lng, "lng", 180);
+  if ((lat == null) !== (lng == null)) throw badRequest("lat and lng must be given together");
+  const radius = query.radius != null && query.radius !== "" ? parseRadius(query.radius) : null;
+  if (query.radius != null && query.radius !== "" && radius == null) throw badRequest(`invalid radius: ${query.radius}`);
+  const near = String(query.near || "").trim();
+  const geo = lat != null || near;
+
+  const sort = String(query.sort || (q ? "relevance" : geo ? "distance" : "")).toLowerCase();
+  if (sort && !SORTS.includes(sort)) throw badRequest(`invalid sort: ${sort} (use ${SORTS.join("|")})`);
+
+  const maxPrice = query.max_price != null && query.max_price !== "" ? Number(query.max_price) : null;
+  if (maxPrice != null && Number.isNaN(maxPrice)) throw badRequest("invalid max_price");
+
+  const opts = {
+    q,
+    from: parseBound(query.from, "from"),
+    to: parseBound(query.to, "to", true),
+    venue: String(query.venue || "").trim().toLowerCase(),
+    category: String(query.category || "").trim().toLowerCase(),
+    maxPrice,
+    availability: String(query.availability || "")
+      .split(",").map(s => s.trim().toLowerCase()).filter(Boolean),
+    // origin for distance filtering; `near` (a place name) is resolved by the
+    // caller into lat/lng — see ./geo.js resolvePlace
+    lat,
+    lng,
+    near,
+    radiusKm: radius ?? (geo ? NEAR_KM : null),
+    sort,
+    order: String(query.order || "").toLowerCase() === "desc" ? "desc" : "asc",
+    limit: Math.max(1, Math.min(MAX_LIMIT, Number(query.limit || defaultLimit) || defaultLimit)),
+    cursor: query.cursor ? String(query.cursor) : null,
+  };
+  opts.envelope = truthy(query.envelope) || Boolean(opts.cursor);
+  return opts;
+}
+
+/** matchesFilters: true if the row passes every structured filter in opts */
+export function matchesFilters(row, opts) {
+  if (opts.from != null || opts.to != null) {
+    const t = startTime(row);
+    if (t == null) return false;
+    if (opts.from != null && t < opts.from) return false;
+    if (opts.to != null && t > opts.to) return false;
+  }
+  if (opts.venue && row.venue_id !== opts.venue &&
+      !String(row.venue || "").toLowerCase().includes(opts.venue)) return false;
+  if (opts.category) {
+    const cats = [].concat(row.category || [], row.categories || []).map(c => String(c).toLowerCase());
+    if (!cats.some(c => c.includes(opts.category))) return false;
+  }
+  if (opts.maxPrice != null) {
+    const p = Number(row.price_from);
+    if (row.price_from == null || row.price_from === "" || Number.isNaN(p) || p > opts.maxPrice) return false;
+  }
+  if (opts.availability.length &&
+      !opts.availability.includes(String(row.availability || "").toLowerCase())) return false;
+  if (opts.lat != null && (row.distance_km == null || row.distance_km > opts.radiusKm)) return false;
+  return true;
+}
+
+function sortRows(rows, { sort, order }) {
+  const dir = order === "desc" ? -1 : 1;
+  if (sort === "start") {
+    // unknown dates always sink to the end
+    return [...rows].sort((a, b) => {
+      const ta = startTime(a), tb = startTime(b);
+      if (ta == null && tb == null) return 0;
+      if (ta == null) return 1;
+      if (tb == null) return -1;
+      return (ta - tb) * dir;
+    });
+  }
+  if (sort === "title") {
+    return [...rows].sort((a, b) =>
+      String(a.title || "").localeCompare(String(b.title || ""), undefined, { sensitivity: "base" }) * dir);
+  }
+  if (sort === "relevance") {
+    return [...rows].sort((a, b) => ((b.score ?? 0) - (a.score ?? 0)) * dir);
+  }
+  if (sort === "distance") {
+    return [...rows].sort((a, b) => ((a.distance_km ?? Infinity) - (b.distance_km ?? Infinity)) * dir);
+  }
+  return rows;
+}
+
+/**
+ * applyEventQuery: filter → sort → page.
+ * With a from/to window, recurring events first expand into their
+ * occurrences inside it (each filtered like a one-off event).
+ * With lat/lng, rows gain `distance_km` and are kept within radiusKm.
+ * Returns { items, total, next } where `next` is an opaque cursor or null.
+ */
+export function applyEventQuery(rows = [], opts) {
+  const windowed = opts.from != null || opts.to != null;
+  let candidates = windowed ? expandInWindow(rows.filter(Boolean), { from: opts.from, to: opts.to }) : rows;
+  if (opts.lat != null) candidates = withDistance(candidates.filter(Boolean), { lat: opts.lat, lng: opts.lng });
+  const filtered = sortRows(candidates.filter(r => r && matchesFilters(r, opts)), opts);
+  const sig = querySignature(opts);
+  const offset = opts.cursor ? decodeCursor(opts.cursor, sig) : 0;
+  const items = filtered.slice(offset, offset + opts.limit);
+  const end = offset + items.length;
+  return {
+    items,
+    total: filtered.length,
+    next: end < filtered.length ? encodeCursor(end, sig) : null,
+  };
+}
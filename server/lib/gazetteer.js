@@ -0,0 +1,95 @@
+// server/lib/gazetteer.js
+// Bundled offline gazetteer for "near …" searches (see ./geo.js).
+// Approximate centre points; London areas first, then UK towns and cities.
+// `radius` (km) is how far "in <place>" reaches; areas default to NEAR_KM in ./geo.js.
+// Registered venues with coordinates (config/venues.json) are searched too,
+// so this list only needs places people name, not every venue.
+
+export const PLACES = [
+  // ── London areas
+  { name: "Camden", aliases: ["Camden Town"], lat: 51.5390, lng: -0.1426 },
+  { name: "Chalk Farm", lat: 51.5441, lng: -0.1538 },
+  { name: "Kentish Town", lat: 51.5505, lng: -0.1404 },
+  { name: "Islington", aliases: ["Angel"], lat: 51.5362, lng: -0.1033 },
+  { name: "King's Cross", aliases: ["Kings Cross", "St Pancras"], lat: 51.5308, lng: -0.1238 },
+  { name: "Euston", lat: 51.5282, lng: -0.1337 },
+  { name: "Soho", lat: 51.5136, lng: -0.1365 },
+  { name: "Covent Garden", lat: 51.5117, lng: -0.1240 },
+  { name: "West End", aliases: ["Theatreland"], lat: 51.5120, lng: -0.1300 },
+  { name: "Leicester Square", lat: 51.5103, lng: -0.1301 },
+  { name: "Westminster", lat: 51.4975, lng: -0.1357 },
+  { name: "Mayfair", lat: 51.5094, lng: -0.1480 },
+  { name: "Marylebone", lat: 51.5200, lng: -0.1540 },
+  { name: "Paddington", lat: 51.5154, lng: -0.1755 },
+  { name: "Notting Hill", lat: 51.5090, lng: -0.1960 },
+  { name: "Kensington", lat: 51.4990, lng: -0.1938 },
+  { name: "South Kensington", lat: 51.4941, lng: -0.1738 },
+  { name: "Chelsea", lat: 51.4875, lng: -0.1687 },
+  { name: "Fulham", lat: 51.4800, lng: -0.1950 },
+  { name: "Hammersmith", lat: 51.4927, lng: -0.2240 },
+  { name: "Shepherd's Bush", aliases: ["Shepherds Bush"], lat: 51.5046, lng: -0.2187 },
+  { name: "Brixton", lat: 51.4613, lng: -0.1156 },
+  { name: "Clapham", lat: 51.4620, lng: -0.1380 },
+  { name: "Battersea", lat: 51.4700, lng: -0.1700 },
+  { name: "Vauxhall", lat: 51.4861, lng: -0.1253 },
+  { name: "Southbank", aliases: ["South Bank", "Waterloo"], lat: 51.5055, lng: -0.1160 },
+  { name: "London Bridge", lat: 51.5050, lng: -0.0860 },
+  { name: "Bermondsey", lat: 51.4980, lng: -0.0630 },
+  { name: "Peckham", lat: 51.4740, lng: -0.0690 },
+  { name: "Greenwich", lat: 51.4826, lng: -0.0077 },
+  { name: "Deptford", lat: 51.4790, lng: -0.0260 },
+  { name: "Lewisham", lat: 51.4615, lng: -0.0090 },
+  { name: "City of London", lat: 51.5155, lng: -0.0922 },
+  { name: "Barbican", lat: 51.5200, lng: -0.0940 },
+  { name: "Clerkenwell", lat: 51.5240, lng: -0.1050 },
+  { name: "Shoreditch", lat: 51.5264, lng: -0.0786 },
+  { name: "Hoxton", lat: 51.5310, lng: -0.0810 },
+  { name: "Dalston", lat: 51.5460, lng: -0.0750 },
+  { name: "Hackney", lat: 51.5450, lng: -0.0553 },
+  { name: "Bethnal Green", lat: 51.5270, lng: -0.0550 },
+  { name: "Whitechapel", lat: 51.5196, lng: -0.0600 },
+  { name: "Stratford", lat: 51.5413, lng: -0.0032 },
+  { name: "Canary Wharf", lat: 51.5054, lng: -0.0235 },
+  { name: "Walthamstow", lat: 51.5830, lng: -0.0200 },
+  { name: "Stoke Newington", lat: 51.5620, lng: -0.0740 },
+  { name: "Finsbury Park", lat: 51.5642, lng: -0.1065 },
+  { name: "Highbury", lat: 51.5460, lng: -0.1030 },
+  { name: "Holloway", lat: 51.5530, lng: -0.1170 },
+  { name: "Archway", lat: 51.5653, lng: -0.1353 },
+  { name: "Highgate", lat: 51.5716, lng: -0.1448 },
+  { name: "Hampstead", lat: 51.5560, lng: -0.1780 },
+  { name: "Kilburn", lat: 51.5470, lng: -0.1950 },
+  { name: "Wembley", lat: 51.5560, lng: -0.2796 },
+  { name: "Tottenham", lat: 51.5880, lng: -0.0720 },
+  { name: "Wimbledon", lat: 51.4214, lng: -0.2064 },
+  { name: "Richmond", lat: 51.4613, lng: -0.3037 },
+  { name: "Croydon", lat: 51.3762, lng: -0.0982 },
+  { name: "London", aliases: ["Central London"], lat: 51.5074, lng: -0.1278, radius: 15 },
+
+  // ── UK towns and cities
+  { name: "Manchester", lat: 53.4808, lng: -2.2426, radius: 10 },
+  { name: "Birmingham", lat: 52.4862, lng: -1.8904, radius: 10 },
+  { name: "Leeds", lat: 53.8008, lng: -1.5491, radius: 10 },
+  { name: "Liverpool", lat: 53.4084, lng: -2.9916, radius: 10 },
+  { name: "Sheffield", lat: 53.3811, lng: -1.4701, radius: 10 },
+  { name: "Bristol", lat: 51.4545, lng: -2.5879, radius: 10 },
+  { name: "Newcastle", aliases: ["Newcastle upon Tyne"], lat: 54.9783, lng: -1.6178, radius: 10 },
+  { name: "Nottingham", lat: 52.9548, lng: -1.1581, radius: 10 },
+  { name: "Leicester", lat: 52.6369, lng: -1.1398, radius: 10 },
+  { name: "Brighton", lat: 50.8225, lng: -0.1372, radius: 10 },
+  { name: "Oxford", lat: 51.7520, lng: -1.2577, radius: 10 },
+  { name: "Cambridge", lat: 52.2053, lng: 0.1218, radius: 10 },
+  { name: "Bath", lat: 51.3811, lng: -2.3590, radius: 10 },
+  { name: "York", lat: 53.9590, lng: -1.0815, radius: 10 },
+  { name: "Norwich", lat: 52.6309, lng: 1.2974, radius: 10 },
+  { name: "Southampton", lat: 50.9097, lng: -1.4044, radius: 10 },
+  { name: "Portsmouth", lat: 50.8198, lng: -1.0880, radius: 10 },
+  { name: "Reading", lat: 51.4543, lng: -0.9781, radius: 10 },
+  { name: "Cardiff", lat: 51.4816, lng: -3.1791, radius: 10 },
+  { name: "Swansea", lat: 51.6214, lng: -3.9436, radius: 10 },
+  { name: "Edinburgh", lat: 55.9533, lng: -3.1883, radius: 10 },
+  { name: "Glasgow", lat: 55.8642, lng: -4.2518, radius: 10 },
+  { name: "Aberdeen", lat: 57.1497, lng: -2.0943, radius: 10 },
+  { name: "Dundee", lat: 56.4620, lng: -2.9707, radius: 10 },
+  { name: "Belfast", lat: 54.5973, lng: -5.9301, radius: 10 },
+];
@@ -0,0 +1,118 @@
+// server/lib/geo.js
+// Distance helpers and place-phrase detection for "near me" searches.
+// Places come from the bundled gazetteer (./gazetteer.js) and from registered
+// venues that have coordinates (./venues.js). Events get coordinates from
+// their linked venue (or the source, e.g. JSON-LD geo).
+
+import { PLACES } from "./gazetteer.js";
+import { normText } from "./dedupe.js";
+import { loadVenues, matchVenue } from "./venues.js";
+
+const EARTH_KM = 6371;
+const KM_PER_MILE = 1.609344;
+export const NEAR_KM = 3; // default reach of "near <place>" (~2 miles)
+
+const hasCoords = (p) => Number.isFinite(p?.lat) && Number.isFinite(p?.lng);
+
+// normalized name → gazetteer entry
+const PLACE_INDEX = new Map();
+for (const p of PLACES) {
+  for (const n of [p.name, ...(p.aliases || [])]) PLACE_INDEX.set(normText(n), p);
+}
+
+/** haversineKm: great-circle distance between two { lat, lng } points */
+export function haversineKm(a, b) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * parseRadius: "2 miles" / "2mi" / "1.5km" / "800m" / 3 → kilometres.
+ * Bare numbers are kilometres. Returns null when unparseable.
+ */
+export function parseRadius(v) {
+  if (v == null || v === "") return null;
+  const m = String(v).trim().toLowerCase()
+    .match(/^(\d+(?:\.\d+)?)\s*(miles?|mi|km|k|kilomet(?:re|er)s?|m|met(?:re|er)s?)?$/);
+  if (!m) return null;
+  const n = Number(m[1]);
+  const unit = m[2] || "km";
+  if (/^mi/.test(unit)) return n * KM_PER_MILE;
+  if (unit === "m" || /^met/.test(unit)) return n / 1000;
+  return n;
+}
+
+/**
+ * findPlace: gazetteer place or registered venue (with coordinates) by name.
+ * Returns { name, lat, lng, radiusKm, kind: "place" | "venue", id? } or null.
+ */
+export function findPlace(name, venues = []) {
+  const n = normText(name);
+  if (!n) return null;
+  const p = PLACE_INDEX.get(n);
+  if (p) return { name: p.name, lat: p.lat, lng: p.lng, radiusKm: p.radius ?? NEAR_KM, kind: "place" };
+  const hit = matchVenue(name, venues.filter(hasCoords));
+  // venue names must match closely; a loose hit on free text is too noisy
+  if (hit && hit.score >= 0.9) {
+    const v = hit.venue;
+    return { name: v.name, lat: v.lat, lng: v.lng, radiusKm: NEAR_KM, kind: "venue", id: v.id };
+  }
+  return null;
+}
+
+/** resolvePlace: findPlace against the current venue registry */
+export async function resolvePlace(name) {
+  return findPlace(name, await loadVenues());
+}
+
+const PREPOSITION = /\b(?:near(?:by)?|around|close to|next to|in|at|of|from)\s+(?:the\s+)?/gi;
+const WITHIN = /\bwithin\s+(\d+(?:\.\d+)?\s*(?:miles?|mi|km|kilomet(?:re|er)s?|m|met(?:re|er)s?))\b/i;
+const MAX_PLACE_WORDS = 4;
+
+/**
+ * detectPlace: place phrase in free text ("near Camden", "in Brixton",
+ * "within 2 miles of the Roundhouse"). Returns
+ * { place, radiusKm, phrase } — `phrase` is the matched text, so callers can
+ * drop it from the search query — or null.
+ */
+export function detectPlace(text, venues = []) {
+  const src = String(text || "");
+  for (const m of src.matchAll(PREPOSITION)) {
+    const start = m.index + m[0].length;
+    const words = src.slice(start).split(/\s+/).slice(0, MAX_PLACE_WORDS);
+    // longest candidate first: "south kensington" before "south"
+    for (let n = words.length; n > 0; n--) {
+      const cand = words.slice(0, n).join(" ").replace(/[?!.,;:]+$/, "");
+      const place = findPlace(cand, venues);
+      if (!place) continue;
+
+      const within = src.match(WITHIN);
+      const explicit = within ? parseRadius(within[1]) : null;
+      const phraseStart = within && within.index < m.index ? within.index : m.index;
+      return {
+        place,
+        radiusKm: explicit ?? place.radiusKm,
+        phrase: src.slice(phraseStart, start + cand.length).trim(),
+      };
+    }
+  }
+  return null;
+}
+
+/** withDistance: rows with `distance_km` from `origin` (null if a row has no coordinates) */
+export function withDistance(rows = [], origin) {
+  return rows.map(r => ({
+    ...r,
+    distance_km: hasCoords(r) ? Math.round(haversineKm(origin, r) * 100) / 100 : null,
+  }));
+}
+
+/** nearby: rows within radiusKm of origin, closest first, each with distance_km */
+export function nearby(rows = [], origin, radiusKm = NEAR_KM) {
+  return withDistance(rows, origin)
+    .filter(r => r.distance_km != null && r.distance_km <= radiusKm)
+    .sort((a, b) => a.distance_km - b.distance_km);
+}
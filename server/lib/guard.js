@@ -0,0 +1,255 @@
+// server/lib/guard.js
+// Hallucination guard for LLM answers.
+//
+// After generation, each answer line that names an event ("1. Title — Sat 3
+// Oct 2026, 19:30 — Venue", "**Title** at Venue on Friday") is checked
+// against the events the model was given:
+//   unknown_title   names no event in context
+//   date_mismatch   a day, weekday or time that isn't the event's
+//   venue_mismatch  a venue that isn't the event's
+// ANSWER_GUARD picks what happens to offending lines:
+//   "rewrite" (default)  unknown events are dropped, wrong dates/venues are
+//                        replaced with the event's own "Title — Date — Venue"
+//   "flag"               text left as is; issues are only reported
+//   "off"                no checking
+// Violations are appended to ANSWER_GUARD_LOG (JSON lines, default
+// server/data/answer-violations.jsonl) and kept in memory for /admin review.
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { normText, similarity } from "./dedupe.js";
+import { describeEventDate, siteTimezone, validTimezone, zonedParts, eventStartTs } from "./dates.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_LOG = path.join(__dirname, "..", "data", "answer-violations.jsonl");
+
+const TITLE_MIN = 0.75;   // Dice similarity for a title match
+const VENUE_MIN = 0.7;
+const MAX_SPAN_DAYS = 31; // multi-day events: any day up to this far counts
+const RECENT_MAX = 200;
+
+const guardMode = () => String(process.env.ANSWER_GUARD || "rewrite").toLowerCase();
+const logFile = () => process.env.ANSWER_GUARD_LOG || DEFAULT_LOG;
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MONTH_RE = "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+const DAY_MONTH_RE = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_RE}\\b`, "gi");
+const MONTH_DAY_RE = new RegExp(`\\b${MONTH_RE}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, "gi");
+const ISO_DAY_RE = /\b(\d{4})-(\d{2})-(\d{2})\b/g;
+const WEEKDAY_RE = /\b(mon|tue|tues|wed|thu|thur|thurs|fri|sat|sun)(?:day|nesday|sday|urday)?\b/gi;
+const TIME_RE = /\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b|\b(\d{1,2}):(\d{2})\b/gi;
+
+// list item: "1. …", "- …", "* …", "• …"
+const ITEM_RE = /^(\s*(?:\d+[.)]|[-*•])\s+)(.*)$/;
+const SEP_RE = /\s+[—–|·]\s+|\s+-\s+/;
+const NOT_SPECIFIED_RE = /^not specified$/i;
+
+const clean = (s) => String(s || "").replace(/\*\*|__|[“”"]/g, "").replace(/^\[[^\]]*\]\s*/, "").trim();
+
+// ── what the answer claims
+function claimedDates(text) {
+  const days = [];
+  for (const m of text.matchAll(DAY_MONTH_RE)) days.push({ d: Number(m[1]), m: MONTHS.indexOf(m[2].slice(0, 3).toLowerCase()), raw: m[0] });
+  for (const m of text.matchAll(MONTH_DAY_RE)) days.push({ d: Number(m[2]), m: MONTHS.indexOf(m[1].slice(0, 3).toLowerCase()), raw: m[0] });
+  for (const m of text.matchAll(ISO_DAY_RE)) days.push({ y: Number(m[1]), d: Number(m[3]), m: Number(m[2]) - 1, raw: m[0] });
+  const weekdays = [...text.matchAll(WEEKDAY_RE)].map(m => ({ wd: WEEKDAYS.indexOf(m[1].slice(0, 3).toLowerCase()), raw: m[0] }));
+  const times = [];
+  for (const m of text.matchAll(TIME_RE)) {
+    if (m[3]) {
+      let h = Number(m[1]) % 12;
+      if (m[3].toLowerCase() === "pm") h += 12;
+      times.push({ h, mi: Number(m[2] || 0), raw: m[0] });
+    } else if (Number(m[4]) < 24 && Number(m[5]) < 60) {
+      times.push({ h: Number(m[4]), mi: Number(m[5]), raw: m[0] });
+    }
+  }
+  return { days, weekdays, times };
+}
+
+// local calendar days (and start time) an event covers
+function eventDays(e) {
+  const start = eventStartTs(e);
+  if (start == null) return null;
+  const tz = validTimezone(e.tz) || siteTimezone();
+  const end = Number.isFinite(e.end_ts) && e.end_ts > start ? Math.min(e.end_ts, start + MAX_SPAN_DAYS * 864e5) : start;
+  const days = [];
+  for (let t = start; t <= end; t += 864e5) days.push(zonedParts(t, tz));
+  const last = zonedParts(end, tz);
+  if (!days.some(p => p.d === last.d && p.m === last.m)) days.push(last);
+  const p = days[0];
+  const timeKnown = e.time_known !== false && !e.all_day;
+  return { days, time: timeKnown ? { h: p.h, mi: p.mi } : null };
+}
+
+const weekdayOf = (p) => new Date(Date.UTC(p.y, p.m, p.d)).getUTCDay();
+
+function dateProblem(text, e) {
+  const span = eventDays(e);
+  if (!span) return null;
+  const { days, weekdays, times } = claimedDates(text);
+  for (const c of days) {
+    if (c.m < 0) continue;
+    if (!span.days.some(p => p.d === c.d && p.m === c.m && (c.y == null || c.y === p.y))) return c.raw;
+  }
+  for (const c of weekdays) {
+    if (!span.days.some(p => weekdayOf(p) === c.wd)) return c.raw;
+  }
+  if (span.time && times.length && !times.some(t => t.h === span.time.h && t.mi === span.time.mi)) {
+    return times[0].raw;
+  }
+  return null;
+}
+
+function titleScore(claim, title) {
+  const a = normText(claim), b = normText(title);
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (Math.min(a.length, b.length) >= 4 && (` ${a} `.includes(` ${b} `) || ` ${b} `.includes(` ${a} `))) return 0.9;
+  return similarity(a, b);
+}
+
+function bestEvent(claim, events) {
+  let best = null, score = 0;
+  for (const e of events) {
+    const s = titleScore(claim, e.title || e.name);
+    if (s > score) { best = e; score = s; }
+  }
+  return score >= TITLE_MIN ? best : null;
+}
+
+function sameVenue(claim, venue) {
+  const a = normText(claim), b = normText(venue);
+  if (!a || !b) return true; // nothing to compare
+  return a === b || a.includes(b) || b.includes(a) || similarity(a, b) >= VENUE_MIN;
+}
+
+function looksLikeDate(s) {
+  const { days, weekdays, times } = claimedDates(s);
+  return days.length + weekdays.length + times.length > 0 || /\b(today|tonight|tomorrow)\b/i.test(s);
+}
+
+// The title and venue a line claims
+function readLine(body) {
+  const bold = body.match(/\*\*([^*]+)\*\*/);
+  const parts = body.split(SEP_RE).map(clean).filter(Boolean);
+  const title = bold ? clean(bold[1]) : parts[0] || "";
+  let venue = null;
+  if (parts.length >= 3 && !looksLikeDate(parts[2]) && !NOT_SPECIFIED_RE.test(parts[2]) && !/^https?:/i.test(parts[2])) {
+    venue = parts[2].replace(/\s*\([^)]*\)\s*$/, "");
+  } else {
+    const at = body.match(/\bat\s+((?:the\s+)?[A-Z][\w'’&]*(?:\s+[A-Z][\w'’&]*)*)/);
+    if (at) venue = at[1];
+  }
+  return { title, venue };
+}
+
+// "1. … 2. … 4. …" after a dropped line → "1. … 2. … 3. …"
+function renumber(lines) {
+  let n = 0;
+  return lines.map((line) => {
+    const m = line.match(/^(\s*)\d+([.)]\s+)/);
+    if (!m) {
+      if (line.trim()) n = 0;
+      return line;
+    }
+    return `${m[1]}${++n}${m[2]}${line.slice(m[0].length)}`;
+  });
+}
+
+/**
+ * verifyAnswer: check an answer against the context events.
+ * Returns { ok, mode, checked, issues, text, rewritten, kept } where
+ * `issues` are [{ type, line, claim, event_id?, expected? }], `text` is the
+ * answer to show (rewritten in "rewrite" mode) and `kept` counts event
+ * lines that survived.
+ */
+export function verifyAnswer(answer, events = []) {
+  const mode = guardMode();
+  const original = String(answer || "");
+  if (mode === "off") return { ok: true, mode, checked: 0, issues: [], text: original, rewritten: false, kept: 0 };
+
+  const issues = [];
+  let checked = 0, kept = 0;
+  const out = [];
+  for (const line of original.split("\n")) {
+    const item = line.match(ITEM_RE);
+    const body = item ? item[2] : line;
+    // only list items and bolded names are event mentions
+    if (!item && !/\*\*[^*]+\*\*/.test(line)) { out.push(line); continue; }
+    const { title, venue } = readLine(body);
+    if (!title || title.length < 3 || /:$/.test(title)) { out.push(line); continue; }
+    checked++;
+
+    const e = bestEvent(title, events);
+    if (!e) {
+      issues.push({ type: "unknown_title", line, claim: title });
+      if (mode !== "rewrite") out.push(line);
+      continue;
+    }
+    const canonical = () => `${item ? item[1] : ""}${e.title} — ${describeEventDate(e)} — ${e.venue || "Not specified"}`;
+    const badDate = dateProblem(body.replace(title, " "), e);
+    if (badDate) issues.push({ type: "date_mismatch", line, claim: badDate, event_id: String(e.id), expected: describeEventDate(e) });
+    const badVenue = venue && e.venue && !sameVenue(venue, e.venue) ? venue : null;
+    if (badVenue) issues.push({ type: "venue_mismatch", line, claim: badVenue, event_id: String(e.id), expected: e.venue });
+    kept++;
+    out.push(mode === "rewrite" && (badDate || badVenue) ? canonical() : line);
+  }
+
+  const rewritten = mode === "rewrite" && issues.length > 0;
+  return {
+    ok: issues.length === 0,
+    mode,
+    checked,
+    issues,
+    text: rewritten ? renumber(out).join("\n").replace(/\n{3,}/g, "\n\n").trim() : original,
+    rewritten,
+    kept,
+  };
+}
+
+// ── review log
+const recent = [];
+
+/** logViolations: record a failed verification (memory + JSON lines file) */
+export async function logViolations({ route, question, answer, verification, session_id = null, prompt = null }) {
+  if (!verification || verification.ok) return;
+  const entry = {
+    at: new Date().toISOString(),
+    route,
+    session_id,
+    prompt, // template { id, version, … } the answer came from
+    question,
+    answer,
+    mode: verification.mode,
+    issues: verification.issues,
+  };
+  recent.push(entry);
+  if (recent.length > RECENT_MAX) recent.splice(0, recent.length - RECENT_MAX);
+  console.warn(`[guard] ${verification.issues.length} issue(s) in ${route} answer:`, verification.issues.map(i => `${i.type} "${i.claim}"`).join("; "));
+  try {
+    await fs.mkdir(path.dirname(logFile()), { recursive: true });
+    await fs.appendFile(logFile(), `${JSON.stringify(entry)}\n`);
+  } catch (e) {
+    console.warn("[guard] could not write", logFile(), "-", e.message);
+  }
+}
+
+/** recentViolations: newest first (this process only; the log file has all) */
+export function recentViolations(limit = 50) {
+  return recent.slice(-limit).reverse();
+}
+
+/** publicVerification: the `verification` frame / field sent to clients */
+export function publicVerification(v) {
+  return {
+    ok: v.ok,
+    mode: v.mode,
+    checked: v.checked,
+    issues: v.issues.map(({ type, claim, event_id, expected }) => ({ type, claim, ...(event_id ? { event_id } : {}), ...(expected ? { expected } : {}) })),
+    rewritten: v.rewritten,
+    ...(v.rewritten ? { text: v.text } : {}),
+  };
+}
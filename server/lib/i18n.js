@@ -0,0 +1,211 @@
+// server/lib/i18n.js
+// Languages for chat: detection, classification tables and answer strings.
+//
+// Each language is a JSON file named <locale>.json in server/locales/
+// (shipped) and, when set, LOCALES_DIR — whose files replace shipped ones of
+// the same name:
+//   {
+//     "intl": "es-ES",                 locale for dates (Intl)
+//     "stopwords": ["el", "que", …],   common words, for detecting the language
+//                                      (with the single words of the tables)
+//     "chars": "ñ¿¡",                  letters only this language uses
+//     "months": [12 names], "weekdays": [7 names, Sunday first],
+//     "phrases":  { "este fin de semana": "this weekend", … },
+//     "keywords": { "conciertos": "concerts", … },
+//     "strings":  { "found_one": "Hay {{count}} evento…", … }
+//   }
+// The classifier, date and place phrases and follow-up resolution only read
+// English, so canonicalize() rewrites a message's phrases, keywords, months
+// and weekdays into it (whole words, accents ignored, quoted titles left
+// alone) before the message is searched. Strings use the prompt template
+// syntax (./prompts.js render); plural forms are "<key>_one", "<key>_other"
+// (Intl.PluralRules) and a missing string comes from the default locale
+// (PROMPT_LOCALE, default "en"). Files are re-read when they change.
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { render } from "./prompts.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SHIPPED_DIR = path.join(__dirname, "..", "locales");
+
+const MONTHS = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const TAG_RE = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})?$/i;
+const QUOTED_RE = /("[^"]*"|“[^”]*”)/;
+
+const defaultLocale = () => String(process.env.PROMPT_LOCALE || "en").toLowerCase();
+
+let cache = { signature: null, locales: new Map() };
+
+// lowercase, accents off, one character for one (so offsets match the original)
+const fold = (s) => Array.from(String(s || "").toLowerCase(), (c) => {
+  if (c === "’") return "'";
+  const f = c.normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+  return f.length === 1 ? f : c;
+}).join("");
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function build(id, raw) {
+  // months and weekdays are phrases too
+  const table = new Map();
+  const add = (from, to) => {
+    const k = fold(from).replace(/\s+/g, " ").trim();
+    if (k && to && !table.has(k)) table.set(k, String(to));
+  };
+  for (const [k, v] of Object.entries(raw.phrases || {})) add(k, v);
+  for (const [k, v] of Object.entries(raw.keywords || {})) add(k, v);
+  (raw.months || []).forEach((m, i) => add(m, MONTHS[i]));
+  (raw.weekdays || []).forEach((d, i) => add(d, WEEKDAYS[i]));
+  // longest first, so "fin de semana" wins over "semana"
+  const keys = [...table.keys()].sort((a, b) => b.length - a.length);
+  // single words of the tables ("conciertos", "octubre") say which language
+  // it is too, unless they are English already ("jazz")
+  const words = keys.filter(k => /^\p{L}+$/u.test(k) && k !== fold(table.get(k)));
+  return {
+    id,
+    intl: raw.intl || id,
+    vocabulary: new Set([...(raw.stopwords || []).map(fold), ...words]),
+    chars: new Set(Array.from(String(raw.chars || "").toLowerCase())),
+    table,
+    re: keys.length ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${keys.map(escapeRe).join("|")})(?![\\p{L}\\p{N}])`, "gu") : null,
+    strings: raw.strings || {},
+  };
+}
+
+async function listDir(dir) {
+  try {
+    const names = (await fs.readdir(dir)).filter(n => n.endsWith(".json")).sort();
+    return await Promise.all(names.map(async (n) => {
+      const file = path.join(dir, n);
+      return { file, mtimeMs: (await fs.stat(file)).mtimeMs };
+    }));
+  } catch {
+    return [];
+  }
+}
+
+/** loadLocales: Map locale ("es") → language tables, LOCALES_DIR first */
+export async function loadLocales() {
+  const dirs = [...new Set([process.env.LOCALES_DIR, SHIPPED_DIR].filter(Boolean).map(d => path.resolve(d)))];
+  const files = (await Promise.all(dirs.map(listDir))).flat();
+  const signature = files.map(f => `${f.file}:${f.mtimeMs}`).join("|");
+  if (cache.signature === signature) return cache.locales;
+
+  const locales = new Map();
+  for (const { file } of files) {
+    const id = path.basename(file, ".json").toLowerCase();
+    if (locales.has(id)) continue;
+    try {
+      locales.set(id, build(id, JSON.parse(await fs.readFile(file, "utf8"))));
+    } catch (e) {
+      console.warn("[i18n] could not read", file, "-", e.message);
+    }
+  }
+  cache = { signature, locales };
+  return locales;
+}
+
+// The loaded locale for a tag: itself, else its language ("es-mx" → "es")
+function find(tag) {
+  const t = String(tag || "").toLowerCase();
+  return cache.locales.get(t) || cache.locales.get(t.split("-")[0]) || null;
+}
+
+/**
+ * detectLanguage: the loaded language a text is most likely written in, as
+ * { locale, score, confidence }, or null when nothing stands out (too short,
+ * or a tie). Offline: counts common words and language-specific letters.
+ */
+export function detectLanguage(text) {
+  const raw = String(text || "").toLowerCase().replace(new RegExp(QUOTED_RE, "g"), " ");
+  const words = fold(raw).match(/\p{L}+/gu) || [];
+  const scores = [];
+  for (const loc of cache.locales.values()) {
+    let score = words.filter(w => loc.vocabulary.has(w)).length;
+    for (const c of raw) if (loc.chars.has(c)) score += 2;
+    if (score) scores.push({ locale: loc.id, score });
+  }
+  scores.sort((a, b) => b.score - a.score);
+  const [best, next] = scores;
+  if (!best || (next && next.score === best.score)) return null;
+  return { locale: best.locale, score: best.score, confidence: Math.round((1 - (next?.score || 0) / best.score) * 100) / 100 };
+}
+
+/**
+ * resolveLocale: the locale a chat turn answers in, as { locale, source }.
+ * In order: `explicit` (a `locale` parameter), the language `message` is
+ * written in, `previous` (the conversation's so far), the first supported
+ * Accept-Language entry, then the default.
+ */
+export async function resolveLocale({ explicit = null, message = "", previous = null, acceptLanguage = "" } = {}) {
+  await loadLocales();
+  const tag = String(explicit || "").trim();
+  if (TAG_RE.test(tag)) return { locale: tag.toLowerCase(), source: "param" };
+  const detected = detectLanguage(message);
+  if (detected) return { locale: detected.locale, source: "detected" };
+  if (previous && find(previous)) return { locale: String(previous).toLowerCase(), source: "session" };
+  for (const part of String(acceptLanguage || "").split(",")) {
+    const lang = part.split(";")[0].trim();
+    if (TAG_RE.test(lang) && find(lang)) return { locale: find(lang).id, source: "header" };
+  }
+  return { locale: defaultLocale(), source: "default" };
+}
+
+/**
+ * canonicalize: a message with its localized phrases and keywords rewritten
+ * into the English the classifier reads ("conciertos este fin de semana" →
+ * "concerts this weekend"). Text in quotes is kept as written.
+ */
+export function canonicalize(text, locale) {
+  const loc = find(locale);
+  const src = String(text || "");
+  if (!loc?.re) return src;
+  return src.split(QUOTED_RE).map((part, i) => {
+    if (i % 2) return part; // a quoted title
+    const folded = fold(part);
+    let out = "", at = 0;
+    for (const m of folded.matchAll(loc.re)) {
+      out += part.slice(at, m.index) + loc.table.get(m[0]);
+      at = m.index + m[0].length;
+    }
+    return (out + part.slice(at)).replace(/[¿¡]/g, "");
+  }).join("").replace(/\s+/g, " ").trim();
+}
+
+/** intlLocale: the locale to format dates with ("en" → "en-GB") */
+export function intlLocale(locale) {
+  return find(locale)?.intl || find(defaultLocale())?.intl || "en-GB";
+}
+
+/** languageName: the language of a locale, in English ("es" → "Spanish") */
+export function languageName(locale) {
+  try {
+    return new Intl.DisplayNames(["en"], { type: "language" }).of(String(locale).split("-")[0]) || locale;
+  } catch {
+    return locale;
+  }
+}
+
+/**
+ * t: a localized string with `vars` filled in. `count` picks the plural form
+ * where the string has them. Needs loadLocales() (or resolveLocale) first.
+ */
+export function t(locale, key, vars = {}) {
+  const lookup = (loc) => {
+    if (!loc) return null;
+    if (vars.count != null) {
+      const form = new Intl.PluralRules(loc.intl).select(Number(vars.count));
+      const s = loc.strings[`${key}_${form}`] ?? loc.strings[`${key}_other`];
+      if (s != null) return s;
+    }
+    return loc.strings[key] ?? null;
+  };
+  const s = lookup(find(locale)) ?? lookup(find(defaultLocale()));
+  // numbers as text, so a count of 0 still shows
+  const shown = Object.fromEntries(Object.entries(vars).map(([k, v]) => [k, typeof v === "number" ? String(v) : v]));
+  return s == null ? key : render(s, shown).text;
+}
@@ -0,0 +1,236 @@
+// server/lib/ical.js
+// iCalendar (RFC 5545) output for normalized events — the reverse of
+// ./sources/ics.js. Used by GET /api/events.ics and /api/events/:id.ics.
+//
+// Output is deterministic for an unchanged catalogue (UIDs from event ids,
+// DTSTAMP/LAST-MODIFIED from the store's `updated_at`), so subscribed
+// calendars only see changes when an event actually changes.
+// Timed events are written in their own zone (TZID + a generated VTIMEZONE)
+// so repeating events keep their wall-clock time across DST changes.
+
+import { zonedParts, siteTimezone, validTimezone } from "./dates.js";
+import { ruleZone } from "./recurrence.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRODID = "-//Example Events//Events API//EN";
+
+const pad = (n, w = 2) => String(n).padStart(w, "0");
+
+/** escapeText: TEXT value escaping (backslash, ; , and newlines) */
+export function escapeText(v) {
+  return String(v ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Fold content lines at 75 octets (continuation lines start with a space)
+function fold(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let cur = "", size = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch, "utf8");
+    if (size + n > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = "";
+      size = 0;
+    }
+    cur += ch;
+    size += n;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+const utcStamp = (ms) => new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+function localStamp(ms, tz) {
+  const p = zonedParts(ms, tz);
+  return `${p.y}${pad(p.m + 1)}${pad(p.d)}T${pad(p.h)}${pad(p.mi)}${pad(p.s)}`;
+}
+
+function dateStamp(ms, tz) {
+  const p = zonedParts(ms, tz);
+  return `${p.y}${pad(p.m + 1)}${pad(p.d)}`;
+}
+
+// The local calendar day after `ms`, counted in days (not 24 h, which a DST
+// change would shorten or stretch)
+function nextDateStamp(ms, tz) {
+  const p = zonedParts(ms, tz);
+  const next = new Date(Date.UTC(p.y, p.m, p.d + 1));
+  return `${next.getUTCFullYear()}${pad(next.getUTCMonth() + 1)}${pad(next.getUTCDate())}`;
+}
+
+function offsetMinutes(tz, ms) {
+  const p = zonedParts(ms, tz);
+  return Math.round((Date.UTC(p.y, p.m, p.d, p.h, p.mi, p.s) - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+const fmtOffset = (min) => `${min < 0 ? "-" : "+"}${pad(Math.floor(Math.abs(min) / 60))}${pad(Math.abs(min) % 60)}`;
+
+/**
+ * vtimezone: VTIMEZONE lines for `tz` covering the given years, with one
+ * STANDARD/DAYLIGHT block per actual offset change (found by scanning).
+ */
+export function vtimezone(tz, fromYear, toYear) {
+  const start = Date.UTC(fromYear, 0, 1);
+  const end = Date.UTC(toYear + 1, 0, 1);
+  const blocks = [];
+  let prevOff = offsetMinutes(tz, start);
+  for (let t = start; t < end; t += DAY_MS) {
+    const next = Math.min(t + DAY_MS, end);
+    const off = offsetMinutes(tz, next);
+    if (off === prevOff) continue;
+    // binary search the transition (they fall on whole minutes)
+    let lo = t, hi = next;
+    while (hi - lo > 1000) {
+      const mid = lo + Math.floor((hi - lo) / 2);
+      if (offsetMinutes(tz, mid) === prevOff) lo = mid; else hi = mid;
+    }
+    const at = Math.floor(hi / 60000) * 60000;
+    const local = new Date(at + prevOff * 60000); // wall clock before the change
+    blocks.push({ daylight: off > prevOff, from: prevOff, to: off, local });
+    prevOff = off;
+  }
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${tz}`];
+  if (!blocks.length) {
+    blocks.push({ daylight: false, from: prevOff, to: prevOff, local: new Date(start + prevOff * 60000) });
+  }
+  for (const b of blocks) {
+    const kind = b.daylight ? "DAYLIGHT" : "STANDARD";
+    const l = b.local;
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${l.getUTCFullYear()}${pad(l.getUTCMonth() + 1)}${pad(l.getUTCDate())}T${pad(l.getUTCHours())}${pad(l.getUTCMinutes())}00`,
+      `TZOFFSETFROM:${fmtOffset(b.from)}`,
+      `TZOFFSETTO:${fmtOffset(b.to)}`,
+      `END:${kind}`,
+    );
+  }
+  lines.push("END:VTIMEZONE");
+  return lines;
+}
+
+function isDateOnly(e) {
+  return e.all_day || e.time_known === false;
+}
+
+// "2026-10-28T22:00:00.000Z" / "2026-12-26" → DTSTART-compatible value
+// (`tz` null: a UTC stamp)
+function listValue(s, e, tz) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return { value: s.replace(/-/g, ""), date: true };
+  const ms = Date.parse(s);
+  if (Number.isNaN(ms)) return null;
+  if (isDateOnly(e)) return { value: dateStamp(ms, tz || "UTC"), date: true };
+  return { value: tz ? localStamp(ms, tz) : utcStamp(ms), date: false };
+}
+
+// Last content change (store `updated_at`, else WP's modified_gmt), epoch ms or NaN
+function updatedMs(e) {
+  if (e.updated_at) return Date.parse(e.updated_at);
+  if (e.modified_gmt) return Date.parse(`${String(e.modified_gmt).replace(" ", "T")}Z`);
+  return NaN;
+}
+
+/**
+ * veventLines: one normalized event → VEVENT content lines (unfolded).
+ * Returns null for events without a usable start.
+ * Options: domain (UID suffix), location (override for LOCATION), geo.
+ */
+export function veventLines(e, { domain = "events.local", location = null, geo = null } = {}) {
+  if (!Number.isFinite(e?.start_ts)) return null;
+  const tz = validTimezone(e.tz) || siteTimezone();
+  const dateOnly = isDateOnly(e);
+  const updated = updatedMs(e);
+  // deterministic stamp: never "now", or every refresh would look like a change
+  const stampMs = Number.isFinite(updated) ? updated : e.start_ts;
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${String(e.id).replace(/[^\w.:-]/g, "-")}@${domain}`,
+    `DTSTAMP:${utcStamp(stampMs)}`,
+  ];
+  if (Number.isFinite(updated)) lines.push(`LAST-MODIFIED:${utcStamp(updated)}`);
+
+  // expanded occurrences (see ./recurrence.js) are plain one-off VEVENTs
+  const rec = e.series_id ? null : e.recurrence;
+  // a series the source started in UTC repeats in UTC, so say so (no TZID)
+  const utc = Boolean(rec?.rrule) && ruleZone(e) === "UTC";
+  const stamp = (ms) => (utc ? `:${utcStamp(ms)}` : `;TZID=${tz}:${localStamp(ms, tz)}`);
+
+  if (dateOnly) {
+    lines.push(`DTSTART;VALUE=DATE:${dateStamp(e.start_ts, tz)}`);
+    // DTEND is exclusive for dates: the day after the last day
+    const last = Number.isFinite(e.end_ts) && e.end_ts > e.start_ts ? e.end_ts : e.start_ts;
+    lines.push(`DTEND;VALUE=DATE:${nextDateStamp(last, tz)}`);
+  } else {
+    lines.push(`DTSTART${stamp(e.start_ts)}`);
+    if (Number.isFinite(e.end_ts) && e.end_ts > e.start_ts) {
+      lines.push(`DTEND${stamp(e.end_ts)}`);
+    }
+  }
+
+  if (rec?.rrule) lines.push(`RRULE:${rec.rrule}`);
+  for (const [prop, list] of [["RDATE", rec?.rdates], ["EXDATE", rec?.exdates]]) {
+    for (const s of list || []) {
+      const v = listValue(s, e, utc ? null : tz);
+      if (!v) continue;
+      if (v.date) lines.push(`${prop};VALUE=DATE:${v.value}`);
+      else lines.push(utc ? `${prop}:${v.value}` : `${prop};TZID=${tz}:${v.value}`);
+    }
+  }
+
+  lines.push(`SUMMARY:${escapeText(e.title || "Untitled event")}`);
+  const where = location || e.venue;
+  if (where) lines.push(`LOCATION:${escapeText(where)}`);
+  const coords = geo || (Number.isFinite(e.lat) && Number.isFinite(e.lng) ? { lat: e.lat, lng: e.lng } : null);
+  if (coords) lines.push(`GEO:${coords.lat};${coords.lng}`);
+  if (e.url) lines.push(`URL:${e.url}`);
+  const desc = [e.content_0_text, e.url ? `Tickets: ${e.url}` : ""].filter(Boolean).join("\n\n");
+  if (desc) lines.push(`DESCRIPTION:${escapeText(desc)}`);
+  const cats = [].concat(e.category || [], e.categories || []).filter(Boolean);
+  if (cats.length) lines.push(`CATEGORIES:${[...new Set(cats)].map(escapeText).join(",")}`);
+  lines.push(`STATUS:${/cancel/i.test(String(e.availability || "")) ? "CANCELLED" : "CONFIRMED"}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * toIcs: VCALENDAR text (CRLF, folded) for a list of events.
+ * Options: name (X-WR-CALNAME), domain, locate(e) → { location, geo } | null.
+ */
+export function toIcs(events = [], { name = "Events", domain, locate } = {}) {
+  const body = [];
+  const zones = new Map(); // tz → [minYear, maxYear]
+  for (const e of events) {
+    const extra = locate ? locate(e) || {} : {};
+    const lines = veventLines(e, { domain, ...extra });
+    if (!lines) continue;
+    body.push(...lines);
+    if (!isDateOnly(e)) {
+      const tz = validTimezone(e.tz) || siteTimezone();
+      const y0 = new Date(e.start_ts).getUTCFullYear();
+      // repeating events may run on; cover the following year as well
+      const y1 = e.recurrence && !e.series_id ? y0 + 1 : new Date(Number.isFinite(e.end_ts) ? e.end_ts : e.start_ts).getUTCFullYear();
+      const [a, b] = zones.get(tz) || [y0, y1];
+      zones.set(tz, [Math.min(a, y0), Math.max(b, y1)]);
+    }
+  }
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${siteTimezone()}`,
+  ];
+  for (const [tz, [a, b]] of zones) lines.push(...vtimezone(tz, a, b));
+  lines.push(...body, "END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
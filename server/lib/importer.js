@@ -0,0 +1,283 @@
+// server/lib/importer.js
+// Spreadsheet round-trip for events:
+//   eventsToCsv()  -> GET /api/events/export.csv
+//   planImport()   -> POST /admin/events/import (validate + dry run)
+//   applyImport()  -> same route without dry_run
+// Columns match the CSV source adapter (./sources/csv.js) plus tz and
+// all_day, so an exported sheet can be edited and imported again. Exports
+// hold the stored rows (see getStoredRows in ./events.js), not the merged
+// view, which is what imports compare against.
+//
+// Targets:
+//   store  rows land in the event store under the "import" source (never
+//          reconciled away by a sync); ids already in the store are updated
+//          in place — until their own source next changes them
+//   wp     rows are created/updated as event posts through WP REST
+//          (see saveEvent in ./sources/wordpress.js); the webhook and the
+//          next sync bring them back into the store
+// Empty cells leave a field as it is on update.
+
+import { parseCsvLines, toCsv } from "./csv.js";
+import { FIELDS, headerKey } from "./sources/csv.js";
+import { shortHash } from "./sources/util.js";
+import { eventIdFor, primaryWordPressSource, stampRow } from "./sources/index.js";
+import { allEvents, upsertEvents } from "./store.js";
+import { parseEventDate, validTimezone, zonedParts } from "./dates.js";
+import { parseRRule } from "./recurrence.js";
+import { normText } from "./dedupe.js";
+
+export const EXPORT_COLUMNS = [
+  "id", "title", "start", "end", "tz", "all_day", "venue", "venue_id",
+  "category", "url", "availability", "price_from",
+  "rrule", "rdates", "exdates", "content_0_text",
+];
+const IMPORT_FIELDS = [...FIELDS, "tz", "all_day"];
+export const IMPORT_TARGETS = ["store", "wp"];
+export const MAX_IMPORT_ROWS = 2000;
+
+const IMPORT_SOURCE = { id: "import", bareIds: false };
+// fields compared to decide between "update" and "unchanged"
+const DIFF_FIELDS = [
+  "title", "start", "end", "tz", "all_day", "venue", "category", "url",
+  "availability", "price_from", "recurrence", "content_0_text",
+];
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Local wall time in the event's zone ("2026-10-02 20:30"), or the bare day
+function localText(ms, row) {
+  if (!Number.isFinite(ms)) return "";
+  const p = zonedParts(ms, row.tz || undefined);
+  const day = `${p.y}-${pad(p.m + 1)}-${pad(p.d)}`;
+  return row.all_day || row.time_known === false ? day : `${day} ${pad(p.h)}:${pad(p.mi)}`;
+}
+
+/** eventsToCsv: normalized events → CSV text (EXPORT_COLUMNS, local times) */
+export function eventsToCsv(rows = []) {
+  return toCsv(rows.map(e => ({
+    ...e,
+    start: localText(e.start_ts, e) || e.start || "",
+    end: localText(e.end_ts, e),
+    all_day: e.all_day ? "yes" : "",
+    category: [].concat(e.category || []).join(", "),
+    rrule: e.recurrence?.rrule || "",
+    rdates: e.recurrence?.rdates || [],
+    exdates: e.recurrence?.exdates || [],
+  })), EXPORT_COLUMNS);
+}
+
+// undo toCsv's formula guard ("'=SUM" → "=SUM")
+const unguard = (s) => s.replace(/^'(?=[=+\-@])/, "");
+const dateList = (s) => String(s || "").split(/[,\n]+/).map(x => x.trim()).filter(Boolean);
+
+/**
+ * validateImportRow: one CSV object → { row, errors }
+ * `row` is the adapter-shaped event (empty cells omitted); errors are
+ * [{ field, message }].
+ */
+export function validateImportRow(obj = {}) {
+  const keys = Object.keys(obj);
+  const v = {};
+  for (const f of IMPORT_FIELDS) {
+    const hit = keys.find(k => headerKey(k) === f);
+    const val = hit ? unguard(String(obj[hit] ?? "").trim()) : "";
+    if (val !== "") v[f] = val;
+  }
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  if (!v.title) fail("title", "required");
+  if (v.tz && !validTimezone(v.tz)) fail("tz", `unknown timezone: ${v.tz}`);
+  let allDay;
+  if (v.all_day != null) {
+    const b = v.all_day.toLowerCase();
+    if (["1", "true", "yes", "y"].includes(b)) allDay = true;
+    else if (["0", "false", "no", "n"].includes(b)) allDay = false;
+    else fail("all_day", `expected yes/no, got "${v.all_day}"`);
+  }
+  const tz = validTimezone(v.tz) || undefined;
+  const start = v.start ? parseEventDate(v.start, { tz, allDay }) : null;
+  if (!v.start) fail("start", "required");
+  else if (start.ts == null) fail("start", `unrecognised date: ${v.start}`);
+  if (v.end) {
+    const end = parseEventDate(v.end, { tz, allDay });
+    if (end.ts == null) fail("end", `unrecognised date: ${v.end}`);
+    else if (start?.ts != null && end.ts < start.ts) fail("end", "before start");
+  }
+  let price;
+  if (v.price_from != null) {
+    price = Number(v.price_from.replace(/[£$€,\s]/g, ""));
+    if (!Number.isFinite(price) || price < 0) fail("price_from", `not a price: ${v.price_from}`);
+  }
+  // site-relative links ("/whats-on/x") come back from some sources as-is
+  if (v.url && !/^(?:https?:\/\/|\/)\S*$/i.test(v.url)) fail("url", `not an http(s) URL: ${v.url}`);
+  if (v.rrule && !parseRRule(v.rrule)) fail("rrule", `unsupported rule: ${v.rrule}`);
+  for (const f of ["rdates", "exdates"]) {
+    const bad = dateList(v[f]).filter(d => parseEventDate(d, { tz }).ts == null);
+    if (bad.length) fail(f, `unrecognised date(s): ${bad.join(", ")}`);
+  }
+
+  const row = {
+    ...(v.id ? { id: v.id } : {}),
+    ...(v.title ? { title: v.title } : {}),
+    ...(v.start ? { start: v.start } : {}),
+    ...(v.end ? { end: v.end } : {}),
+    ...(v.tz ? { tz: v.tz } : {}),
+    ...(allDay != null ? { all_day: allDay } : {}),
+    ...(v.venue ? { venue: v.venue } : {}),
+    ...(v.category ? { category: v.category } : {}),
+    ...(v.url ? { url: v.url } : {}),
+    ...(v.availability ? { availability: v.availability } : {}),
+    ...(price != null ? { price_from: price } : {}),
+    ...(v.rrule ? { rrule: v.rrule } : {}),
+    ...(v.rdates ? { rdates: v.rdates } : {}),
+    ...(v.exdates ? { exdates: v.exdates } : {}),
+    ...(v.content_0_text ? { content_0_text: v.content_0_text.slice(0, 1200) } : {}),
+  };
+  return { row, errors };
+}
+
+// Store row for an import row, merged over the stored copy when updating
+function storeRow(row, prev) {
+  const source = prev ? { id: prev.source || "wp", bareIds: true } : IMPORT_SOURCE;
+  const native = prev ? prev.source_ref ?? prev.id : row.id || shortHash(row.title, row.start);
+  // dates are re-derived from the new cells, in the stored zone unless given
+  const next = stampRow(source, { ...row, id: native, tz: row.tz || prev?.tz || null });
+  if (row.end === undefined) {
+    // an empty end cell keeps the stored end
+    delete next.end;
+    delete next.end_ts;
+    delete next.end_text;
+  }
+  return prev ? { ...next, id: prev.id } : next;
+}
+
+function diff(prev, next) {
+  const changes = {};
+  for (const f of DIFF_FIELDS) {
+    if (next[f] === undefined) continue;
+    const a = JSON.stringify(prev[f] ?? null), b = JSON.stringify(next[f] ?? null);
+    if (a !== b) changes[f] = { from: prev[f] ?? null, to: next[f] ?? null };
+  }
+  return changes;
+}
+
+const summary = (r) => ({ title: r.title ?? null, start: r.start ?? null });
+
+/**
+ * planImport: CSV text → what an import would do, without writing.
+ * Returns { target, total, valid, errors: [{ row, field, message }],
+ * creates, updates, unchanged } where `row` is the line of the file the row
+ * starts on (the header is line 1; blank lines count, as they do in a
+ * spreadsheet) and updates carry { changes: { field: { from, to } } }.
+ */
+export async function planImport(text, { target = "store" } = {}) {
+  if (!IMPORT_TARGETS.includes(target)) {
+    throw Object.assign(new Error(`unknown target: ${target}`), { status: 400 });
+  }
+  const records = parseCsvLines(text);
+  if (!records.length) throw Object.assign(new Error("no rows (is there a header line?)"), { status: 400 });
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw Object.assign(new Error(`too many rows (max ${MAX_IMPORT_ROWS})`), { status: 400 });
+  }
+
+  const wp = target === "wp" ? await primaryWordPressSource() : null;
+  if (target === "wp" && !wp?.saveEvent) {
+    throw Object.assign(new Error("no wordpress source configured"), { status: 400 });
+  }
+  const stored = await allEvents();
+  const byId = new Map(stored.map(e => [String(e.id), e]));
+  const wpRows = wp ? stored.filter(e => (e.source || "wp") === wp.id) : [];
+  const titleStart = new Map(wpRows.map(e => [`${normText(e.title)}|${e.start_ts}`, e]));
+
+  const plan = { target, total: records.length, valid: 0, errors: [], creates: [], updates: [], unchanged: [] };
+  const seen = new Map(); // resolved id → sheet row
+
+  records.forEach(({ line: n, values }) => {
+    const { row, errors } = validateImportRow(values);
+    const rowErrors = errors.map(e => ({ row: n, ...e }));
+
+    let prev = null;
+    if (wp) {
+      // explicit WP post id (bare or store id), else the same title + start
+      if (row.id) {
+        prev = byId.get(row.id) || byId.get(eventIdFor(wp, row.id));
+        if (!prev || (prev.source || "wp") !== wp.id) {
+          rowErrors.push({ row: n, field: "id", message: `no WordPress event with id ${row.id}` });
+          prev = null;
+        }
+      } else if (!rowErrors.length) {
+        const ts = parseEventDate(row.start, { tz: row.tz || undefined, allDay: row.all_day }).ts;
+        prev = titleStart.get(`${normText(row.title)}|${ts}`) || null;
+      }
+    } else if (row.id) {
+      prev = byId.get(row.id) || byId.get(eventIdFor(IMPORT_SOURCE, row.id)) || null;
+    } else if (!rowErrors.length) {
+      prev = byId.get(eventIdFor(IMPORT_SOURCE, shortHash(row.title, row.start))) || null;
+    }
+
+    const next = rowErrors.length ? null : storeRow(row, prev);
+    if (next) {
+      if (seen.has(next.id)) {
+        rowErrors.push({ row: n, field: "id", message: `same event as row ${seen.get(next.id)}` });
+      } else {
+        seen.set(next.id, n);
+      }
+    }
+    if (rowErrors.length) {
+      plan.errors.push(...rowErrors);
+      return;
+    }
+
+    plan.valid++;
+    // WordPress assigns ids to new posts
+    const id = wp && !prev ? null : next.id;
+    const entry = { row: n, id, ...summary(next), _input: row, _next: next, _prev: prev };
+    if (!prev) plan.creates.push(entry);
+    else {
+      const changes = diff(prev, next);
+      if (Object.keys(changes).length) plan.updates.push({ ...entry, changes });
+      else plan.unchanged.push(entry);
+    }
+  });
+  return plan;
+}
+
+/** publicPlan: plan without the internal row copies (for responses) */
+export function publicPlan(plan) {
+  const strip = ({ _input, _next, _prev, ...rest }) => rest;
+  return {
+    ...plan,
+    creates: plan.creates.map(strip),
+    updates: plan.updates.map(strip),
+    unchanged: plan.unchanged.map(strip),
+  };
+}
+
+/**
+ * applyImport: carry out a plan's creates and updates.
+ * Returns { created, updated, failed: [{ row, id, error }] }.
+ */
+export async function applyImport(plan) {
+  const todo = [...plan.creates, ...plan.updates];
+  if (plan.target === "store") {
+    await upsertEvents(todo.map(t => t._next));
+    return { created: plan.creates.length, updated: plan.updates.length, failed: [] };
+  }
+
+  const wp = await primaryWordPressSource();
+  const out = { created: 0, updated: 0, failed: [] };
+  const saved = [];
+  // one at a time: WP is the slow, rate-sensitive side
+  for (const t of todo) {
+    try {
+      const row = await wp.saveEvent({ ...t._input, start: t._next.start }, t._prev?.source_ref ?? null);
+      saved.push(stampRow(wp, row));
+      if (t._prev) out.updated++; else out.created++;
+    } catch (e) {
+      out.failed.push({ row: t.row, id: t.id, error: String(e?.message || e) });
+    }
+  }
+  await upsertEvents(saved);
+  return out;
+}
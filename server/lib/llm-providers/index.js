@@ -0,0 +1,30 @@
+// server/lib/llm-providers/index.js
+// Chat backend registry (used by ../llm.js).
+//
+// Provider contract (see ./openai.js, ./ollama.js, ./mock.js):
+//   name, model     backend id and its default model
+//   chat({ messages, tools?, toolChoice?, model?, maxTokens, temperature,
+//          signal, onToken?, onChunk? }) -> { text, toolCalls: [{ id, name, args }] }
+//                   messages are in the OpenAI chat shape; onToken(delta) per
+//                   text delta, onChunk() per streamed chunk of any kind;
+//                   tool call `args` is a JSON string
+// Failed calls throw; `err.retryable` marks the ones worth another try.
+
+import { createOpenAIProvider } from "./openai.js";
+import { createOllamaProvider } from "./ollama.js";
+import { createMockProvider } from "./mock.js";
+
+const FACTORIES = {
+  openai: createOpenAIProvider,
+  ollama: createOllamaProvider,
+  mock: createMockProvider,
+};
+
+/** LLM_PROVIDERS: backend names accepted in LLM_PROVIDER / LLM_FALLBACK and per request */
+export const LLM_PROVIDERS = Object.keys(FACTORIES);
+
+/** getLLMProvider: a backend by name, configured from the environment (null if unknown) */
+export function getLLMProvider(name) {
+  const create = FACTORIES[String(name || "").toLowerCase()];
+  return create ? create() : null;
+}
@@ -0,0 +1,94 @@
+// server/lib/llm-providers/mock.js
+// Deterministic offline backend for development and tests (no network).
+//   tools offered, none called yet  → calls search_events with the user's text
+//   after tool results              → lists what they returned
+//   otherwise                       → lists the events in the system prompt's
+//                                     CONTEXT block, or echoes the question
+// Config: { reply?, delayMs?, fail? }  (defaults: LLM_MOCK_REPLY fixed answer,
+// LLM_MOCK_DELAY_MS between tokens, LLM_MOCK_FAIL to exercise retries and
+// fallback: "error" fails before the first token, "stall" stops halfway
+// through the answer until the request is aborted)
+
+const CONTEXT_LINE = /^- (?:\[[^\]]*\] )?(.+?) · date: (.+?) · venue: (.+?) · id: /;
+
+function abortError() {
+  const err = new Error("The operation was aborted.");
+  err.name = "AbortError";
+  return err;
+}
+
+// ms < 0: until aborted
+function wait(ms, signal) {
+  if (signal?.aborted) return Promise.reject(abortError());
+  if (ms === 0) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onAbort = () => { clearTimeout(t); reject(abortError()); };
+    const t = ms > 0 ? setTimeout(() => { signal?.removeEventListener("abort", onAbort); resolve(); }, ms) : null;
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+const listLines = (items) => items.map((e, i) => `${i + 1}. ${e.title} — ${e.date || "Not specified"} — ${e.venue || "Not specified"}`);
+
+function answerFromTools(results) {
+  const out = [];
+  for (const c of results) {
+    if (c?.error) out.push(`The lookup failed: ${c.error}`);
+    else if (Array.isArray(c?.events)) {
+      out.push(c.events.length ? `Found ${c.total ?? c.events.length}:\n${listLines(c.events).join("\n")}` : "Nothing matched.");
+    } else if (Array.isArray(c?.venues)) out.push(`Venues: ${c.venues.map(v => v.name).join(", ")}`);
+    else if (c?.title) out.push(listLines([c]).join("\n"));
+  }
+  return out.join("\n\n") || "Nothing matched.";
+}
+
+function answerFromContext(system, userText) {
+  const events = String(system || "").split("\n").map(l => l.match(CONTEXT_LINE)).filter(Boolean)
+    .slice(0, 3).map(m => ({ title: m[1], date: m[2], venue: m[3] }));
+  if (!events.length) return `(mock) You asked: ${userText}`;
+  return `Closest matches (from site):\n${listLines(events).join("\n")}`;
+}
+
+export function createMockProvider({
+  reply = process.env.LLM_MOCK_REPLY || "",
+  delayMs = Number(process.env.LLM_MOCK_DELAY_MS || 0),
+  fail = String(process.env.LLM_MOCK_FAIL || "").toLowerCase(),
+} = {}) {
+  return {
+    name: "mock",
+    model: "mock",
+    async chat({ messages = [], tools = [], toolChoice = "auto", signal, onToken = () => {}, onChunk = () => {} }) {
+      if (fail === "error") {
+        const err = new Error("mock LLM failure (LLM_MOCK_FAIL=error)");
+        err.retryable = true;
+        throw err;
+      }
+      const lastUser = [...messages].reverse().find(m => m.role === "user");
+      const afterUser = messages.slice(messages.lastIndexOf(lastUser) + 1);
+      const toolResults = afterUser.filter(m => m.role === "tool");
+
+      const canSearch = toolChoice !== "none" && tools.some(t => t.function?.name === "search_events");
+      if (!reply && canSearch && !toolResults.length) {
+        await wait(Math.max(0, delayMs || 0), signal);
+        onChunk();
+        return { text: "", toolCalls: [{ id: "", name: "search_events", args: JSON.stringify({ query: String(lastUser?.content || "") }) }] };
+      }
+
+      const text = reply || (toolResults.length
+        ? answerFromTools(toolResults.map((m) => { try { return JSON.parse(m.content); } catch { return null; } }))
+        : answerFromContext(messages.find(m => m.role === "system")?.content, lastUser?.content || ""));
+      const tokens = text.match(/\S+\s*|\s+/g) || [];
+      const stallAt = fail === "stall" ? Math.ceil(tokens.length / 2) : Infinity;
+      const delay = Math.max(0, delayMs || 0);
+      let out = "";
+      for (const [i, tok] of tokens.entries()) {
+        if (i === stallAt) await wait(-1, signal);
+        await wait(delay, signal);
+        onChunk();
+        out += tok;
+        onToken(tok);
+      }
+      return { text: out, toolCalls: [] };
+    },
+  };
+}
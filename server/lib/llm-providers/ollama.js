@@ -0,0 +1,84 @@
+// server/lib/llm-providers/ollama.js
+// Native Ollama POST /api/chat, streamed as JSON lines (NDJSON).
+// Config: { baseUrl?, model? }  (defaults: OLLAMA_BASE_URL or
+// http://localhost:11434, OLLAMA_MODEL or llama3.1)
+// Messages come in OpenAI shape and are converted: tool call arguments are
+// objects rather than JSON strings, and tool results carry the tool's name.
+
+import fetch from "node-fetch";
+
+import { buildHeaders, httpError, readStream } from "./util.js";
+
+function toOllamaMessages(messages) {
+  const names = new Map(); // tool_call_id → tool name
+  return messages.map((m) => {
+    if (m.role === "assistant" && m.tool_calls?.length) {
+      return {
+        role: "assistant",
+        content: m.content || "",
+        tool_calls: m.tool_calls.map((tc) => {
+          names.set(tc.id, tc.function.name);
+          let args = {};
+          try { args = JSON.parse(tc.function.arguments || "{}"); } catch { /* keep {} */ }
+          return { function: { name: tc.function.name, arguments: args } };
+        }),
+      };
+    }
+    if (m.role === "tool") {
+      return { role: "tool", content: m.content ?? "", ...(names.has(m.tool_call_id) ? { tool_name: names.get(m.tool_call_id) } : {}) };
+    }
+    return { role: m.role, content: m.content ?? "" };
+  });
+}
+
+export function createOllamaProvider({
+  baseUrl = process.env.OLLAMA_BASE_URL || "http://localhost:11434",
+  model = process.env.OLLAMA_MODEL || "llama3.1",
+} = {}) {
+  return {
+    name: "ollama",
+    model,
+    async chat({ messages, tools = [], toolChoice = "auto", model: m = model, maxTokens, temperature, signal, onToken = () => {}, onChunk = () => {} }) {
+      const r = await fetch(`${baseUrl.replace(/\/+$/, "")}/api/chat`, {
+        method: "POST",
+        headers: buildHeaders(),
+        body: JSON.stringify({
+          model: m,
+          messages: toOllamaMessages(messages),
+          // no tool_choice in Ollama: "none" means not offering tools
+          ...(tools.length && toolChoice !== "none" ? { tools } : {}),
+          options: { temperature, num_predict: maxTokens },
+          stream: true,
+        }),
+        signal,
+      });
+      if (!r.ok || !r.body) throw await httpError(r, "Ollama");
+
+      const calls = [];
+      let text = "";
+      await readStream(r.body, (json) => {
+        onChunk();
+        if (json?.error) {
+          const err = new Error(`Ollama: ${json.error}`);
+          err.retryable = false;
+          throw err;
+        }
+        const msg = json?.message || {};
+        if (typeof msg.content === "string" && msg.content.length) {
+          text += msg.content;
+          onToken(msg.content);
+        }
+        for (const tc of msg.tool_calls || []) {
+          const args = tc.function?.arguments;
+          calls.push({
+            id: "", // numbered by the caller
+            name: tc.function?.name || "",
+            args: typeof args === "string" ? args : JSON.stringify(args ?? {}),
+          });
+        }
+        return Boolean(json?.done);
+      });
+      return { text, toolCalls: calls.filter(c => c.name) };
+    },
+  };
+}
@@ -0,0 +1,61 @@
+// server/lib/llm-providers/openai.js
+// OpenAI-compatible POST /chat/completions (OpenAI, Groq, LM Studio, vLLM,
+// Ollama's /v1 …), streamed as SSE.
+// Config: { apiBase?, apiKey?, model? }  (defaults: OPENAI_API_BASE,
+// OPENAI_API_KEY, OPENAI_MODEL)
+
+import fetch from "node-fetch";
+
+import { buildHeaders, httpError, readStream } from "./util.js";
+
+export function createOpenAIProvider({
+  apiBase = process.env.OPENAI_API_BASE || "https://api.openai.com/v1",
+  apiKey = process.env.OPENAI_API_KEY || "",
+  model = process.env.OPENAI_MODEL || "gpt-4o-mini",
+} = {}) {
+  return {
+    name: "openai",
+    model,
+    async chat({ messages, tools = [], toolChoice = "auto", model: m = model, maxTokens, temperature, signal, onToken = () => {}, onChunk = () => {} }) {
+      const r = await fetch(`${apiBase.replace(/\/+$/, "")}/chat/completions`, {
+        method: "POST",
+        headers: buildHeaders(apiKey),
+        body: JSON.stringify({
+          model: m,
+          temperature,
+          max_tokens: maxTokens,
+          messages,
+          ...(tools.length ? { tools, tool_choice: toolChoice } : {}),
+          stream: true,
+        }),
+        signal,
+      });
+      if (!r.ok || !r.body) throw await httpError(r, "LLM");
+
+      // tool call deltas arrive in pieces, keyed by index
+      const calls = [];
+      let text = "";
+      await readStream(r.body, (json) => {
+        onChunk();
+        const choice = json?.choices?.[0];
+        const delta = choice?.delta ?? choice?.message ?? {};
+        if (typeof delta.content === "string" && delta.content.length) {
+          text += delta.content;
+          onToken(delta.content);
+        }
+        for (const [i, tc] of (delta.tool_calls || []).entries()) {
+          const slot = (calls[tc.index ?? i] ||= { id: "", name: "", args: "" });
+          if (tc.id) slot.id = tc.id;
+          if (tc.function?.name) slot.name += tc.function.name;
+          if (tc.function?.arguments) {
+            slot.args += typeof tc.function.arguments === "string"
+              ? tc.function.arguments
+              : JSON.stringify(tc.function.arguments);
+          }
+        }
+        return Boolean(choice?.finish_reason);
+      });
+      return { text, toolCalls: calls.filter(c => c && c.name) };
+    },
+  };
+}
@@ -0,0 +1,56 @@
+// server/lib/llm-providers/util.js
+// Shared helpers for the chat backends.
+
+/** buildHeaders: JSON headers; Authorization only if a key is present */
+export function buildHeaders(apiKey = "") {
+  const h = { "Content-Type": "application/json" };
+  if (apiKey && apiKey.trim()) h.Authorization = `Bearer ${apiKey}`;
+  return h;
+}
+
+/**
+ * httpError: Error for a failed response. `retryable` is set for statuses
+ * worth another try (timeouts, rate limits, server errors).
+ */
+export async function httpError(r, label) {
+  const txt = await r.text().catch(() => "");
+  const err = new Error(`${label} HTTP ${r.status}: ${txt.slice(0, 300)}`);
+  err.status = r.status;
+  err.retryable = r.status === 408 || r.status === 409 || r.status === 429 || r.status >= 500;
+  return err;
+}
+
+/**
+ * readStream: read a streamed completion — SSE ("data: {...}", "[DONE]") or
+ * raw JSON lines (NDJSON). Calls onJson(chunk) per parsed chunk; stops early
+ * when it returns true.
+ */
+export async function readStream(body, onJson) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const handle = (raw) => {
+    const line = raw.trim();
+    if (!line) return false;
+    // Support SSE ("data: {...}") and plain JSON lines
+    const payload = line.startsWith("data:") ? line.slice(5).trim() : line;
+    if (payload === "[DONE]") return true;
+    let json;
+    try {
+      json = JSON.parse(payload);
+    } catch {
+      return false; // Ignore partial / non-JSON lines
+    }
+    return Boolean(onJson(json));
+  };
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    // Split on newlines; keep the last partial line in buffer
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop() ?? "";
+    for (const raw of lines) if (handle(raw)) return;
+  }
+  handle(buffer);
+}
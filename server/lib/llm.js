@@ -1,74 +1,165 @@
 // server/lib/llm.js
-import fetch from "node-fetch";
+// Chat completions over pluggable backends (./llm-providers/):
+//   "openai"  OpenAI-compatible /chat/completions (OPENAI_API_BASE, OPENAI_MODEL)
+//   "ollama"  native Ollama /api/chat (OLLAMA_BASE_URL, OLLAMA_MODEL)
+//   "mock"    deterministic offline answers (development and tests)
+// LLM_PROVIDER picks the primary ("openai" by default) and LLM_FALLBACK lists
+// backends to try next, in order ("ollama,mock"); either may name a model
+// ("ollama:llama3.1:8b"). Callers can override provider/model per request.
+// Every attempt has an overall timeout (LLM_TIMEOUT_MS) and an idle timeout
+// between streamed chunks (LLM_IDLE_TIMEOUT_MS). Failures before any text was
+// streamed are retried (LLM_RETRIES, backoff from LLM_RETRY_BASE_MS) and then
+// handed to the next backend; once text has gone out the error is final and
+// carries it as `err.partial`.
 
-const API_BASE = process.env.OPENAI_API_BASE || "https://api.openai.com/v1";
+import { getLLMProvider, LLM_PROVIDERS } from "./llm-providers/index.js";
 
-/** Build headers; add Authorization only if a key is present. */
-function buildHeaders(apiKey = "") {
-  const h = { "Content-Type": "application/json" };
-  if (apiKey && apiKey.trim()) h.Authorization = `Bearer ${apiKey}`;
-  return h;
+export { LLM_PROVIDERS };
+
+const RETRYABLE_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE", "UND_ERR_SOCKET"]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function isRetryable(err) {
+  if (typeof err?.retryable === "boolean") return err.retryable;
+  return RETRYABLE_CODES.has(err?.code) || err?.type === "system"; // node-fetch network errors
+}
+
+// "ollama:llama3.1:8b" → { provider: "ollama", model: "llama3.1:8b" }
+function parseSpec(spec) {
+  const s = String(spec || "").trim();
+  const i = s.indexOf(":");
+  return i < 0
+    ? { provider: s.toLowerCase(), model: null }
+    : { provider: s.slice(0, i).toLowerCase(), model: s.slice(i + 1) || null };
 }
 
 /**
- * Non-streaming helper (JSON in, single string out).
- * Works with OpenAI/Ollama/Groq when API_BASE + model are set appropriately.
+ * llmChain: backends to try, in order — [{ provider, model }]. A per-request
+ * `provider` replaces LLM_PROVIDER; a `model` on its own applies to the primary.
  */
-export async function askLLM({
-  prompt,
-  system = process.env.LLM_SYSTEM_PROMPT || "You are a concise assistant.",
-  apiKey = process.env.OPENAI_API_KEY || "",
-  model = process.env.OPENAI_MODEL || "gpt-4o-mini",
-  maxTokens = 350,
-  temperature = 0.2,
-  timeoutMs = 15000,
-}) {
+export function llmChain({ provider = null, model = null } = {}) {
+  const primary = provider ? { provider: String(provider).toLowerCase(), model: null } : parseSpec(process.env.LLM_PROVIDER || "openai");
+  if (model) primary.model = String(model);
+  const fallbacks = String(process.env.LLM_FALLBACK || "").split(",").filter(s => s.trim()).map(parseSpec);
+
+  const seen = new Set();
+  return [primary, ...fallbacks].filter((e) => {
+    const key = `${e.provider}:${e.model || ""}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// One call to one backend, with the overall and idle timeouts
+async function attempt(entry, req, onToken) {
+  const p = getLLMProvider(entry.provider);
+  if (!p) {
+    const err = new Error(`unknown LLM provider "${entry.provider}" (expected one of ${LLM_PROVIDERS.join(", ")})`);
+    err.retryable = false;
+    throw err;
+  }
+  const model = entry.model || p.model;
+  const timeoutMs = Number(req.timeoutMs || process.env.LLM_TIMEOUT_MS || 30000);
+  const idleMs = Number(process.env.LLM_IDLE_TIMEOUT_MS || 20000);
+
   const ctrl = new AbortController();
-  const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  let why = null;
+  const total = setTimeout(() => { why = `timed out after ${timeoutMs} ms`; ctrl.abort(); }, timeoutMs);
+  let idle = null;
+  const poke = () => {
+    clearTimeout(idle);
+    idle = setTimeout(() => { why = `stalled (nothing for ${idleMs} ms)`; ctrl.abort(); }, idleMs);
+  };
+  poke();
 
+  let streamed = "";
   try {
-    const r = await fetch(`${API_BASE}/chat/completions`, {
-      method: "POST",
-      headers: buildHeaders(apiKey),
-      body: JSON.stringify({
-        model,
-        temperature,
-        max_tokens: maxTokens,
-        messages: [
-          { role: "system", content: system },
-          { role: "user", content: String(prompt || "") },
-        ],
-        stream: false,
-      }),
+    const out = await p.chat({
+      ...req,
+      model,
       signal: ctrl.signal,
+      onChunk: poke,
+      onToken: (t) => { streamed += t; onToken(t); },
     });
+    return { ...out, provider: p.name, model };
+  } catch (e) {
+    const err = why ? new Error(`LLM ${p.name}:${model} ${why}`) : e;
+    if (why) err.retryable = true;
+    err.provider = p.name;
+    err.model = model;
+    if (streamed) err.partial = streamed;
+    throw err;
+  } finally {
+    clearTimeout(total);
+    clearTimeout(idle);
+  }
+}
 
-    if (!r.ok) {
-      const txt = await r.text().catch(() => "");
-      throw new Error(`LLM HTTP ${r.status}: ${txt}`);
-    }
+/**
+ * complete: one completion through the fallback chain, with retries.
+ * `req` is { messages, tools?, toolChoice?, maxTokens, temperature, timeoutMs? }.
+ * Returns { text, toolCalls, provider, model }.
+ */
+async function complete(req, { provider = null, model = null, onToken = () => {} } = {}) {
+  const retries = Math.max(0, Number(process.env.LLM_RETRIES ?? 2) || 0);
+  const backoffMs = Number(process.env.LLM_RETRY_BASE_MS || 500);
 
-    const data = await r.json();
-    const text =
-      data?.choices?.[0]?.message?.content?.trim?.() ||
-      data?.choices?.[0]?.delta?.content?.trim?.() ||
-      data?.choices?.[0]?.text?.trim?.() ||
-      "";
-    return text;
-  } finally {
-    clearTimeout(t);
+  let lastErr = null;
+  for (const entry of llmChain({ provider, model })) {
+    for (let i = 0; i <= retries; i++) {
+      if (i) await sleep(backoffMs * 2 ** (i - 1));
+      try {
+        return await attempt(entry, req, onToken);
+      } catch (err) {
+        lastErr = err;
+        if (err.partial) throw err; // text already went out: no starting over
+        console.warn(`[llm] ${err.provider || entry.provider}:${err.model || entry.model || "default"} attempt ${i + 1} failed: ${err.message}`);
+        if (!isRetryable(err)) break;
+      }
+    }
   }
+  throw lastErr || new Error("no LLM provider configured");
+}
+
+/**
+ * Non-streaming helper (prompt in, single string out).
+ * `provider` / `model` override LLM_PROVIDER for this call.
+ */
+export async function askLLM({
+  prompt,
+  system = process.env.LLM_SYSTEM_PROMPT || "You are a concise assistant.",
+  provider = null,
+  model = null,
+  maxTokens = 350,
+  temperature = 0.2,
+  timeoutMs = 15000,
+}) {
+  const { text } = await complete({
+    messages: [
+      { role: "system", content: system },
+      { role: "user", content: String(prompt || "") },
+    ],
+    maxTokens,
+    temperature,
+    timeoutMs,
+  }, { provider, model });
+  return text.trim();
 }
 
 /**
  * Streaming helper.
- * Robust parser: supports both SSE ("data: {...}", "[DONE]") and raw JSON chunk streams.
+ * `history` ([{ role, content }], oldest first) goes between system and user
+ * turn. onDone(text, { provider, model }) names the backend that answered;
+ * onError(err) gets `err.partial` when some text had already been streamed.
  */
 export async function streamChat({
   userText,
+  history = [],
   system = process.env.LLM_SYSTEM_PROMPT || "You are a concise assistant.",
-  apiKey = process.env.OPENAI_API_KEY || "",
-  model = process.env.OPENAI_MODEL || "gpt-4o-mini",
+  provider = null,
+  model = null,
   maxTokens = 500,
   temperature = 0.2,
   timeoutMs = 30000,
@@ -76,82 +167,96 @@ export async function streamChat({
   onDone = () => {},
   onError = () => {},
 }) {
-  const ctrl = new AbortController();
-  const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const out = await complete({
+      messages: [
+        { role: "system", content: system },
+        ...history,
+        { role: "user", content: String(userText || "") },
+      ],
+      maxTokens,
+      temperature,
+      timeoutMs,
+    }, { provider, model, onToken });
+    onDone(out.text, { provider: out.provider, model: out.model });
+  } catch (err) {
+    onError(err);
+  }
+}
+
+/**
+ * Streaming with tool calls (OpenAI-style `tools`, converted per backend).
+ * Each round streams one completion; text deltas go to onToken, and any
+ * tool calls the model makes are run through `runTool(name, args)` (its
+ * result is sent back as the tool message) before the next round. After
+ * `maxRounds` rounds with tools the model has to answer (tool_choice "none").
+ * onToolCall({ id, name, args }) fires before each call (args parsed when
+ * valid JSON), onToolResult({ id, name, result }) after it; `result.content`
+ * is what the model sees. `timeoutMs` applies to each round.
+ */
+export async function streamChatWithTools({
+  userText,
+  history = [],
+  system = process.env.LLM_SYSTEM_PROMPT || "You are a concise assistant.",
+  tools = [],
+  runTool = async () => ({ content: { error: "no tools" } }),
+  maxRounds = Number(process.env.LLM_TOOL_ROUNDS || 4),
+  provider = null,
+  model = null,
+  maxTokens = 500,
+  temperature = 0.2,
+  timeoutMs = 30000,
+  onToken = () => {},
+  onToolCall = () => {},
+  onToolResult = () => {},
+  onDone = () => {},
+  onError = () => {},
+}) {
+  const messages = [
+    { role: "system", content: system },
+    ...history,
+    { role: "user", content: String(userText || "") },
+  ];
 
+  let full = "";
   try {
-    const r = await fetch(`${API_BASE}/chat/completions`, {
-      method: "POST",
-      headers: buildHeaders(apiKey),
-      body: JSON.stringify({
-        model,
+    let used = null;
+    for (let round = 0; ; round++) {
+      const last = round >= maxRounds;
+      const out = await complete({
+        messages,
+        tools,
+        toolChoice: last ? "none" : "auto",
+        maxTokens,
         temperature,
-        max_tokens: maxTokens,
-        messages: [
-          { role: "system", content: system },
-          { role: "user", content: String(userText || "") },
-        ],
-        stream: true,
-      }),
-      signal: ctrl.signal,
-    });
+        timeoutMs,
+      }, { provider, model, onToken });
+      used = { provider: out.provider, model: out.model };
+      full += out.text;
 
-    if (!r.ok || !r.body) {
-      const txt = await r.text().catch(() => "");
-      throw new Error(`LLM HTTP ${r.status}: ${txt}`);
-    }
+      const pending = out.toolCalls;
+      if (!pending.length || last) break;
 
-    let full = "";
-    const decoder = new TextDecoder();
-    let buffer = "";
-
-    for await (const chunk of r.body) {
-      const str = decoder.decode(chunk, { stream: true });
-      buffer += str;
-
-      // Split on newlines; keep the last partial line in buffer
-      const lines = buffer.split(/\r?\n/);
-      buffer = lines.pop() ?? "";
-
-      for (const raw of lines) {
-        const line = raw.trim();
-        if (!line) continue;
-
-        // Support SSE ("data: {...}") and plain JSON lines
-        let payload = line.startsWith("data:") ? line.slice(5).trim() : line;
-
-        if (payload === "[DONE]") {
-          onDone(full);
-          return;
-        }
-
-        try {
-          const json = JSON.parse(payload);
-          const delta =
-            json?.choices?.[0]?.delta?.content ??
-            json?.choices?.[0]?.message?.content ??
-            "";
-
-          if (typeof delta === "string" && delta.length) {
-            full += delta;
-            onToken(delta);
-          }
-
-          const fr = json?.choices?.[0]?.finish_reason;
-          if (fr && fr !== null) {
-            onDone(full);
-            return;
-          }
-        } catch {
-          // Ignore partial / non-JSON lines
-        }
+      pending.forEach((c, i) => { if (!c.id) c.id = `call_${round}_${i}`; });
+      messages.push({
+        role: "assistant",
+        content: out.text || null,
+        tool_calls: pending.map(c => ({ id: c.id, type: "function", function: { name: c.name, arguments: c.args || "{}" } })),
+      });
+      for (const c of pending) {
+        let args = c.args;
+        try { args = c.args.trim() ? JSON.parse(c.args) : {}; } catch { /* runTool reports it */ }
+        onToolCall({ id: c.id, name: c.name, args });
+        const result = await runTool(c.name, args);
+        onToolResult({ id: c.id, name: c.name, result });
+        messages.push({ role: "tool", tool_call_id: c.id, content: JSON.stringify(result?.content ?? result ?? null) });
       }
     }
 
-    onDone(full);
+    onDone(full, used);
   } catch (err) {
+    // text from earlier rounds counts as streamed too
+    if (full) err.partial = full + (err.partial || "");
     onError(err);
-  } finally {
-    clearTimeout(t);
   }
 }
@@ -0,0 +1,202 @@
+// server/lib/prompts.js
+// Prompt template registry for the chat LLM.
+//
+// Templates are files named <intent>.<locale>.md in server/prompts/ (shipped)
+// and, when set, PROMPTS_DIR — whose files replace shipped ones of the same
+// name. Each starts with a front matter block:
+//   ---
+//   version: 3
+//   description: what it is for
+//   ---
+// and the rest is the prompt, with
+//   {{name}}               a variable
+//   {{#name}}…{{/name}}    a section kept only when `name` is set
+//   {{^name}}…{{/name}}    kept only when it isn't
+// Variables: system (LLM_SYSTEM_PROMPT), today, locale, language (the
+// locale's language, in English: the one to answer in), message, query,
+// range (date range label), events (context lines), event_count, venue.
+// Intents: "whats_on" (listings), "act" (a specific act/event), "venue"
+// (questions about a venue) and "tools" (tool-calling mode). A missing
+// intent falls back to whats_on; a missing locale to its language ("fr-CA" →
+// "fr") and then PROMPT_LOCALE (default "en"). Files are re-read when they
+// change.
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { describeEventDate } from "./dates.js";
+import { normText } from "./dedupe.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SHIPPED_DIR = path.join(__dirname, "..", "prompts");
+
+export const INTENTS = ["whats_on", "act", "venue", "tools"];
+const DEFAULT_INTENT = "whats_on";
+const CONTEXT_ROWS = 8;
+
+const VENUE_QUESTION_RE = /\b(where is|where's|wheres|address|directions|how (?:do i|to|can i) get|get there|parking|step[- ]free|wheelchair|accessib\w*|capacity|how big|how many people)\b/i;
+
+const defaultLocale = () => String(process.env.PROMPT_LOCALE || "en").toLowerCase();
+
+let cache = { signature: null, templates: null };
+
+function parseTemplate(raw, file) {
+  const m = String(raw).match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+  const meta = {};
+  for (const line of (m ? m[1] : "").split(/\r?\n/)) {
+    const kv = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+    if (kv) meta[kv[1].toLowerCase()] = kv[2];
+  }
+  const [intent, locale] = path.basename(file, ".md").split(".");
+  return {
+    id: `${intent}.${(locale || defaultLocale()).toLowerCase()}`,
+    intent,
+    locale: (locale || defaultLocale()).toLowerCase(),
+    version: meta.version || "0",
+    description: meta.description || "",
+    file,
+    body: m ? m[2] : String(raw),
+  };
+}
+
+async function listDir(dir) {
+  try {
+    const names = (await fs.readdir(dir)).filter(n => n.endsWith(".md")).sort();
+    return await Promise.all(names.map(async (n) => {
+      const file = path.join(dir, n);
+      return { file, mtimeMs: (await fs.stat(file)).mtimeMs };
+    }));
+  } catch {
+    return [];
+  }
+}
+
+/** loadPrompts: Map id ("whats_on.en") → template, PROMPTS_DIR first */
+export async function loadPrompts() {
+  const dirs = [...new Set([process.env.PROMPTS_DIR, SHIPPED_DIR].filter(Boolean).map(d => path.resolve(d)))];
+  const files = (await Promise.all(dirs.map(listDir))).flat();
+  const signature = files.map(f => `${f.file}:${f.mtimeMs}`).join("|");
+  if (cache.templates && cache.signature === signature) return cache.templates;
+
+  const templates = new Map();
+  for (const { file } of files) {
+    try {
+      const t = parseTemplate(await fs.readFile(file, "utf8"), file);
+      if (!INTENTS.includes(t.intent)) {
+        console.warn(`[prompts] ${file}: unknown intent "${t.intent}" — skipped`);
+        continue;
+      }
+      if (!templates.has(t.id)) templates.set(t.id, t);
+    } catch (e) {
+      console.warn("[prompts] could not read", file, "-", e.message);
+    }
+  }
+  cache = { signature, templates };
+  return templates;
+}
+
+/**
+ * selectTemplate: the template for an intent and locale, trying the locale,
+ * its language, then the default locale (whats_on where the intent has none).
+ */
+export function selectTemplate(templates, intent = DEFAULT_INTENT, locale = defaultLocale()) {
+  const loc = String(locale || "").toLowerCase();
+  const locales = [...new Set([loc, loc.split("-")[0], defaultLocale()].filter(Boolean))];
+  const intents = [...new Set([intent, DEFAULT_INTENT])];
+  for (const l of locales) {
+    for (const i of intents) {
+      const t = templates.get(`${i}.${l}`);
+      if (t) return t;
+    }
+  }
+  return null;
+}
+
+/** namedVenue: the registry venue a message names (by name or alias), if any */
+export function namedVenue(message, venues = []) {
+  const t = ` ${normText(message)} `;
+  return venues.find(v => [v.name, ...(v.aliases || [])].some((n) => {
+    const k = normText(n);
+    return k && t.includes(` ${k} `);
+  })) || null;
+}
+
+/**
+ * detectIntent: what kind of question a chat message is.
+ * `venues` are registry venues (lib/venues.js), `foundCats` categories it
+ * asked for (lib/categories.js detectCategories) and `hits` the events found.
+ */
+export function detectIntent(message, { venues = [], foundCats = [], hits = [] } = {}) {
+  const text = String(message || "");
+  const t = ` ${normText(text)} `;
+  if (VENUE_QUESTION_RE.test(text) && (namedVenue(text, venues) || !hits.length || /\b(venue|there|it)\b/i.test(text))) return "venue";
+
+  if (/"[^"]+"|“[^”]+”/.test(text)) return "act";
+  if (foundCats.some(({ category, terms }) => terms.some(k => category.acts?.includes(k)))) return "act";
+  const top = hits[0] ? normText(hits[0].title || hits[0].name) : "";
+  if (top.length >= 4 && t.includes(` ${top} `)) return "act";
+  return DEFAULT_INTENT;
+}
+
+/** contextLines: events as the CONTEXT block lists them */
+export function contextLines(rows = []) {
+  return rows.slice(0, CONTEXT_ROWS).map((e) => {
+    const bits = [
+      e.title || e.name || `#${e.id}`,
+      `date: ${describeEventDate(e)}`,
+      `venue: ${e.venue ? e.venue : "Not specified"}`,
+      `id: ${e.id}`,
+    ];
+    return `- ${e.category ? `[${e.category}] ` : ""}${bits.join(" · ")}`;
+  }).join("\n");
+}
+
+const isSet = (v) => v !== undefined && v !== null && v !== "" && v !== false && v !== 0;
+
+/** render: fill a template body; returns { text, missing } (variables not provided) */
+export function render(body, vars = {}) {
+  const missing = new Set();
+  const section = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+  let out = String(body);
+  // repeat until stable so nested sections resolve too
+  for (let prev = null; prev !== out;) {
+    prev = out;
+    out = out.replace(section, (_, kind, name, inner) => {
+      if (!(name in vars)) missing.add(name);
+      return (kind === "#") === isSet(vars[name]) ? inner : "";
+    });
+  }
+  out = out.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, name) => {
+    if (!(name in vars)) missing.add(name);
+    return isSet(vars[name]) ? String(vars[name]) : "";
+  });
+  return { text: out.replace(/\n{3,}/g, "\n\n").trim(), missing: [...missing] };
+}
+
+/**
+ * buildPrompt: the system prompt for a chat turn.
+ * Returns { text, template: { id, intent, locale, version }, missing } —
+ * `template` is null when no template file is found (text is then just the
+ * base system prompt).
+ */
+export async function buildPrompt({ intent = DEFAULT_INTENT, locale = null, vars = {} } = {}) {
+  const templates = await loadPrompts();
+  const t = selectTemplate(templates, intent, locale || defaultLocale());
+  const all = {
+    system: process.env.LLM_SYSTEM_PROMPT || "You are a concise assistant.",
+    locale: locale || defaultLocale(),
+    ...vars,
+  };
+  if (!t) {
+    console.warn(`[prompts] no template for ${intent}/${locale || defaultLocale()}`);
+    return { text: all.system, template: null, missing: [] };
+  }
+  const { text, missing } = render(t.body, all);
+  return { text, template: publicTemplate(t), missing };
+}
+
+/** publicTemplate: how a template is identified in answers and admin views */
+export function publicTemplate(t) {
+  return { id: t.id, intent: t.intent, locale: t.locale, version: t.version };
+}
@@ -0,0 +1,289 @@
+// server/lib/recurrence.js
+// Recurring events and multi-date runs.
+// An event may carry `recurrence: { rrule, rdates, exdates }`:
+//   rrule    RFC 5545 subset — FREQ (DAILY|WEEKLY|MONTHLY|YEARLY), INTERVAL,
+//            COUNT, UNTIL, BYDAY (incl. ordinals like 1FR / -1SA), BYMONTHDAY, BYMONTH
+//   rdates   extra explicit dates (ISO instants or YYYY-MM-DD)
+//   exdates  dates to skip (a bare YYYY-MM-DD skips that whole local day)
+// Occurrences are generated on the event's local wall clock so "19:30 every
+// Friday" stays 19:30 across DST changes — unless the source gave the start in
+// UTC ("…Z", as in DTSTART:20261003T183000Z), which repeats in UTC (RFC 5545).
+
+import { parseEventDate, zonedParts, zonedToUtc, localDay, siteTimezone, validTimezone } from "./dates.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HORIZON_MS = 365 * DAY_MS;   // default window for open-ended rules
+const MAX_EMPTY_PERIODS = 2000;    // safety net for rules that never match
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+/** parseRRule: "FREQ=WEEKLY;BYDAY=FR" → rule object (null if unusable) */
+export function parseRRule(str) {
+  const parts = Object.fromEntries(
+    String(str || "").replace(/^RRULE:/i, "").split(";")
+      .map(kv => kv.split("=")).filter(([k, v]) => k && v)
+      .map(([k, v]) => [k.trim().toUpperCase(), v.trim().toUpperCase()])
+  );
+  const freq = parts.FREQ;
+  if (!["DAILY", "WEEKLY", "MONTHLY", "YEARLY"].includes(freq)) return null;
+  const list = (v) => (v ? v.split(",").filter(Boolean) : []);
+  const until = parts.UNTIL ? parseEventDate(parts.UNTIL, { tz: "UTC" }) : null;
+  return {
+    freq,
+    interval: Math.max(1, Number(parts.INTERVAL) || 1),
+    count: parts.COUNT ? Math.max(1, Number(parts.COUNT)) : null,
+    // a date-only UNTIL includes that whole day
+    until: until?.ts == null ? null : until.timeKnown ? until.ts : until.ts + DAY_MS - 1,
+    byday: list(parts.BYDAY).map(d => {
+      const m = d.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+      return m ? { n: m[1] ? Number(m[1]) : 0, wd: WEEKDAYS.indexOf(m[2]) } : null;
+    }).filter(Boolean),
+    bymonthday: list(parts.BYMONTHDAY).map(Number).filter(n => n && Math.abs(n) <= 31),
+    bymonth: list(parts.BYMONTH).map(n => Number(n) - 1).filter(n => n >= 0 && n < 12),
+  };
+}
+
+// ── calendar helpers on plain { y, m, d } (UTC date math, no zones)
+const ymd = (t) => { const x = new Date(t); return { y: x.getUTCFullYear(), m: x.getUTCMonth(), d: x.getUTCDate() }; };
+const daysInMonth = (y, m) => new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+const weekday = (y, m, d) => new Date(Date.UTC(y, m, d)).getUTCDay();
+
+// Day numbers in month y/m matching BYDAY entries ("2TU", "-1FR", "MO")
+function monthDaysByWeekday(y, m, byday) {
+  const dim = daysInMonth(y, m);
+  const out = [];
+  for (const { n, wd } of byday) {
+    const all = [];
+    for (let d = 1; d <= dim; d++) if (weekday(y, m, d) === wd) all.push(d);
+    if (!n) out.push(...all);
+    else {
+      const pick = n > 0 ? all[n - 1] : all[all.length + n];
+      if (pick) out.push(pick);
+    }
+  }
+  return out;
+}
+
+function resolveMonthDays(y, m, list) {
+  const dim = daysInMonth(y, m);
+  return list.map(n => (n > 0 ? n : dim + n + 1)).filter(d => d >= 1 && d <= dim);
+}
+
+// Candidate calendar days for period #k of the rule, in order.
+function periodDays(rule, start, k) {
+  const { freq, interval } = rule;
+  if (freq === "DAILY") {
+    return [ymd(Date.UTC(start.y, start.m, start.d + k * interval))];
+  }
+  if (freq === "WEEKLY") {
+    // weeks start on Monday (RFC 5545 default WKST)
+    const startWd = weekday(start.y, start.m, start.d);
+    const monday = Date.UTC(start.y, start.m, start.d - ((startWd + 6) % 7) + k * interval * 7);
+    const wds = rule.byday.length ? rule.byday.map(b => b.wd) : [startWd];
+    return [...new Set(wds)]
+      .map(wd => (wd + 6) % 7)
+      .sort((a, b) => a - b)
+      .map(off => ymd(monday + off * DAY_MS));
+  }
+  if (freq === "MONTHLY") {
+    const first = new Date(Date.UTC(start.y, start.m + k * interval, 1));
+    const y = first.getUTCFullYear(), m = first.getUTCMonth();
+    let days;
+    if (rule.byday.length) days = monthDaysByWeekday(y, m, rule.byday);
+    else if (rule.bymonthday.length) days = resolveMonthDays(y, m, rule.bymonthday);
+    else days = start.d <= daysInMonth(y, m) ? [start.d] : [];
+    return [...new Set(days)].sort((a, b) => a - b).map(d => ({ y, m, d }));
+  }
+  // YEARLY
+  const y = start.y + k * interval;
+  const months = rule.bymonth.length ? rule.bymonth : [start.m];
+  const out = [];
+  for (const m of [...months].sort((a, b) => a - b)) {
+    let days;
+    if (rule.byday.length) days = monthDaysByWeekday(y, m, rule.byday);
+    else if (rule.bymonthday.length) days = resolveMonthDays(y, m, rule.bymonthday);
+    else days = start.d <= daysInMonth(y, m) ? [start.d] : [];
+    for (const d of [...new Set(days)].sort((a, b) => a - b)) out.push({ y, m, d });
+  }
+  return out;
+}
+
+// The period a day falls in (0 = dtstart's), rounded down
+function periodOf(rule, start, day) {
+  const { freq, interval } = rule;
+  if (freq === "DAILY" || freq === "WEEKLY") {
+    let days = (Date.UTC(day.y, day.m, day.d) - Date.UTC(start.y, start.m, start.d)) / DAY_MS;
+    if (freq === "DAILY") return Math.floor(days / interval);
+    days += (weekday(start.y, start.m, start.d) + 6) % 7; // from dtstart's Monday
+    return Math.floor(days / (7 * interval));
+  }
+  if (freq === "MONTHLY") return Math.floor(((day.y - start.y) * 12 + day.m - start.m) / interval);
+  return Math.floor((day.y - start.y) / interval);
+}
+
+/**
+ * expandRRule: occurrence start times (epoch ms) for a rule anchored at
+ * dtstart (epoch ms, wall clock taken in `tz`), up to `to` (inclusive).
+ * Without COUNT, periods before `from` are skipped rather than walked, so an
+ * old series still reaches today; with COUNT they all count.
+ */
+export function expandRRule(rrule, dtstart, tz, { from = -Infinity, to = dtstart + HORIZON_MS } = {}) {
+  const rule = typeof rrule === "string" ? parseRRule(rrule) : rrule;
+  if (!rule || dtstart == null) return dtstart == null ? [] : [dtstart];
+  const zone = validTimezone(tz) || siteTimezone();
+  const p = zonedParts(dtstart, zone);
+  const start = { y: p.y, m: p.m, d: p.d };
+  const end = Math.min(to, rule.until ?? Infinity);
+  let first = 0;
+  if (!rule.count && Number.isFinite(from) && from > dtstart) {
+    const f = zonedParts(from, zone);
+    // one period early: `from` may sit before that period's first occurrence
+    first = Math.max(0, periodOf(rule, start, { y: f.y, m: f.m, d: f.d }) - 1);
+  }
+
+  const out = [];
+  let emitted = 0;
+  let empty = 0;
+  for (let k = first; empty < MAX_EMPTY_PERIODS; k++) {
+    const days = periodDays(rule, start, k);
+    let past = false;
+    let hit = false;
+    for (const day of days) {
+      if (rule.bymonth.length && !rule.bymonth.includes(day.m)) continue;
+      const t = zonedToUtc({ ...day, h: p.h, mi: p.mi, s: p.s }, zone);
+      if (t < dtstart) continue;
+      if (t > end) { past = true; break; }
+      out.push(t);
+      hit = true;
+      if (rule.count && ++emitted >= rule.count) return out;
+    }
+    if (past) break;
+    empty = hit ? 0 : empty + 1;
+  }
+  return out;
+}
+
+/** ruleZone: the zone a row's rule repeats in — UTC for a UTC start, else the event's own */
+export function ruleZone(row) {
+  if (/\dZ$/i.test(String(row.start_text ?? "").trim())) return "UTC";
+  return validTimezone(row.tz) || siteTimezone();
+}
+
+function toList(v) {
+  if (v == null || v === "") return [];
+  return (Array.isArray(v) ? v : String(v).split(/[,\n]/)).map(s => String(s).trim()).filter(Boolean);
+}
+
+/**
+ * normalizeRecurrence: fold source fields (rrule / rdates / exdates) into a
+ * canonical `recurrence` object on the row; removes the raw fields.
+ */
+export function normalizeRecurrence(row = {}) {
+  const { rrule, rdates, exdates, ...rest } = row;
+  const raw = row.recurrence || {};
+  const rule = rrule ?? raw.rrule ?? null;
+  const tz = validTimezone(row.tz) || siteTimezone();
+  const canon = (s) => {
+    const p = parseEventDate(s, { tz });
+    return p.ts == null ? null : p.timeKnown ? p.iso : p.date;
+  };
+  const r = toList(rdates ?? raw.rdates).map(canon).filter(Boolean);
+  const x = toList(exdates ?? raw.exdates).map(canon).filter(Boolean);
+  const validRule = rule && parseRRule(rule) ? String(rule).replace(/^RRULE:/i, "").toUpperCase() : null;
+  if (!validRule && !r.length) {
+    if (rrule === undefined && rdates === undefined && exdates === undefined) return row;
+    return { ...rest, recurrence: null };
+  }
+  return { ...rest, recurrence: { rrule: validRule, rdates: r, exdates: x } };
+}
+
+/** isRecurring: has a rule or extra dates */
+export function isRecurring(row) {
+  return Boolean(row?.recurrence && (row.recurrence.rrule || row.recurrence.rdates?.length));
+}
+
+/**
+ * occurrences: [{ start_ts, end_ts }] for a row within [from, to].
+ * Non-recurring rows yield their single start (if inside the window).
+ */
+export function occurrences(row, { from = -Infinity, to, limit = 500 } = {}) {
+  const base = Number.isFinite(row?.start_ts) ? row.start_ts : null;
+  if (base == null) return [];
+  const tz = validTimezone(row.tz) || siteTimezone();
+  const windowEnd = to ?? Math.max(base, Number.isFinite(from) ? from : Date.now()) + HORIZON_MS;
+  const dur = Number.isFinite(row.end_ts) && row.end_ts > base ? row.end_ts - base : null;
+
+  let starts = [base];
+  if (isRecurring(row)) {
+    const rec = row.recurrence;
+    starts = rec.rrule ? expandRRule(rec.rrule, base, ruleZone(row), { from, to: windowEnd }) : [base];
+    for (const s of rec.rdates || []) {
+      const t = parseEventDate(s, { tz }).ts;
+      if (t != null) starts.push(t);
+    }
+    const exInstants = new Set();
+    const exDays = new Set();
+    for (const s of rec.exdates || []) {
+      if (/^\d{4}-\d{2}-\d{2}$/.test(s)) exDays.add(s);
+      else {
+        const t = parseEventDate(s, { tz }).ts;
+        if (t != null) exInstants.add(t);
+      }
+    }
+    starts = starts.filter(t => !exInstants.has(t) && !exDays.has(localDay(t, tz)));
+  }
+
+  return [...new Set(starts)]
+    .filter(t => t >= from && t <= windowEnd)
+    .sort((a, b) => a - b)
+    .slice(0, limit)
+    .map(t => ({ start_ts: t, end_ts: dur == null ? null : t + dur }));
+}
+
+/**
+ * expandInWindow: replace recurring rows with one row per occurrence in
+ * [from, to]. Occurrence rows get id "<series>@YYYY-MM-DD" ("…THHMM", local
+ * time, when the time is known), `series_id` and their own start/end;
+ * non-recurring rows pass through unchanged.
+ */
+export function expandInWindow(rows = [], { from = null, to = null } = {}) {
+  const lo = from ?? Date.now();
+  const hi = to ?? lo + HORIZON_MS;
+  const out = [];
+  for (const row of rows) {
+    if (!isRecurring(row)) { out.push(row); continue; }
+    for (const occ of occurrences(row, { from: lo, to: hi })) {
+      const known = row.time_known !== false && !row.all_day;
+      const day = localDay(occ.start_ts, row.tz || undefined);
+      out.push({
+        ...row,
+        id: `${row.id}@${occurrenceKey(occ.start_ts, row)}`,
+        series_id: row.id,
+        start: known ? new Date(occ.start_ts).toISOString() : day,
+        start_ts: occ.start_ts,
+        end: occ.end_ts == null ? row.end : new Date(occ.end_ts).toISOString(),
+        end_ts: occ.end_ts,
+      });
+    }
+  }
+  return out;
+}
+
+/** upcomingOccurrences: next `limit` starts (ISO / YYYY-MM-DD) from now */
+export function upcomingOccurrences(row, { limit = 10, now = Date.now() } = {}) {
+  const known = row?.time_known !== false && !row?.all_day;
+  return occurrences(row, { from: now, limit }).map(o =>
+    known ? new Date(o.start_ts).toISOString() : localDay(o.start_ts, row.tz || undefined));
+}
+
+// "2026-10-09T1930" (local day and time), or "2026-10-09" for date-only rows
+function occurrenceKey(ts, row) {
+  const day = localDay(ts, row.tz || undefined);
+  if (row.time_known === false || row.all_day) return day;
+  const p = zonedParts(ts, validTimezone(row.tz) || siteTimezone());
+  return `${day}T${String(p.h).padStart(2, "0")}${String(p.mi).padStart(2, "0")}`;
+}
+
+/** seriesId: strip an occurrence suffix ("123@2026-10-09T1930" → "123") */
+export function seriesId(id) {
+  return String(id).replace(/@\d{4}-\d{2}-\d{2}(?:T\d{4})?$/, "");
+}
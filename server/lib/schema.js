@@ -0,0 +1,150 @@
+// server/lib/schema.js
+// schema.org Event JSON-LD for our own events (the output side of what
+// ./sources/jsonld.js reads from other sites). Used by
+// GET /api/events/:id/jsonld and GET /api/events.jsonld.
+
+import { zonedParts, siteTimezone, validTimezone } from "./dates.js";
+import { parseRRule } from "./recurrence.js";
+
+const SCHEMA = "https://schema.org/";
+const DAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const pad = (n) => String(n).padStart(2, "0");
+
+// Local wall time with its UTC offset ("2026-10-03T19:30:00+01:00"), or a
+// bare date for all-day / date-only events.
+function schemaDate(ms, row) {
+  if (!Number.isFinite(ms)) return undefined;
+  const tz = validTimezone(row.tz) || siteTimezone();
+  const p = zonedParts(ms, tz);
+  const date = `${p.y}-${pad(p.m + 1)}-${pad(p.d)}`;
+  if (row.all_day || row.time_known === false) return date;
+  const off = Math.round((Date.UTC(p.y, p.m, p.d, p.h, p.mi, p.s) - Math.floor(ms / 1000) * 1000) / 60000);
+  const sign = off < 0 ? "-" : "+";
+  return `${date}T${pad(p.h)}:${pad(p.mi)}:${pad(p.s)}${sign}${pad(Math.floor(Math.abs(off) / 60))}:${pad(Math.abs(off) % 60)}`;
+}
+
+/** eventStatus: schema.org EventStatusType from our availability/status */
+export function eventStatus(row) {
+  const s = `${row.availability || ""} ${row.status || ""}`.toLowerCase();
+  if (/cancel/.test(s)) return `${SCHEMA}EventCancelled`;
+  if (/postpone/.test(s)) return `${SCHEMA}EventPostponed`;
+  if (/reschedul/.test(s)) return `${SCHEMA}EventRescheduled`;
+  return `${SCHEMA}EventScheduled`;
+}
+
+/** offerAvailability: schema.org ItemAvailability from free-text availability */
+export function offerAvailability(v) {
+  const s = String(v || "").toLowerCase().replace(/^https?:\/\/schema\.org\//, "");
+  if (!s) return undefined;
+  if (/sold\s*out|soldout/.test(s)) return `${SCHEMA}SoldOut`;
+  if (/limited|few|last/.test(s)) return `${SCHEMA}LimitedAvailability`;
+  if (/pre-?order|presale|pre-?sale/.test(s)) return `${SCHEMA}PreOrder`;
+  if (/cancel/.test(s)) return undefined; // carried by eventStatus instead
+  if (/in\s*stock|instock|available|on\s*sale|onsale/.test(s)) return `${SCHEMA}InStock`;
+  return undefined;
+}
+
+/**
+ * postalAddress: "106 Parkway, London NW1 7AN" → PostalAddress
+ * (UK postcode and town picked out when present; the rest is the street).
+ */
+export function postalAddress(text, { country = "GB" } = {}) {
+  if (!text) return undefined;
+  const parts = String(text).split(",").map(s => s.trim()).filter(Boolean);
+  const out = { "@type": "PostalAddress" };
+  const pc = String(text).match(/\b([A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2})\b/i);
+  if (pc) out.postalCode = pc[1].toUpperCase();
+  const last = parts.length > 1 ? parts.pop().replace(pc?.[1] || "\u0000", "").trim() : "";
+  if (last) out.addressLocality = last;
+  if (parts.length) out.streetAddress = parts.join(", ");
+  if (country) out.addressCountry = country;
+  return out;
+}
+
+function place(row, venue) {
+  const name = venue?.name || row.venue;
+  if (!name) return undefined;
+  const lat = venue?.lat ?? row.lat, lng = venue?.lng ?? row.lng;
+  return {
+    "@type": "Place",
+    name,
+    // no address rather than a guessed one (the venue name is not an address)
+    ...(venue?.address ? { address: postalAddress(venue.address) } : {}),
+    ...(Number.isFinite(lat) && Number.isFinite(lng)
+      ? { geo: { "@type": "GeoCoordinates", latitude: lat, longitude: lng } }
+      : {}),
+    ...(venue?.capacity ? { maximumAttendeeCapacity: venue.capacity } : {}),
+  };
+}
+
+// Offer: `url` on our rows is the ticket link (see ./sources/wordpress.js)
+function offer(row, { currency }) {
+  const availability = offerAvailability(row.availability);
+  if (!row.url && row.price_from == null && !availability) return undefined;
+  return {
+    "@type": "Offer",
+    ...(row.url ? { url: row.url } : {}),
+    ...(row.price_from != null && row.price_from !== "" ? { price: Number(row.price_from), priceCurrency: currency } : {}),
+    ...(availability ? { availability } : {}),
+  };
+}
+
+// Repeating series → schema.org Schedule (simple weekly/monthly/… rules)
+function schedule(row) {
+  const rule = row.recurrence?.rrule ? parseRRule(row.recurrence.rrule) : null;
+  if (!rule || row.series_id) return undefined;
+  const unit = { DAILY: "D", WEEKLY: "W", MONTHLY: "M", YEARLY: "Y" }[rule.freq];
+  return {
+    "@type": "Schedule",
+    repeatFrequency: `P${rule.interval}${unit}`,
+    ...(rule.byday.some(d => !d.n) ? { byDay: rule.byday.filter(d => !d.n).map(d => `${SCHEMA}${DAYS[d.wd]}`) } : {}),
+    ...(rule.bymonthday.length ? { byMonthDay: rule.bymonthday } : {}),
+    ...(rule.bymonth.length ? { byMonth: rule.bymonth.map(m => m + 1) } : {}),
+    ...(rule.count ? { repeatCount: rule.count } : {}),
+    startDate: schemaDate(row.start_ts, { ...row, time_known: false }),
+    ...(rule.until ? { endDate: schemaDate(rule.until, { ...row, time_known: false }) } : {}),
+    ...(row.recurrence.exdates?.length ? { exceptDate: row.recurrence.exdates } : {}),
+    scheduleTimezone: validTimezone(row.tz) || siteTimezone(),
+  };
+}
+
+/**
+ * toSchemaEvent: normalized event → schema.org Event (JSON-LD object).
+ * Options: venue (registry entry for row.venue_id), url (event page;
+ * defaults to the permalink, else the ticket link), currency (default EVENTS_CURRENCY or GBP), context (include @context).
+ */
+export function toSchemaEvent(row, { venue = null, url = null, currency, context = true } = {}) {
+  const cur = currency || process.env.EVENTS_CURRENCY || "GBP";
+  const page = url || row.link || row.url || null;
+  const strip = (o) => JSON.parse(JSON.stringify(o)); // drop undefined
+  return strip({
+    ...(context ? { "@context": "https://schema.org" } : {}),
+    "@type": "Event",
+    ...(page ? { "@id": `${page}#event`, url: page } : {}),
+    identifier: String(row.id),
+    name: row.title || "Untitled event",
+    description: row.content_0_text || undefined,
+    startDate: schemaDate(row.start_ts, row),
+    endDate: schemaDate(row.end_ts, row),
+    eventStatus: eventStatus(row),
+    eventAttendanceMode: `${SCHEMA}OfflineEventAttendanceMode`,
+    location: place(row, venue),
+    offers: offer(row, { currency: cur }),
+    eventSchedule: schedule(row),
+    keywords: [].concat(row.category || [], row.categories || []).filter(Boolean).join(", ") || undefined,
+  });
+}
+
+/** toSchemaItemList: events → ItemList of Event objects (one @context) */
+export function toSchemaItemList(rows = [], optsFor = () => ({})) {
+  return {
+    "@context": "https://schema.org",
+    "@type": "ItemList",
+    numberOfItems: rows.length,
+    itemListElement: rows.map((row, i) => ({
+      "@type": "ListItem",
+      position: i + 1,
+      item: toSchemaEvent(row, { ...optsFor(row), context: false }),
+    })),
+  };
+}
@@ -0,0 +1,165 @@
+// server/lib/search.js
+// Full-text search over normalized events.
+// - Tokenize + light suffix stemming (no dependencies)
+// - Inverted index over title / venue / category / content_0_text
+// - BM25F ranking: field-weighted term frequency, multiple terms are OR'ed
+// - Highlighted snippets (<mark>…</mark>, the rest HTML-escaped) for the UI and chat hits
+
+const FIELDS = {
+  title:          { weight: 3.0, b: 0.75 },
+  venue:          { weight: 1.5, b: 0.5 },
+  category:       { weight: 1.5, b: 0.5 },
+  content_0_text: { weight: 1.0, b: 0.75 },
+};
+const K1 = 1.2;
+const SNIPPET_RADIUS = 70;
+
+const STOPWORDS = new Set([
+  "a","an","and","any","are","as","at","be","by","can","do","for","from","get","i","in",
+  "is","it","me","my","of","on","or","show","some","that","the","there","this","to","what",
+  "whats","when","where","which","with","you","your","about","find","events","event",
+  "anything","happening","see",
+]);
+
+const WORD_RE = /[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu;
+
+/** stem: light English suffix stripping (Porter-flavoured, intentionally lossy) */
+export function stem(word) {
+  let w = String(word || "").toLowerCase().replace(/['’]s$/, "").replace(/['’]/g, "");
+  if (w.length <= 3 || /^\d+$/.test(w)) return w;
+
+  if (w.endsWith("sses")) w = w.slice(0, -2);
+  else if (w.endsWith("ies")) w = w.slice(0, -3) + "y";
+  else if (/[^su]s$/.test(w)) w = w.slice(0, -1);
+
+  for (const suf of ["ingly", "edly", "ing", "ed", "ly"]) {
+    if (w.endsWith(suf) && w.length - suf.length >= 3) {
+      w = w.slice(0, -suf.length);
+      // runn → run, stopp → stop
+      if (/([^aeiouls])\1$/.test(w)) w = w.slice(0, -1);
+      break;
+    }
+  }
+  if (w.length > 4 && w.endsWith("e")) w = w.slice(0, -1);
+  return w;
+}
+
+/** tokenize: lowercase words → stemmed terms (stopwords dropped) */
+export function tokenize(text) {
+  const out = [];
+  for (const m of String(text || "").toLowerCase().matchAll(WORD_RE)) {
+    const raw = m[0].replace(/['’]s$/, "");
+    if (STOPWORDS.has(raw.replace(/['’]/g, ""))) continue;
+    const t = stem(raw);
+    if (t) out.push(t);
+  }
+  return out;
+}
+
+/**
+ * buildIndex: inverted index over a list of event rows.
+ * postings: term → Map(docIndex → { field: tf })
+ */
+export function buildIndex(rows = []) {
+  const docs = [];
+  const postings = new Map();
+  const totalLen = Object.fromEntries(Object.keys(FIELDS).map(f => [f, 0]));
+
+  rows.forEach((row, i) => {
+    const lens = {};
+    for (const field of Object.keys(FIELDS)) {
+      const terms = tokenize(row?.[field]);
+      lens[field] = terms.length;
+      totalLen[field] += terms.length;
+      for (const t of terms) {
+        let byDoc = postings.get(t);
+        if (!byDoc) postings.set(t, (byDoc = new Map()));
+        const tf = byDoc.get(i) || {};
+        tf[field] = (tf[field] || 0) + 1;
+        byDoc.set(i, tf);
+      }
+    }
+    docs.push({ row, lens });
+  });
+
+  const n = docs.length || 1;
+  const avgLen = Object.fromEntries(
+    Object.entries(totalLen).map(([f, v]) => [f, v / n || 1])
+  );
+  return { docs, postings, avgLen };
+}
+
+const escapeHtml = (s) => s.replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+// HTML: the text escaped, matching words in <mark>
+function highlightWords(text, terms) {
+  const s = String(text || "");
+  let out = "", at = 0;
+  for (const m of s.matchAll(WORD_RE)) {
+    if (!terms.has(stem(m[0]))) continue;
+    out += `${escapeHtml(s.slice(at, m.index))}<mark>${escapeHtml(m[0])}</mark>`;
+    at = m.index + m[0].length;
+  }
+  return out + escapeHtml(s.slice(at));
+}
+
+function snippet(text, terms) {
+  const s = String(text || "");
+  if (!s) return "";
+  let at = -1;
+  for (const m of s.matchAll(WORD_RE)) {
+    if (terms.has(stem(m[0]))) { at = m.index; break; }
+  }
+  if (at < 0) return "";
+  const from = Math.max(0, at - SNIPPET_RADIUS);
+  const to = Math.min(s.length, at + SNIPPET_RADIUS);
+  let cut = s.slice(from, to);
+  // avoid half words at the edges
+  if (from > 0) cut = cut.replace(/^\S*\s/, "");
+  if (to < s.length) cut = cut.replace(/\s\S*$/, "");
+  return `${from > 0 ? "…" : ""}${highlightWords(cut, terms)}${to < s.length ? "…" : ""}`;
+}
+
+/**
+ * searchIndex: BM25F-ranked OR search.
+ * Returns [{ ...row, score, highlights: { title?, venue?, category?, content? } }]
+ * sorted by score (desc). Rows that match no term are omitted.
+ */
+export function searchIndex(index, q, { limit = 50 } = {}) {
+  const terms = [...new Set(tokenize(q))];
+  if (!terms.length || !index?.docs?.length) return [];
+  const N = index.docs.length;
+
+  const scores = new Map();
+  for (const t of terms) {
+    const byDoc = index.postings.get(t);
+    if (!byDoc) continue;
+    const idf = Math.log(1 + (N - byDoc.size + 0.5) / (byDoc.size + 0.5));
+    for (const [i, tfs] of byDoc) {
+      const { lens } = index.docs[i];
+      let tf = 0;
+      for (const [field, n] of Object.entries(tfs)) {
+        const { weight, b } = FIELDS[field];
+        tf += (weight * n) / (1 - b + b * (lens[field] / index.avgLen[field]));
+      }
+      const add = idf * ((tf * (K1 + 1)) / (tf + K1));
+      scores.set(i, (scores.get(i) || 0) + add);
+    }
+  }
+
+  const termSet = new Set(terms);
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([i, score]) => {
+      const row = index.docs[i].row;
+      const highlights = {};
+      for (const field of ["title", "venue", "category"]) {
+        const h = row?.[field] ? highlightWords(row[field], termSet) : "";
+        if (h.includes("<mark>")) highlights[field] = h;
+      }
+      const content = snippet(row?.content_0_text, termSet);
+      if (content) highlights.content = content;
+      return { ...row, score: Math.round(score * 1000) / 1000, highlights };
+    });
+}
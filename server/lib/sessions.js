@@ -0,0 +1,196 @@
+// server/lib/sessions.js
+// Server-side chat sessions for /ai/chat and /ai/ask.
+//
+// A session (keyed by `session_id`, in memory) keeps the message history,
+// the last hit list and the search the hits came from, so follow-ups work:
+//   "tell me more about the second one"  -> that event
+//   "what else is on at that venue?"     -> the venue of the event in focus
+//   "what about tomorrow?"               -> the previous search, new date
+// Sessions expire after CHAT_SESSION_TTL_MS idle; the oldest are dropped
+// beyond CHAT_SESSION_MAX, and each keeps at most CHAT_HISTORY_MAX messages.
+
+import crypto from "crypto";
+
+import { detectPlace } from "./geo.js";
+import { detectTimeframe } from "./timeframe.js";
+
+const MAX_HITS = 20;         // hits remembered per session
+const MAX_MESSAGE_CHARS = 4000;
+
+const ttlMs = () => Number(process.env.CHAT_SESSION_TTL_MS || 30 * 60 * 1000); // 30m
+const maxSessions = () => Number(process.env.CHAT_SESSION_MAX || 1000);
+const maxMessages = () => Number(process.env.CHAT_HISTORY_MAX || 20);
+
+const sessions = new Map(); // id → session (Map order = least recently used first)
+
+const validId = (id) => typeof id === "string" && /^[\w-]{8,64}$/.test(id);
+
+function sweep(now = Date.now()) {
+  for (const [id, s] of sessions) if (now - s.touched > ttlMs()) sessions.delete(id);
+  while (sessions.size > maxSessions()) sessions.delete(sessions.keys().next().value);
+}
+
+/**
+ * openSession: the live session for `id`, or a new one (fresh id when `id`
+ * is missing, malformed or expired — callers echo `session.id` back).
+ */
+export function openSession(id) {
+  const now = Date.now();
+  sweep(now);
+  let s = validId(id) ? sessions.get(id) : null;
+  if (!s) {
+    s = { id: validId(id) ? id : crypto.randomUUID(), created: now, touched: now, messages: [], hits: [], search: null, focus: null, venue: null };
+  }
+  s.touched = now;
+  sessions.delete(s.id);
+  sessions.set(s.id, s);
+  return s;
+}
+
+/** getSession: existing, unexpired session or null (no side effects) */
+export function getSession(id) {
+  const s = validId(id) ? sessions.get(id) : null;
+  return s && Date.now() - s.touched <= ttlMs() ? s : null;
+}
+
+/** endSession: forget a session; true if it existed */
+export function endSession(id) {
+  return sessions.delete(id);
+}
+
+/** addMessage: append a turn ("user" | "assistant"), keeping the last CHAT_HISTORY_MAX */
+export function addMessage(session, role, content, meta = {}) {
+  const text = String(content || "").slice(0, MAX_MESSAGE_CHARS);
+  if (!text) return;
+  session.messages.push({ role, content: text, ts: Date.now(), ...meta });
+  const extra = session.messages.length - maxMessages();
+  if (extra > 0) session.messages.splice(0, extra);
+}
+
+// Just enough of each hit to resolve references and describe it again
+const hitRef = (e) => ({
+  id: String(e.id),
+  title: e.title || e.name || "",
+  venue: e.venue || null,
+  venue_id: e.venue_id ?? null,
+  start: e.start ?? e.date ?? null,
+});
+
+/** rememberHits: the list the user now sees, and the search that produced it */
+export function rememberHits(session, hits = [], search = null) {
+  session.hits = hits.slice(0, MAX_HITS).map(hitRef);
+  if (search) session.search = search;
+  session.focus = session.hits.length === 1 ? session.hits[0] : null;
+  // a list from one venue keeps "there" pointing at it
+  const venues = new Set(session.hits.map(h => h.venue).filter(Boolean));
+  if (venues.size === 1) session.venue = [...venues][0];
+}
+
+/** setFocus: the event the conversation is about ("it", "that venue") */
+export function setFocus(session, event) {
+  session.focus = event ? hitRef(event) : null;
+  if (session.focus?.venue) session.venue = session.focus.venue;
+}
+
+/**
+ * historyForLLM: prior turns as chat messages, newest last, trimmed to
+ * `maxChars` in total (oldest dropped first). Excludes the current message
+ * when it is the last one recorded.
+ */
+export function historyForLLM(session, { maxChars = Number(process.env.CHAT_HISTORY_CHARS || 3000), current = null } = {}) {
+  let msgs = session.messages;
+  const last = msgs[msgs.length - 1];
+  if (current != null && last?.role === "user" && last.content === current) msgs = msgs.slice(0, -1);
+  const out = [];
+  let size = 0;
+  for (let i = msgs.length - 1; i >= 0; i--) {
+    size += msgs[i].content.length;
+    if (size > maxChars) break;
+    out.unshift({ role: msgs[i].role, content: msgs[i].content });
+  }
+  return out;
+}
+
+// ── reference resolution
+const ORDINALS = {
+  first: 1, "1st": 1, second: 2, "2nd": 2, third: 3, "3rd": 3, fourth: 4, "4th": 4,
+  fifth: 5, "5th": 5, sixth: 6, "6th": 6, seventh: 7, "7th": 7, eighth: 8, "8th": 8,
+  ninth: 9, "9th": 9, tenth: 10, "10th": 10,
+};
+const ORDINAL_WORDS = `${Object.keys(ORDINALS).join("|")}|last`;
+// "the second one", "2nd event", or a bare "the second" ending the message
+const ORDINAL_RE = new RegExp(
+  `\\b(${ORDINAL_WORDS})\\s+(?:one|event|show|gig|result|item)\\b|\\bthe\\s+(${ORDINAL_WORDS})\\s*[?.!]*$`, "i"
+);
+const NUMBER_RE = /(?:\b(?:number|no\.?|option|result|item)\s*|#)(\d{1,2})\b/i;
+const PRONOUN_RE = /\b(?:that|this|the same)\s+(?:one|event|show|gig)\b|\b(?:it|that)\s*\??$/i;
+// "there" only where it means a place ("what's on there?", not "is there jazz?")
+const VENUE_RE = /\b(?:that|this|the same)\s+(?:venue|place)\b|\b(?:on|at)\s+there\b|\bthere\s*\??$/i;
+const FOLLOW_UP_RE = /^\s*(?:(?:and\s+)?(?:what|how)\s+about|and|what\s+if)\s+(.+?)\s*\??\s*$/i;
+
+function eventRef(text, hits) {
+  const n = text.match(NUMBER_RE);
+  if (n) return hits[Number(n[1]) - 1] || null;
+  const o = text.match(ORDINAL_RE);
+  if (!o) return null;
+  const word = (o[1] || o[2]).toLowerCase();
+  return (word === "last" ? hits[hits.length - 1] : hits[ORDINALS[word] - 1]) || null;
+}
+
+// Search text as separate facets, so a follow-up can swap just one of them
+function searchFacets(text, venues) {
+  let topic = String(text || "");
+  const place = detectPlace(topic, venues);
+  if (place) topic = topic.replace(place.phrase, " ");
+  const when = detectTimeframe(topic);
+  if (when) topic = topic.replace(when.phrase, " ");
+  return {
+    topic: topic.replace(/\s+/g, " ").replace(/[?!.]+$/, "").trim(),
+    date: when ? when.phrase : null,
+    place: place ? place.phrase : null,
+  };
+}
+
+const joinFacets = (f) => [f.topic, f.date, f.place].filter(Boolean).join(" ");
+
+/**
+ * resolveTurn: read a message against the session.
+ * Returns { kind, text, event?, venue? }:
+ *   kind "event"  -> the message points at one remembered event (`event`)
+ *   kind "search" -> `text` is what to search for, with references and
+ *                    follow-up facets filled in from earlier turns
+ * Pass `venues` (the registry) so "near <venue>" facets are recognised.
+ */
+export function resolveTurn(message, session, { venues = [] } = {}) {
+  const raw = String(message || "").trim();
+  const hits = session?.hits || [];
+
+  // "that venue" / "there": the venue of the event in focus (or last talked about)
+  if (VENUE_RE.test(raw)) {
+    const venue = (eventRef(raw, hits) || session?.focus)?.venue || session?.venue;
+    if (venue) {
+      const named = (m) => (/^(?:that|this|the same)\b/i.test(m) ? venue : /^on\s/i.test(m) ? `on at ${venue}` : `at ${venue}`);
+      return { kind: "search", text: raw.replace(VENUE_RE, named).replace(/\s+/g, " ").trim(), venue };
+    }
+  }
+
+  // "the second one", "#3", "that one"
+  const picked = eventRef(raw, hits) || (PRONOUN_RE.test(raw) ? session?.focus : null);
+  if (picked) return { kind: "event", text: raw, event: picked };
+
+  // "what about tomorrow?" / "and near Camden?" / "what about comedy?"
+  const follow = raw.match(FOLLOW_UP_RE);
+  if (follow && session?.search) {
+    const prev = searchFacets(session.search, venues);
+    const next = searchFacets(follow[1], venues);
+    // the follow-up replaces the facets it names and keeps the rest
+    const merged = {
+      topic: next.topic || prev.topic,
+      date: next.date || prev.date,
+      place: next.place || prev.place,
+    };
+    return { kind: "search", text: joinFacets(merged) || raw };
+  }
+
+  return { kind: "search", text: raw };
+}
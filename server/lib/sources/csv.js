@@ -0,0 +1,57 @@
+// server/lib/sources/csv.js
+// CSV/spreadsheet adapter: one row → one normalized event.
+// Config: { id, type: "csv", path, columns?: { field: "Header" }, venue?, category? }
+// Without `columns`, headers are matched to field names case-insensitively
+// ("Price From" → price_from). Repeating rows may fill rrule / rdates / exdates
+// (dates separated by commas or newlines).
+
+import { readText, shortHash } from "./util.js";
+import { parseCsvObjects } from "../csv.js";
+
+export const FIELDS = [
+  "id", "title", "start", "end", "venue", "category",
+  "url", "availability", "price_from", "content_0_text",
+  "rrule", "rdates", "exdates",
+];
+
+/** headerKey: "Price From" → "price_from" */
+export const headerKey = (h) => String(h || "").trim().toLowerCase().replace(/[^a-z0-9]+/g, "_");
+
+export function createCsvSource(config = {}) {
+  const id = config.id || "csv";
+  const columns = config.columns || {};
+
+  function pick(obj, field) {
+    if (columns[field]) return obj[columns[field]] ?? "";
+    const hit = Object.keys(obj).find(k => headerKey(k) === field);
+    return hit ? obj[hit] : "";
+  }
+
+  function mapRow(obj) {
+    const v = Object.fromEntries(FIELDS.map(f => [f, String(pick(obj, f) || "").trim()]));
+    const price = v.price_from === "" ? null : Number(v.price_from.replace(/[^0-9.]/g, ""));
+    return {
+      id: v.id || shortHash(v.title, v.start),
+      title: v.title,
+      start: v.start || null,
+      end: v.end || null,
+      venue: v.venue || config.venue || "",
+      category: v.category || config.category || null,
+      url: v.url || null,
+      availability: v.availability || null,
+      price_from: Number.isNaN(price) ? null : price,
+      rrule: v.rrule || null,
+      rdates: v.rdates,
+      exdates: v.exdates,
+      content_0_text: v.content_0_text.slice(0, 1200),
+    };
+  }
+
+  async function fetchAll() {
+    const text = await readText(config.path || config.url, config.baseDir);
+    const rows = parseCsvObjects(text).map(mapRow).filter(r => r.title);
+    return { rows, complete: true };
+  }
+
+  return { id, type: "csv", bareIds: false, fetchAll };
+}
@@ -0,0 +1,121 @@
+// server/lib/sources/ics.js
+// iCalendar (RFC 5545) adapter: one VEVENT → one normalized event.
+// Config: { id, type: "ics", url, venue?, category? }  (url may be a local file)
+
+import { readText, shortHash } from "./util.js";
+
+// Lines starting with a space/tab continue the previous one.
+function unfold(text) {
+  return String(text || "").replace(/\r?\n[ \t]/g, "");
+}
+
+function unescapeText(v) {
+  return String(v || "")
+    .replace(/\\n/gi, "\n")
+    .replace(/\\([,;\\])/g, "$1")
+    .trim();
+}
+
+// "DTSTART;TZID=Europe/London:20261003T193000" → { name, params, value }
+function parseLine(line) {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (colon < 0) return null;
+  const [name, ...paramParts] = line.slice(0, colon).split(";");
+  const params = {};
+  for (const p of paramParts) {
+    const [k, v = ""] = p.split("=");
+    params[k.toUpperCase()] = v.replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * icsDate: iCal date/date-time → ISO-ish string.
+ * 20261003T193000Z → 2026-10-03T19:30:00Z, floating/TZID times stay local
+ * (the TZID is returned alongside), VALUE=DATE → 2026-10-03.
+ */
+function icsDate(prop) {
+  if (!prop) return { value: null, tz: null, allDay: false };
+  const m = String(prop.value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!m) return { value: prop.value || null, tz: prop.params.TZID || null, allDay: false };
+  const [, y, mo, d, h, mi, se = "00", z] = m;
+  if (!h) return { value: `${y}-${mo}-${d}`, tz: prop.params.TZID || null, allDay: true };
+  return {
+    value: `${y}-${mo}-${d}T${h}:${mi}:${se}${z ? "Z" : ""}`,
+    tz: z ? null : (prop.params.TZID || null), // UTC stamps: display in the site zone
+    allDay: false,
+  };
+}
+
+// Properties that may repeat; kept as arrays of props.
+const MULTI = new Set(["RDATE", "EXDATE"]);
+
+/**
+ * parseIcs: calendar text → [{ NAME: { params, value } }] per VEVENT
+ * (RDATE / EXDATE → [{ params, value }, …])
+ */
+export function parseIcs(text) {
+  const events = [];
+  let cur = null;
+  for (const raw of unfold(text).split(/\r?\n/)) {
+    const line = raw.trimEnd();
+    if (!line) continue;
+    if (/^BEGIN:VEVENT$/i.test(line)) { cur = {}; continue; }
+    if (/^END:VEVENT$/i.test(line)) { if (cur) events.push(cur); cur = null; continue; }
+    if (!cur) continue;
+    const prop = parseLine(line);
+    if (!prop) continue;
+    if (MULTI.has(prop.name)) (cur[prop.name] ||= []).push(prop);
+    else if (!(prop.name in cur)) cur[prop.name] = prop;
+  }
+  return events;
+}
+
+// All-day DTEND is exclusive (the day after); our `end` is the last day
+function lastDay(end, start) {
+  if (!end.allDay || !/^\d{4}-\d{2}-\d{2}$/.test(end.value || "")) return end.value;
+  const [y, m, d] = end.value.split("-").map(Number);
+  const prev = new Date(Date.UTC(y, m - 1, d - 1)).toISOString().slice(0, 10);
+  // a zero-length DTEND (= DTSTART) means a one-day event
+  return start.value && prev < start.value ? start.value : prev;
+}
+
+export function createIcsSource(config = {}) {
+  const id = config.id || "ics";
+
+  function mapVevent(ev) {
+    const start = icsDate(ev.DTSTART);
+    const end = icsDate(ev.DTEND);
+    const text = (k) => (ev[k] ? unescapeText(ev[k].value) : "");
+    const categories = text("CATEGORIES").split(",").map(s => s.trim()).filter(Boolean);
+    // "RDATE;TZID=…:20261009T193000,20261016T193000" → one date per value
+    const dateList = (k) => (ev[k] || []).flatMap(prop =>
+      String(prop.value).split(",").map(value => icsDate({ ...prop, value: value.trim() }).value)
+    ).filter(Boolean);
+    return {
+      id: text("UID") || shortHash(text("SUMMARY"), start.value),
+      title: text("SUMMARY"),
+      start: start.value,
+      end: lastDay(end, start),
+      tz: start.tz,
+      all_day: start.allDay,
+      venue: text("LOCATION") || config.venue || "",
+      category: categories[0] || config.category || null,
+      url: text("URL") || null,
+      availability: /CANCELLED/i.test(text("STATUS")) ? "cancelled" : null,
+      price_from: null,
+      rrule: ev.RRULE?.value || null,
+      rdates: dateList("RDATE"),
+      exdates: dateList("EXDATE"),
+      content_0_text: text("DESCRIPTION").replace(/\s+/g, " ").slice(0, 1200),
+    };
+  }
+
+  async function fetchAll() {
+    const text = await readText(config.url, config.baseDir);
+    const rows = parseIcs(text).map(mapVevent).filter(r => r.title);
+    return { rows, complete: true };
+  }
+
+  return { id, type: "ics", bareIds: false, fetchAll };
+}
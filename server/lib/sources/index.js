@@ -0,0 +1,133 @@
+// server/lib/sources/index.js
+// Event source registry.
+//
+// Sources are listed in a JSON file (EVENTS_SOURCES_FILE, default
+// server/config/sources.json — see config/sources.example.json). Without one
+// we run a single WordPress source driven by WP_BASE_URL, as before.
+//
+// Adapter contract (see ./wordpress.js, ./ics.js, ./csv.js, ./jsonld.js):
+//   id, type, bareIds
+//   fetchAll()      -> { rows, complete }  rows use the normalized event shape,
+//                                          with `id` = the source-native id;
+//                                          repeating events may add rrule /
+//                                          rdates / exdates
+//   getDetail(id)?  -> one normalized event (optional)
+//   saveEvent(row, ref?) -> saved row (optional; writable sources only)
+// The registry turns native ids into store ids and stamps `source`.
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { createWordPressSource } from "./wordpress.js";
+import { createIcsSource } from "./ics.js";
+import { createCsvSource } from "./csv.js";
+import { createJsonLdSource } from "./jsonld.js";
+import { shortHash } from "./util.js";
+import { normalizeEventDates } from "../dates.js";
+import { normalizeRecurrence } from "../recurrence.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = path.join(__dirname, "..", "..", "config", "sources.json");
+
+const FACTORIES = {
+  wordpress: createWordPressSource,
+  ics: createIcsSource,
+  csv: createCsvSource,
+  jsonld: createJsonLdSource,
+};
+
+let cache = { file: null, mtimeMs: -1, sources: null };
+
+function configFile() {
+  return process.env.EVENTS_SOURCES_FILE || DEFAULT_FILE;
+}
+
+function build(list, baseDir) {
+  const seen = new Set();
+  const out = [];
+  for (const cfg of list) {
+    if (!cfg || cfg.enabled === false) continue;
+    const factory = FACTORIES[cfg.type];
+    if (!factory) {
+      console.warn(`[sources] unknown type "${cfg.type}" — skipped`);
+      continue;
+    }
+    const source = factory({ ...cfg, baseDir });
+    if (seen.has(source.id)) {
+      console.warn(`[sources] duplicate id "${source.id}" — skipped`);
+      continue;
+    }
+    seen.add(source.id);
+    // optional dedupe priority (lower wins), see ../dedupe.js
+    out.push({
+      ...source,
+      ...(cfg.priority != null ? { priority: Number(cfg.priority) } : {}),
+      // zone for floating times from this source (defaults to SITE_TIMEZONE)
+      ...(cfg.timezone ? { timezone: cfg.timezone } : {}),
+    });
+  }
+  return out;
+}
+
+/**
+ * loadSources: configured adapters (re-read when the file changes).
+ * Falls back to [{ id: "wp", type: "wordpress" }] if there is no config file.
+ */
+export async function loadSources() {
+  const file = configFile();
+  let stat = null;
+  try {
+    stat = await fs.stat(file);
+  } catch { /* no config file */ }
+
+  const mtimeMs = stat ? stat.mtimeMs : 0;
+  if (cache.sources && cache.file === file && cache.mtimeMs === mtimeMs) return cache.sources;
+
+  let list = [{ id: "wp", type: "wordpress" }];
+  if (stat) {
+    try {
+      const raw = JSON.parse(await fs.readFile(file, "utf8"));
+      list = Array.isArray(raw) ? raw : (raw?.sources || []);
+    } catch (e) {
+      console.warn("[sources] could not read", file, "-", e.message);
+    }
+  }
+  cache = { file, mtimeMs, sources: build(list, path.dirname(file)) };
+  return cache.sources;
+}
+
+/** getSource: one configured adapter by id */
+export async function getSource(id) {
+  return (await loadSources()).find(s => s.id === id) || null;
+}
+
+/** primaryWordPressSource: the WP install that sends webhooks */
+export async function primaryWordPressSource() {
+  return (await loadSources()).find(s => s.type === "wordpress") || null;
+}
+
+/**
+ * eventIdFor: store id for a source-native id ("40551" or "partner-ics:abc").
+ * Native ids that aren't URL-friendly (UIDs with "@", page URLs) are hashed.
+ */
+export function eventIdFor(source, nativeId) {
+  const ref = String(nativeId);
+  if (source.bareIds) return ref;
+  return `${source.id}:${/^[\w.-]{1,64}$/.test(ref) ? ref : shortHash(ref)}`;
+}
+
+/**
+ * stampRow: adapter row → store row
+ * (id namespaced, `source` recorded, start/end canonicalized — see ../dates.js,
+ * rrule/rdates/exdates folded into `recurrence` — see ../recurrence.js)
+ */
+export function stampRow(source, row) {
+  return normalizeRecurrence(normalizeEventDates({
+    ...row,
+    tz: row.tz || source.timezone || null,
+    id: eventIdFor(source, row.id),
+    source: source.id,
+    source_ref: String(row.id),
+  }));
+}
@@ -0,0 +1,94 @@
+// server/lib/sources/jsonld.js
+// "Scrape a listing page" adapter: reads schema.org Event nodes out of the
+// page's <script type="application/ld+json"> blocks (incl. @graph and
+// ItemList wrappers).
+// Config: { id, type: "jsonld", url, venue?, category? }
+
+import { readText, shortHash, stripTags } from "./util.js";
+
+/**
+ * extractJsonLdNodes: every object node in a page's JSON-LD blocks.
+ * Unwraps arrays, @graph and ItemList → itemListElement(.item).
+ */
+export function extractJsonLdNodes(html) {
+  const scripts = [...String(html || "").matchAll(/<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)]
+    .map(m => m[1]).filter(Boolean);
+
+  const nodes = [];
+  const visit = (n) => {
+    if (Array.isArray(n)) { n.forEach(visit); return; }
+    if (!n || typeof n !== "object") return;
+    nodes.push(n);
+    if (Array.isArray(n["@graph"])) n["@graph"].forEach(visit);
+    if (Array.isArray(n.itemListElement)) {
+      n.itemListElement.forEach(el => visit(el?.item && typeof el.item === "object" ? el.item : el));
+    }
+  };
+
+  for (const raw of scripts) {
+    try {
+      visit(JSON.parse(raw.replace(/^\uFEFF/, "").trim()));
+    } catch { /* skip malformed blocks */ }
+  }
+  return nodes;
+}
+
+/** isEventNode: schema.org Event (or subtype like MusicEvent) */
+export function isEventNode(node) {
+  const types = [].concat(node?.["@type"] || []).map(t => String(t).toLowerCase());
+  return types.some(t => t === "event" || t.endsWith("event"));
+}
+
+/** placeName: best-effort venue string from a schema.org location value */
+export function placeName(loc) {
+  if (Array.isArray(loc)) loc = loc.find(x => x && typeof x === "object" && (x.name || x.address)) || loc[0];
+  if (typeof loc === "string") return loc;
+  if (!loc || typeof loc !== "object") return "";
+  return loc.name || loc.address?.name || loc.address?.streetAddress || loc.address?.addressLocality || "";
+}
+
+/** placeGeo: { lat, lng } from a schema.org location's GeoCoordinates, or null */
+export function placeGeo(loc) {
+  if (Array.isArray(loc)) loc = loc.find(x => x && typeof x === "object" && x.geo) || null;
+  const lat = Number(loc?.geo?.latitude), lng = Number(loc?.geo?.longitude);
+  return loc?.geo && Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+}
+
+export function createJsonLdSource(config = {}) {
+  const id = config.id || "jsonld";
+
+  // resolve relative links against the listing page (local files: keep as-is)
+  function absolute(u) {
+    try { return new URL(u, config.url).toString(); } catch { return u; }
+  }
+
+  function mapNode(node) {
+    const offer = [].concat(node.offers || [])[0] || {};
+    const price = offer.lowPrice ?? offer.price;
+    const availability = offer.availability
+      ? String(offer.availability).replace(/^https?:\/\/schema\.org\//i, "")
+      : null;
+    const url = node.url || offer.url || null;
+    return {
+      id: node["@id"] || url || shortHash(node.name, node.startDate),
+      title: stripTags(String(node.name || "")),
+      start: node.startDate || null,
+      end: node.endDate || null,
+      venue: placeName(node.location) || config.venue || "",
+      category: config.category || null,
+      url: url ? absolute(url) : null,
+      availability,
+      price_from: price == null || Number.isNaN(Number(price)) ? null : Number(price),
+      ...placeGeo(node.location),
+      content_0_text: stripTags(String(node.description || "")).slice(0, 1200),
+    };
+  }
+
+  async function fetchAll() {
+    const html = await readText(config.url, config.baseDir);
+    const rows = extractJsonLdNodes(html).filter(isEventNode).map(mapNode).filter(r => r.title);
+    return { rows, complete: true };
+  }
+
+  return { id, type: "jsonld", bareIds: false, fetchAll };
+}
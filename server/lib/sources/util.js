@@ -0,0 +1,76 @@
+// server/lib/sources/util.js
+// Small helpers shared by the source adapters.
+
+import fetch from "node-fetch";
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+export async function fetchJson(url) {
+  const r = await fetch(url);
+  if (!r.ok) throw new Error(`${r.status} ${r.statusText} for ${url}`);
+  return r.json();
+}
+
+// Same as fetchJson, plus WP's paging headers (null when the route omits them)
+export async function fetchPage(url) {
+  const r = await fetch(url);
+  if (!r.ok) throw new Error(`${r.status} ${r.statusText} for ${url}`);
+  const totalPages = r.headers.get("x-wp-totalpages");
+  return {
+    data: await r.json(),
+    totalPages: totalPages == null ? null : Number(totalPages),
+  };
+}
+
+// POST a JSON body (write routes, e.g. WP REST with an application password)
+export async function postJson(url, body, headers = {}) {
+  const r = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+  if (!r.ok) {
+    const detail = await r.json().then(d => d?.message, () => null);
+    throw new Error(`${r.status} ${r.statusText} for ${url}${detail ? ` - ${detail}` : ""}`);
+  }
+  return r.json();
+}
+
+/**
+ * readText: body of an http(s) URL or a local file.
+ * Relative file paths resolve against `baseDir` (the sources config folder).
+ */
+export async function readText(location, baseDir = process.cwd()) {
+  const loc = String(location || "");
+  if (!loc) throw new Error("source location not set");
+  if (/^https?:\/\//i.test(loc)) {
+    const r = await fetch(loc, { redirect: "follow" });
+    if (!r.ok) throw new Error(`${r.status} ${r.statusText} for ${loc}`);
+    return r.text();
+  }
+  return fs.readFile(path.resolve(baseDir, loc), "utf8");
+}
+
+// Run fn over items with at most `limit` calls in flight; keeps input order.
+export async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return out;
+}
+
+export function stripTags(html = "") {
+  return html.replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+}
+
+/** shortHash: stable, URL-safe id fragment for sources without native ids */
+export function shortHash(...parts) {
+  return crypto.createHash("sha1").update(parts.map(p => String(p ?? "")).join("|")).digest("hex").slice(0, 12);
+}
@@ -0,0 +1,260 @@
+// server/lib/sources/wordpress.js
+// WordPress adapter: the example plugin's paged events route (falling back to
+// core wp/v2/event), plus single-post detail lookups.
+
+import { fetchJson, fetchPage, postJson, mapLimit, stripTags } from "./util.js";
+
+const PAGE_SIZE = 100; // WP REST max
+
+export function createWordPressSource(config = {}) {
+  const id = config.id || "wp";
+  const concurrency = Number(config.concurrency || process.env.EVENTS_FETCH_CONCURRENCY || 4);
+
+  function getWPBase() {
+    // Read env at call-time (dotenv already loaded in index.js)
+    return (config.baseUrl || process.env.WP_BASE_URL || "").replace(/\/$/, "");
+  }
+
+  function makeUrl(path) {
+    const base = getWPBase();
+    if (!base) throw new Error("WP_BASE_URL not set");
+    return `${base}${path}`;
+  }
+
+  // Ensure a URL is absolute using WP base if it's relative
+  function absoluteUrl(u) {
+    if (!u) return null;
+    const base = getWPBase();
+    if (!base) return u;
+    // handles "/path" or "//host/path"
+    if (u.startsWith("//")) return new URL((base.startsWith("https") ? "https:" : "http:") + u).toString();
+    if (u.startsWith("/")) return new URL(u, base).toString();
+    return u;
+  }
+
+  // Force scheme+host to match WP_BASE_URL to reduce 404/mixed-content
+  function fixHostUrl(u) {
+    if (!u) return null;
+    const base = getWPBase();
+    if (!base) return u;
+    try {
+      const target = new URL(absoluteUrl(u));
+      const desired = new URL(base);
+      // if same hostname ignoring scheme/port OR local .local domain, force to base scheme+host
+      if (target.hostname === desired.hostname) {
+        target.protocol = desired.protocol;
+        target.host = desired.host; // host includes port if any
+        return target.toString();
+      }
+      return target.toString();
+    } catch {
+      return u;
+    }
+  }
+
+  function mapFromWpPost(p) {
+    const contentHtml = p.content?.rendered || "";
+
+    // Embedded terms → category / event-category best effort
+    const terms = p._embedded?.["wp:term"] || [];
+    const flat = Array.isArray(terms) ? terms.flat() : [];
+    const cats = flat.filter(t => t?.taxonomy === "category").map(t => t?.name).filter(Boolean);
+    const eventCats = flat
+      .filter(t => /event/i.test(String(t?.taxonomy)))
+      .map(t => t?.name)
+      .filter(Boolean);
+    const tags = flat.filter(t => t?.taxonomy === "post_tag").map(t => t?.name).filter(Boolean);
+    const allCats = [...new Set([...eventCats, ...cats])];
+
+    // ACF/meta best-effort
+    const acf = p.acf || p.meta || {};
+    const start = acf.start_date || acf.date || acf.start || null;
+    const end   = acf.end_date   || acf.end   || null;
+
+    let url = p.link || null;
+    url = fixHostUrl(url);
+
+    return {
+      id: String(p.id),
+      title: p.title?.rendered || "",
+      start,
+      end,
+      venue: acf.venue || "",
+      category: allCats[0] || null,
+      // every term, for category ranking (../categories.js)
+      ...(allCats.length ? { categories: allCats } : {}),
+      ...(tags.length ? { tags } : {}),
+      // ticket link wins, same as the list routes; the permalink stays in `link`
+      url: acf.ticket_url || url,
+      link: url,
+      availability: acf.availability ?? null,
+      price_from: acf.price_from ?? null,
+      ...repeatFields(acf),
+      content_0_text: stripTags(contentHtml).slice(0, 1200),
+    };
+  }
+
+  // Repeat meta (rrule / rdates / exdates); omitted when the payload has none
+  // so a sparse response never clears a known schedule.
+  function repeatFields(src = {}) {
+    const out = {};
+    for (const k of ["rrule", "rdates", "exdates"]) if (src[k] !== undefined) out[k] = src[k];
+    return out;
+  }
+
+  // Plugin route row: { id, title, start, venue, url (ticket), rrule?, rdates?, exdates?,
+  //                     categories?, tags?, modified_gmt? }
+  function mapFromPluginRow(e) {
+    const row = {
+      id: String(e.id),
+      title: e.title || e.post_title || "",
+      start: e.start || null,
+      venue: e.venue || "",
+      url: e.url || null,
+      ...repeatFields(e),
+    };
+    // older plugin builds send no terms; leave any known ones alone then
+    if (Array.isArray(e.categories)) {
+      row.categories = e.categories.map(String).filter(Boolean);
+      row.category = row.categories[0] || null;
+    }
+    if (Array.isArray(e.tags)) row.tags = e.tags.map(String).filter(Boolean);
+    if (e.modified_gmt) row.modified_gmt = String(e.modified_gmt);
+    return row;
+  }
+
+  // Core wp/v2/event row with REST-visible meta (used when the plugin can't page)
+  function mapFromWpEventRow(p) {
+    const meta = p.meta || p.acf || {};
+    const row = {
+      id: String(p.id),
+      title: p.title?.rendered || "",
+      start: meta.start || null,
+      venue: meta.venue || "",
+      url: meta.ticket_url || fixHostUrl(p.link) || null,
+      ...repeatFields(meta),
+    };
+    if (p.modified_gmt) row.modified_gmt = String(p.modified_gmt).replace("T", " ");
+    return row;
+  }
+
+  // Fetch page 1, learn the page count from X-WP-TotalPages, then pull the
+  // remaining pages with bounded concurrency.
+  async function fetchAllPages(pageUrl, first) {
+    const pages = [first.data];
+    const rest = Array.from({ length: Math.max(0, (first.totalPages || 1) - 1) }, (_, i) => i + 2);
+    const more = await mapLimit(rest, concurrency, async (n) => (await fetchPage(pageUrl(n))).data);
+    return pages.concat(more).flatMap(d => (Array.isArray(d) ? d : []));
+  }
+
+  /**
+   * fetchAll: every published event, not just the first page.
+   * Returns { rows, complete }; `complete` is false if only a partial list
+   * could be fetched.
+   * Prefers the paged plugin route; older plugin builds that ignore paging
+   * (no X-WP-TotalPages) fall back to walking core wp/v2/event.
+   */
+  async function fetchAll() {
+    const pluginUrl = (n) => makeUrl(`/wp-json/example/v1/events?per_page=${PAGE_SIZE}&page=${n}`);
+    const first = await fetchPage(pluginUrl(1));
+    if (first.totalPages != null) {
+      return { rows: (await fetchAllPages(pluginUrl, first)).map(mapFromPluginRow), complete: true };
+    }
+
+    const coreUrl = (n) => makeUrl(
+      `/wp-json/wp/v2/event?per_page=${PAGE_SIZE}&page=${n}&_fields=id,title,link,meta,acf,modified_gmt`
+    );
+    try {
+      const core = await fetchPage(coreUrl(1));
+      return { rows: (await fetchAllPages(coreUrl, core)).map(mapFromWpEventRow), complete: true };
+    } catch (e) {
+      console.warn(`[sources:${id}] wp/v2/event paging failed, using plugin list only:`, e.message);
+      const arr = Array.isArray(first.data) ? first.data : [];
+      // possibly truncated, so never treat missing ids as deleted
+      return { rows: arr.map(mapFromPluginRow), complete: false };
+    }
+  }
+
+  /**
+   * getDetail: richer, single event by WP post ID
+   * Tries WP core posts first; falls back to likely endpoints.
+   */
+  async function getDetail(ref) {
+    const key = String(ref);
+    const candidates = [
+      makeUrl(`/wp-json/wp/v2/posts/${key}?_embed=1`),
+      makeUrl(`/wp-json/wp/v2/event/${key}?_embed=1`),
+      makeUrl(`/wp-json/example/v1/events/${key}`),
+    ];
+
+    let data = null, lastErr = null;
+    for (const url of candidates) {
+      try {
+        const d = await fetchJson(url);
+        if (d && (d.id || d.title)) { data = d; break; }
+      } catch (e) {
+        lastErr = e;
+      }
+    }
+    if (!data) throw lastErr || new Error("no detail endpoint found");
+
+    if (data && data.id && data.title && data.content) {
+      return mapFromWpPost(data);
+    }
+    let url = data.link || null;
+    url = fixHostUrl(url);
+    return {
+      id: String(data.id || key),
+      title: data.title?.rendered || data.title || "",
+      start: null,
+      end: null,
+      venue: "",
+      category: null,
+      url,
+      availability: null,
+      price_from: null,
+      content_0_text: stripTags(data.content?.rendered || "").slice(0, 1200),
+    };
+  }
+
+  /**
+   * saveEvent: create (no `ref`) or update an event post through WP REST.
+   * Writes what the plugin registers as REST meta (start, venue, ticket_url,
+   * rrule, rdates, exdates) plus title/content. Needs an application
+   * password: config.user / config.appPassword or WP_USER / WP_APP_PASSWORD.
+   * Returns the saved post as a normalized row.
+   */
+  async function saveEvent(row, ref = null) {
+    const user = config.user || process.env.WP_USER;
+    const pass = config.appPassword || process.env.WP_APP_PASSWORD;
+    if (!user || !pass) throw new Error("WP_USER / WP_APP_PASSWORD not set");
+    const list = (v) => (Array.isArray(v) ? v.join("\n") : v);
+    const meta = {
+      start: row.start,
+      venue: row.venue,
+      ticket_url: row.url,
+      rrule: row.rrule,
+      rdates: list(row.rdates),
+      exdates: list(row.exdates),
+    };
+    const body = {
+      title: row.title,
+      status: "publish",
+      ...(row.content_0_text ? { content: row.content_0_text } : {}),
+      meta: Object.fromEntries(Object.entries(meta).filter(([, v]) => v != null)),
+    };
+    const path = ref ? `/wp-json/wp/v2/event/${encodeURIComponent(ref)}` : "/wp-json/wp/v2/event";
+    const auth = Buffer.from(`${user}:${pass}`).toString("base64");
+    return mapFromWpEventRow(await postJson(makeUrl(path), body, { Authorization: `Basic ${auth}` }));
+  }
+
+  return {
+    id,
+    type: "wordpress",
+    // the legacy/default WP source keeps bare post ids (/api/events/40551)
+    bareIds: config.bareIds ?? id === "wp",
+    fetchAll,
+    getDetail,
+    saveEvent,
+  };
+}
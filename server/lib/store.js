@@ -0,0 +1,148 @@
+// server/lib/store.js
+// Persistent local event store.
+// A single JSON snapshot on disk ({ meta, events }), loaded lazily on first use
+// and rewritten atomically (tmp file + rename) after every change, so a restart
+// or a WordPress outage still leaves us with the last known catalogue.
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_PATH = path.join(__dirname, "..", "data", "events.json");
+
+// ── in-memory mirror of the file
+let state = null;     // { meta: {...}, events: Map<id, event> }
+let loading = null;   // shared promise while the first load is in flight
+let writing = Promise.resolve();
+let revision = 0;     // bumps on every in-memory change (for derived indexes)
+
+function storePath() {
+  // Read env at call-time (dotenv already loaded in index.js)
+  return process.env.EVENTS_STORE_PATH || DEFAULT_PATH;
+}
+
+function emptyMeta() {
+  return { lastSync: null, lastAttempt: null, lastError: null, lastChange: null };
+}
+
+async function load() {
+  const file = storePath();
+  try {
+    const raw = JSON.parse(await fs.readFile(file, "utf8"));
+    const list = Array.isArray(raw?.events) ? raw.events : [];
+    state = {
+      meta: { ...emptyMeta(), ...(raw?.meta || {}) },
+      events: new Map(list.filter(e => e && e.id != null).map(e => [String(e.id), e])),
+    };
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn("[store] could not read", file, "-", e.message);
+    state = { meta: emptyMeta(), events: new Map() };
+  }
+  revision++;
+  return state;
+}
+
+async function ensureLoaded() {
+  if (state) return state;
+  if (!loading) loading = load().finally(() => { loading = null; });
+  return loading;
+}
+
+// Writes are chained so two quick mutations never interleave on disk.
+function persist() {
+  const file = storePath();
+  const snapshot = JSON.stringify({
+    meta: state.meta,
+    events: [...state.events.values()],
+  });
+  writing = writing
+    .catch(() => {})
+    .then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, snapshot, "utf8");
+      await fs.rename(tmp, file);
+    })
+    .catch(e => console.warn("[store] write failed:", e.message));
+  return writing;
+}
+
+/** allEvents: every stored event (insertion order) */
+export async function allEvents() {
+  const s = await ensureLoaded();
+  return [...s.events.values()];
+}
+
+/** getStoredEvent: one event by id, or null */
+export async function getStoredEvent(id) {
+  const s = await ensureLoaded();
+  return s.events.get(String(id)) || null;
+}
+
+// Bookkeeping fields that don't count as a content change
+function contentKey(row) {
+  const { detail_at, updated_at, ...rest } = row;
+  return JSON.stringify(rest);
+}
+
+/**
+ * upsertEvents: merge rows into the store by id.
+ * Existing fields are kept unless the incoming row sets them; `updated_at`
+ * (ISO) moves only when the event's content changes.
+ * Returns the number of rows that actually changed.
+ */
+export async function upsertEvents(rows = []) {
+  const s = await ensureLoaded();
+  let changed = 0;
+  for (const row of rows) {
+    if (!row || row.id == null) continue;
+    const id = String(row.id);
+    const prev = s.events.get(id);
+    const next = { ...(prev || {}), ...row, id };
+    if (prev && JSON.stringify(prev) === JSON.stringify(next)) continue;
+    next.updated_at = prev?.updated_at && contentKey(prev) === contentKey(next)
+      ? prev.updated_at
+      : new Date().toISOString();
+    s.events.set(id, next);
+    changed++;
+  }
+  if (changed) {
+    revision++;
+    s.meta.lastChange = new Date().toISOString();
+    await persist();
+  }
+  return changed;
+}
+
+/** removeEvents: drop ids from the store; returns how many were present */
+export async function removeEvents(ids = []) {
+  const s = await ensureLoaded();
+  let removed = 0;
+  for (const id of ids) if (s.events.delete(String(id))) removed++;
+  if (removed) {
+    revision++;
+    s.meta.lastChange = new Date().toISOString();
+    await persist();
+  }
+  return removed;
+}
+
+/** getStoreRevision: changes whenever the stored rows change (not persisted) */
+export function getStoreRevision() {
+  return revision;
+}
+
+/** getStoreMeta: sync bookkeeping plus row count */
+export async function getStoreMeta() {
+  const s = await ensureLoaded();
+  return { ...s.meta, count: s.events.size };
+}
+
+/** updateStoreMeta: patch sync bookkeeping (lastSync, lastError, …) */
+export async function updateStoreMeta(patch = {}) {
+  const s = await ensureLoaded();
+  s.meta = { ...s.meta, ...patch };
+  await persist();
+  return { ...s.meta };
+}
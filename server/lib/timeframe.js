@@ -0,0 +1,194 @@
+// server/lib/timeframe.js
+// Date intent in chat messages: "tonight", "this weekend", "next Friday",
+// "in October", "between the 3rd and 10th", "on 5 Nov", "next 3 days" →
+// a concrete { from, to } range (epoch ms, inclusive) in the site timezone,
+// with a label for answers and the matched phrase so callers can take it
+// out of the search text (same idea as detectPlace in ./geo.js).
+//
+// Conventions: "this <weekday>" / "on <weekday>" is the next such day
+// (today included), "next <weekday>" the one after today (never today);
+// weekends run Friday 17:00 – Sunday; a month or day without a year is the
+// next one that hasn't fully passed.
+
+import { siteTimezone, zonedParts, zonedToUtc } from "./dates.js";
+
+const EVENING_HOUR = 17;
+
+const MONTHS = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const MONTH_RE = "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+const WEEKDAY_RE = "(mon|tues?|wed(?:nes)?|thu(?:rs?)?|fri|sat(?:ur)?|sun)(?:day)?";
+// day of month; not part of a time ("19:30-22:00") or a longer number
+const DAY_RE = "(?<![:.\\d])(\\d{1,2})(?:st|nd|rd|th)?(?![:.]?\\d)";
+
+const monthIndex = (s) => MONTHS.findIndex(m => m.startsWith(String(s).toLowerCase().slice(0, 3)));
+const weekdayIndex = (s) => WEEKDAYS.findIndex(d => d.startsWith(String(s).toLowerCase().slice(0, 3)));
+
+// ── ranges on local calendar days
+function dayRange(tz, y, m, d, days = 1, { fromHour = 0 } = {}) {
+  return {
+    from: zonedToUtc({ y, m, d, h: fromHour }, tz),
+    to: zonedToUtc({ y, m, d: d + days }, tz) - 1,
+  };
+}
+
+const fmtDay = (ms, tz, locale = "en-GB") => new Date(ms).toLocaleDateString(locale, {
+  timeZone: tz, weekday: "short", day: "numeric", month: "short",
+});
+
+/** describeRange: "Fri 2 Oct" or "Fri 2 Oct – Sun 4 Oct" (`locale` for Intl, default en-GB) */
+export function describeRange({ from, to }, tz = siteTimezone(), locale = "en-GB") {
+  const a = fmtDay(from, tz, locale), b = fmtDay(to, tz, locale);
+  return a === b ? a : `${a} – ${b}`;
+}
+
+// Each rule: regex + build(match, ctx) → { from, to } | null.
+// Ordered most specific first; the first match wins.
+const RULES = [
+  // between the 3rd and 10th (of October) / from 3 to 10 Oct / 3rd-10th
+  {
+    re: new RegExp(`\\b(?:between|from)?\\s*(?:the\\s+)?${DAY_RE}(?:\\s+${MONTH_RE})?\\s*(?:and|to|until|till|-|–)\\s*(?:the\\s+)?${DAY_RE}(?:\\s+(?:of\\s+)?${MONTH_RE})?\\b`, "i"),
+    build(m, c) {
+      if (!/between|from|the|-|–/i.test(m[0])) return null; // bare "3 to 10" is too loose
+      const d1 = Number(m[1]), d2 = Number(m[3]);
+      const m2 = m[4] ? monthIndex(m[4]) : m[2] ? monthIndex(m[2]) : null;
+      const m1 = m[2] ? monthIndex(m[2]) : m2;
+      const start = c.dayInMonth(d1, m1, d2);
+      if (!start) return null;
+      let endMonth = m2 ?? start.m, endYear = start.y;
+      if (endMonth < start.m) endYear++;
+      if (m2 == null && d2 < d1) endMonth = start.m + 1; // "28th to 3rd"
+      const from = zonedToUtc({ y: start.y, m: start.m, d: d1 }, c.tz);
+      const to = zonedToUtc({ y: endYear, m: endMonth, d: d2 + 1 }, c.tz) - 1;
+      return to >= from ? { from, to } : null;
+    },
+  },
+  // tonight / this evening / tomorrow night
+  {
+    re: /\b(tonight|this evening|tomorrow (?:night|evening))\b/i,
+    build(m, c) {
+      const add = /tomorrow/i.test(m[1]) ? 1 : 0;
+      return dayRange(c.tz, c.y, c.m, c.d + add, 1, { fromHour: EVENING_HOUR });
+    },
+  },
+  { re: /\btoday\b/i, build: (m, c) => dayRange(c.tz, c.y, c.m, c.d) },
+  { re: /\btomorrow\b/i, build: (m, c) => dayRange(c.tz, c.y, c.m, c.d + 1) },
+  // this / next weekend
+  {
+    re: /\b(this|next|the|coming)\s+weekend\b/i,
+    build(m, c) {
+      // Friday of this week (Sat/Sun belong to the weekend already under way)
+      let fri = c.d + ((5 - c.wd + 7) % 7);
+      if (c.wd === 6) fri = c.d - 1;
+      if (c.wd === 0) fri = c.d - 2;
+      if (/next/i.test(m[1])) fri += 7;
+      const r = dayRange(c.tz, c.y, c.m, fri, 3, { fromHour: EVENING_HOUR });
+      return { from: Math.max(r.from, /next/i.test(m[1]) ? r.from : c.todayStart), to: r.to };
+    },
+  },
+  // this / next week (weeks run Monday–Sunday)
+  {
+    re: /\b(this|next)\s+week\b/i,
+    build(m, c) {
+      const mon = c.d - ((c.wd + 6) % 7);
+      if (/next/i.test(m[1])) return dayRange(c.tz, c.y, c.m, mon + 7, 7);
+      return dayRange(c.tz, c.y, c.m, c.d, 7 - ((c.wd + 6) % 7));
+    },
+  },
+  // next 3 days / the next few days / coming days
+  {
+    re: /\b(?:the\s+)?(?:next|coming)\s+(\d{1,2}|few|couple of)\s+days\b/i,
+    build(m, c) {
+      const n = /few/i.test(m[1]) ? 3 : /couple/i.test(m[1]) ? 2 : Number(m[1]);
+      return n >= 1 ? dayRange(c.tz, c.y, c.m, c.d, n) : null;
+    },
+  },
+  // this / next month
+  {
+    re: /\b(this|next)\s+month\b/i,
+    build(m, c) {
+      const mo = c.m + (/next/i.test(m[1]) ? 1 : 0);
+      const from = /next/i.test(m[1]) ? zonedToUtc({ y: c.y, m: mo, d: 1 }, c.tz) : c.todayStart;
+      return { from, to: zonedToUtc({ y: c.y, m: mo + 1, d: 1 }, c.tz) - 1 };
+    },
+  },
+  // on 5 Nov / 5th of November / November 5th
+  {
+    re: new RegExp(`\\b(?:on\\s+)?(?:the\\s+)?${DAY_RE}\\s+(?:of\\s+)?${MONTH_RE}\\b|\\b${MONTH_RE}\\s+${DAY_RE}\\b(?![:.]\\d)`, "i"),
+    build(m, c) {
+      const day = Number(m[1] || m[4]);
+      const start = c.dayInMonth(day, monthIndex(m[2] || m[3]));
+      return start ? dayRange(c.tz, start.y, start.m, day) : null;
+    },
+  },
+  // in October / during November / this December
+  {
+    re: new RegExp(`\\b(?:in|during|for|throughout|this|next)\\s+${MONTH_RE}\\b(?!\\s+(?:be|have|not)\\b)`, "i"),
+    build(m, c) {
+      const mo = monthIndex(m[1]);
+      const y = mo < c.m ? c.y + 1 : c.y;
+      const from = Math.max(zonedToUtc({ y, m: mo, d: 1 }, c.tz), c.todayStart);
+      return { from, to: zonedToUtc({ y, m: mo + 1, d: 1 }, c.tz) - 1 };
+    },
+  },
+  // on / this / next / coming Friday
+  {
+    re: new RegExp(`\\b(on|this|next|coming|for)\\s+${WEEKDAY_RE}\\b`, "i"),
+    build(m, c) {
+      const wd = weekdayIndex(m[2]);
+      let ahead = (wd - c.wd + 7) % 7;
+      if (/next/i.test(m[1]) && ahead === 0) ahead = 7;
+      return dayRange(c.tz, c.y, c.m, c.d + ahead);
+    },
+  },
+  // on the 5th
+  {
+    re: new RegExp(`\\bon\\s+the\\s+${DAY_RE}\\b`, "i"),
+    build(m, c) {
+      const day = Number(m[1]);
+      const start = c.dayInMonth(day, null);
+      return start ? dayRange(c.tz, start.y, start.m, day) : null;
+    },
+  },
+];
+
+/**
+ * detectTimeframe: first date expression in `text`, as
+ * { from, to, label, phrase } (from/to epoch ms, label like
+ * "this weekend: Fri 2 Oct – Sun 4 Oct"), or null.
+ * Options: now (epoch ms), tz (defaults to the site timezone).
+ */
+export function detectTimeframe(text, { now = Date.now(), tz = siteTimezone() } = {}) {
+  const src = String(text || "");
+  if (!src.trim()) return null;
+  const p = zonedParts(now, tz);
+  const todayStart = zonedToUtc({ y: p.y, m: p.m, d: p.d }, tz);
+  const ctx = {
+    tz, y: p.y, m: p.m, d: p.d, todayStart,
+    wd: new Date(Date.UTC(p.y, p.m, p.d)).getUTCDay(),
+    // day `d` of month `m` (this month when null) that hasn't passed yet;
+    // `until` (a range's last day) keeps "the 3rd to the 10th" in this month
+    // while the 10th is still ahead
+    dayInMonth(d, m, until = d) {
+      if (!(d >= 1 && d <= 31)) return null;
+      let y = p.y, mo = m ?? p.m;
+      const lastDay = zonedToUtc({ y, m: mo, d: Math.max(d, until) + 1 }, tz);
+      if (lastDay <= todayStart) {
+        if (m == null) mo++; else y++;
+      }
+      const date = new Date(Date.UTC(y, mo, d));
+      if (date.getUTCDate() !== d) return null; // 31 Nov
+      return { y: date.getUTCFullYear(), m: date.getUTCMonth() };
+    },
+  };
+
+  for (const rule of RULES) {
+    const m = src.match(rule.re);
+    if (!m) continue;
+    const range = rule.build(m, ctx);
+    if (!range) continue;
+    const phrase = m[0].trim();
+    return { from: range.from, to: range.to, phrase, label: `${phrase}: ${describeRange(range, tz)}` };
+  }
+  return null;
+}
@@ -0,0 +1,182 @@
+// server/lib/tools.js
+// Tools the chat LLM can call (OpenAI-compatible `tools` API, see
+// streamChatWithTools in ./llm.js):
+//   search_events(query?, dates?, category?, venue?, limit?)
+//   get_event_details(id)
+//   list_venues()
+// runEventTool runs one call against the catalogue. `content` is what goes
+// back to the model (compact, JSON-serialisable); `rows` / `event` are the
+// full events so callers can show them too.
+
+import { findEvents, getEventById, listVenues, getVenue } from "./events.js";
+import { describeEventDate, endOfLocalDay, parseEventDate, startOfLocalDay } from "./dates.js";
+import { detectTimeframe, describeRange } from "./timeframe.js";
+import { loadCategories, detectCategories, rankByCategories, unscored } from "./categories.js";
+
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 20;
+const DETAIL_CHARS = 800;
+
+/** EVENT_TOOLS: tool definitions for the chat completions `tools` field */
+export const EVENT_TOOLS = [
+  {
+    type: "function",
+    function: {
+      name: "search_events",
+      description:
+        "Search the events catalogue. Returns upcoming events (id, title, date, venue, category, price, url). " +
+        "Combine filters as needed; leave out what the user did not ask for.",
+      parameters: {
+        type: "object",
+        properties: {
+          query: { type: "string", description: "Free-text search over title, venue, category and description" },
+          dates: {
+            type: "string",
+            description: "Date range in plain words (\"tonight\", \"this weekend\", \"next Friday\", " +
+              "\"3rd to 10th November\") or ISO dates (\"2026-10-03\" or \"2026-10-03/2026-10-10\")",
+          },
+          category: { type: "string", description: "Category such as music, comedy, family, sport, theatre" },
+          venue: { type: "string", description: "Venue name or id" },
+          limit: { type: "integer", minimum: 1, maximum: MAX_LIMIT, description: `Max events to return (default ${DEFAULT_LIMIT})` },
+        },
+        additionalProperties: false,
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "get_event_details",
+      description: "Full details of one event by id (as returned by search_events): description, times, venue, price, tickets.",
+      parameters: {
+        type: "object",
+        properties: { id: { type: "string", description: "Event id" } },
+        required: ["id"],
+        additionalProperties: false,
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "list_venues",
+      description: "All venues with an address (when known) and how many events each has.",
+      parameters: { type: "object", properties: {}, additionalProperties: false },
+    },
+  },
+];
+
+// What the model sees of an event
+function compactEvent(e) {
+  return {
+    id: String(e.id),
+    title: e.title || e.name || "",
+    date: describeEventDate(e),
+    venue: e.venue || null,
+    category: e.category || null,
+    price_from: e.price_from ?? null,
+    availability: e.availability || null,
+    url: e.url || e.link || null,
+  };
+}
+
+// "this weekend" (lib/timeframe.js) or "YYYY-MM-DD[/YYYY-MM-DD]"
+function resolveDates(text) {
+  const when = detectTimeframe(text);
+  if (when) return when;
+  const m = String(text).trim().match(/^(\d{4}-\d{2}-\d{2})(?:\s*(?:\/|\.\.|to)\s*(\d{4}-\d{2}-\d{2}))?$/i);
+  if (!m) return null;
+  const a = parseEventDate(m[1]).ts, b = parseEventDate(m[2] || m[1]).ts;
+  if (a == null || b == null || b < a) return null;
+  const range = { from: startOfLocalDay(a), to: endOfLocalDay(b) };
+  return { ...range, label: describeRange(range) };
+}
+
+async function searchEvents({ query = "", dates = "", category = "", venue = "", limit } = {}) {
+  const n = Math.max(1, Math.min(MAX_LIMIT, Number(limit) || DEFAULT_LIMIT));
+  let when = null;
+  if (dates) {
+    when = resolveDates(dates);
+    if (!when) return { content: { error: `could not understand dates "${dates}"` }, rows: [] };
+  }
+  const from = when ? when.from : startOfLocalDay(Date.now());
+  let rows = await findEvents({ limit: Infinity, q: String(query || ""), from, to: when ? when.to : null });
+  if (!query) rows = [...rows].sort((a, b) => (a.start_ts ?? Infinity) - (b.start_ts ?? Infinity));
+
+  if (venue) {
+    const v = await getVenue(venue);
+    const needle = String(venue).toLowerCase();
+    rows = rows.filter(r => (v && r.venue_id === v.id) || String(r.venue || "").toLowerCase().includes(needle));
+  }
+  if (category) {
+    const detected = detectCategories(category, await loadCategories());
+    if (detected.length) {
+      rows = unscored(rankByCategories(rows, detected).filter(r => r._strong));
+    } else {
+      const needle = String(category).toLowerCase();
+      rows = rows.filter(r => [].concat(r.category || [], r.categories || []).some(c => String(c).toLowerCase().includes(needle)));
+    }
+  }
+
+  const shown = rows.slice(0, n);
+  return {
+    content: {
+      total: rows.length,
+      ...(when ? { dates: when.label } : {}),
+      events: shown.map(compactEvent),
+    },
+    rows: shown,
+  };
+}
+
+async function eventDetails({ id } = {}) {
+  const e = id ? await getEventById(String(id)).catch(() => null) : null;
+  if (!e) return { content: { error: `no event with id "${id}"` } };
+  const text = String(e.content_0_text || "");
+  return {
+    content: {
+      ...compactEvent(e),
+      end: e.end || null,
+      link: e.link || null,
+      description: text.length > DETAIL_CHARS ? `${text.slice(0, DETAIL_CHARS)}…` : text || null,
+    },
+    event: e,
+  };
+}
+
+async function venues() {
+  const list = await listVenues();
+  return {
+    content: {
+      venues: list.map(v => ({ id: v.id, name: v.name, address: v.address || null, events: v.event_count })),
+    },
+  };
+}
+
+const RUNNERS = {
+  search_events: searchEvents,
+  get_event_details: eventDetails,
+  list_venues: venues,
+};
+
+/**
+ * runEventTool: run one tool call. `args` may be the raw JSON string from
+ * the model. Never throws; failures come back as { content: { error } }.
+ */
+export async function runEventTool(name, args = {}) {
+  const run = RUNNERS[name];
+  if (!run) return { content: { error: `unknown tool "${name}"` } };
+  let parsed = args;
+  if (typeof args === "string") {
+    try {
+      parsed = args.trim() ? JSON.parse(args) : {};
+    } catch {
+      return { content: { error: "arguments are not valid JSON" } };
+    }
+  }
+  try {
+    return await run(parsed || {});
+  } catch (e) {
+    return { content: { error: String(e.message || e) } };
+  }
+}
@@ -0,0 +1,90 @@
+// server/lib/vectors.js
+// In-memory vector index over events for semantic search.
+// Each event is embedded once per content change (see ./embeddings.js for
+// providers); vectors are L2-normalized so cosine similarity is a dot product.
+
+import crypto from "crypto";
+
+const TEXT_CHARS = 1000;
+
+/** eventText: what gets embedded for an event */
+export function eventText(row) {
+  const cats = [].concat(row?.category || [], row?.categories || [], row?.tags || []);
+  return [
+    row?.title || row?.name || "",
+    [...new Set(cats.filter(Boolean))].join(", "),
+    row?.venue || "",
+    String(row?.content_0_text || "").slice(0, TEXT_CHARS),
+  ].filter(Boolean).join(". ");
+}
+
+function normalize(vec) {
+  let n = 0;
+  for (const x of vec) n += x * x;
+  n = Math.sqrt(n);
+  if (!n) return null;
+  const out = new Float32Array(vec.length);
+  for (let i = 0; i < vec.length; i++) out[i] = vec[i] / n;
+  return out;
+}
+
+const textHash = (s) => crypto.createHash("sha1").update(s).digest("base64url").slice(0, 16);
+
+/**
+ * buildVectorIndex: embed `rows` with `provider`.
+ * `cache` (Map "<provider>:<id>" → { hash, vec }) keeps vectors of unchanged
+ * events across rebuilds for cacheable (remote) providers.
+ * Returns { provider, items: [{ row, vec }] }.
+ */
+export async function buildVectorIndex(rows = [], provider, { cache = new Map() } = {}) {
+  const texts = rows.map(eventText);
+  if (typeof provider.fit === "function") provider.fit(texts);
+
+  const vecs = new Array(rows.length).fill(null);
+  const todo = [];
+  rows.forEach((row, i) => {
+    const key = `${provider.id}:${row.id}`;
+    const hash = textHash(texts[i]);
+    const hit = provider.cacheable ? cache.get(key) : null;
+    if (hit && hit.hash === hash) vecs[i] = hit.vec;
+    else todo.push({ i, key, hash });
+  });
+
+  if (todo.length) {
+    const fresh = await provider.embed(todo.map(t => texts[t.i]));
+    todo.forEach((t, k) => {
+      vecs[t.i] = normalize(fresh[k] || []);
+      if (provider.cacheable) cache.set(t.key, { hash: t.hash, vec: vecs[t.i] });
+    });
+  }
+  if (provider.cacheable) {
+    // forget events that are gone
+    const live = new Set(rows.map(r => `${provider.id}:${r.id}`));
+    for (const key of cache.keys()) if (key.startsWith(`${provider.id}:`) && !live.has(key)) cache.delete(key);
+  }
+
+  return {
+    provider,
+    items: rows.map((row, i) => ({ row, vec: vecs[i] })).filter(x => x.vec),
+  };
+}
+
+/**
+ * searchVectors: rows by cosine similarity to `query` (embedded with the
+ * index's provider), best first; only those scoring at least `minScore`.
+ * Returns [{ row, similarity }].
+ */
+export async function searchVectors(index, query, { limit = 50, minScore = 0 } = {}) {
+  if (!index?.items?.length || !String(query || "").trim()) return [];
+  const [raw] = await index.provider.embed([String(query)]);
+  const q = normalize(raw || []);
+  if (!q) return [];
+  const out = [];
+  for (const { row, vec } of index.items) {
+    if (vec.length !== q.length) continue;
+    let dot = 0;
+    for (let i = 0; i < q.length; i++) dot += q[i] * vec[i];
+    if (dot >= minScore) out.push({ row, similarity: dot });
+  }
+  return out.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+}
@@ -0,0 +1,182 @@
+// server/lib/venues.js
+// Venue registry.
+//
+// Known venues are listed in a JSON file (VENUES_FILE, default
+// server/config/venues.json — see config/venues.example.json):
+//   { id, name, aliases?, address?, lat?, lng?, capacity?, accessibility? }
+// Free-text event venues ("Green Note, Camden", "the green note") are
+// fuzzy-matched to a registered venue. Strings that match nothing become
+// ad-hoc venues (`registered: false`) so every event can still be grouped
+// by `venue_id`.
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { normText, similarity } from "./dedupe.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = path.join(__dirname, "..", "config", "venues.json");
+
+const MATCH_MIN = 0.8;     // Dice similarity for a fuzzy name match
+const CONTAINS_SCORE = 0.9; // "green note camden" ⊃ "green note"
+
+let cache = { file: null, mtimeMs: -1, venues: null };
+const matchMemo = new WeakMap(); // venues list → Map(normalized raw → match)
+
+function configFile() {
+  return process.env.VENUES_FILE || DEFAULT_FILE;
+}
+
+/** venueSlug: "The Green Note" → "green-note" (null for empty input) */
+export function venueSlug(s) {
+  const n = normText(s);
+  return n ? n.replace(/ /g, "-") : null;
+}
+
+const num = (v) => (v === null || v === undefined || v === "" || Number.isNaN(Number(v)) ? null : Number(v));
+
+function build(list) {
+  const seen = new Set();
+  const out = [];
+  for (const cfg of list) {
+    const id = cfg?.id ? String(cfg.id) : venueSlug(cfg?.name);
+    if (!id || !cfg.name) continue;
+    if (seen.has(id)) {
+      console.warn(`[venues] duplicate id "${id}" — skipped`);
+      continue;
+    }
+    seen.add(id);
+    const aliases = [].concat(cfg.aliases || []).map(String).filter(Boolean);
+    out.push({
+      id,
+      name: String(cfg.name),
+      aliases,
+      address: cfg.address || null,
+      lat: num(cfg.lat),
+      lng: num(cfg.lng),
+      capacity: num(cfg.capacity),
+      accessibility: cfg.accessibility || null,
+      keys: [...new Set([cfg.name, ...aliases].map(normText).filter(Boolean))],
+    });
+  }
+  return out;
+}
+
+/** loadVenues: registered venues (re-read when the file changes; [] without one) */
+export async function loadVenues() {
+  const file = configFile();
+  let stat = null;
+  try {
+    stat = await fs.stat(file);
+  } catch { /* no registry file */ }
+
+  const mtimeMs = stat ? stat.mtimeMs : 0;
+  if (cache.venues && cache.file === file && cache.mtimeMs === mtimeMs) return cache.venues;
+
+  let list = [];
+  if (stat) {
+    try {
+      const raw = JSON.parse(await fs.readFile(file, "utf8"));
+      list = Array.isArray(raw) ? raw : (raw?.venues || []);
+    } catch (e) {
+      console.warn("[venues] could not read", file, "-", e.message);
+    }
+  }
+  cache = { file, mtimeMs, venues: build(list) };
+  return cache.venues;
+}
+
+// Whole-word containment on normalized text
+function containsWords(hay, needle) {
+  return ` ${hay} `.includes(` ${needle} `);
+}
+
+function scoreKey(n, key) {
+  if (n === key) return 1;
+  if (containsWords(n, key) || containsWords(key, n)) return CONTAINS_SCORE;
+  return similarity(n, key);
+}
+
+/**
+ * matchVenue: best registered venue for a raw venue string.
+ * Tries the whole string and its first comma part ("Roundhouse, Chalk Farm Rd").
+ * Returns { venue, score } or null.
+ */
+export function matchVenue(raw, venues = []) {
+  const n = normText(raw);
+  if (!n || !venues.length) return null;
+  let memo = matchMemo.get(venues);
+  if (!memo) matchMemo.set(venues, (memo = new Map()));
+  if (memo.has(n)) return memo.get(n);
+
+  const head = normText(String(raw).split(",")[0]);
+  let best = null;
+  for (const venue of venues) {
+    for (const key of venue.keys) {
+      const score = Math.max(scoreKey(n, key), head && head !== n ? scoreKey(head, key) : 0);
+      if (score >= MATCH_MIN && (!best || score > best.score)) best = { venue, score };
+    }
+  }
+  memo.set(n, best);
+  return best;
+}
+
+/** venueIdFor: registered venue id, else an ad-hoc slug (null if no venue) */
+export function venueIdFor(raw, venues = []) {
+  return matchVenue(raw, venues)?.venue.id ?? venueSlug(raw);
+}
+
+/** resolveVenueId: venueIdFor against the current registry */
+export async function resolveVenueId(raw) {
+  return venueIdFor(raw, await loadVenues());
+}
+
+/** publicVenue: registry entry without matching internals */
+export function publicVenue(v) {
+  const { keys, ...rest } = v;
+  return rest;
+}
+
+/**
+ * linkVenues: events with `venue_id` set from their venue string; events
+ * without coordinates inherit lat/lng from a registered venue.
+ */
+export function linkVenues(events = [], venues = []) {
+  const byId = new Map(venues.map(v => [v.id, v]));
+  return events.map(e => {
+    const venue_id = venueIdFor(e.venue, venues);
+    const v = byId.get(venue_id);
+    const coords = !Number.isFinite(e.lat) && Number.isFinite(v?.lat) && Number.isFinite(v?.lng)
+      ? { lat: v.lat, lng: v.lng }
+      : null;
+    return e.venue_id === venue_id && !coords ? e : { ...e, venue_id, ...coords };
+  });
+}
+
+/**
+ * summarizeVenues: registered venues plus ad-hoc ones seen on events,
+ * each with `event_count` and the raw strings it was `seen_as`.
+ * Expects events already passed through linkVenues.
+ */
+export function summarizeVenues(events = [], venues = []) {
+  const byId = new Map(venues.map(v => [v.id, {
+    ...publicVenue(v), registered: true, event_count: 0, seen_as: [],
+  }]));
+  for (const e of events) {
+    if (!e.venue_id) continue;
+    let entry = byId.get(e.venue_id);
+    if (!entry) {
+      entry = {
+        id: e.venue_id, name: String(e.venue).trim(), aliases: [], address: null,
+        lat: null, lng: null, capacity: null, accessibility: null,
+        registered: false, event_count: 0, seen_as: [],
+      };
+      byId.set(e.venue_id, entry);
+    }
+    entry.event_count++;
+    const rawName = String(e.venue || "").trim();
+    if (rawName && !entry.seen_as.includes(rawName) && entry.seen_as.length < 10) entry.seen_as.push(rawName);
+  }
+  return [...byId.values()];
+}
@@ -2,6 +2,7 @@
 import { useEffect, useRef, useState } from "react";
 import { socket } from "./socket";
 import Chat from "./components/Chat.jsx";
+import { formatStart } from "./dates.js";
 
 const API = "http://localhost:3000";
 
@@ -118,15 +119,17 @@ export default function App() {
 
         <section style={{ marginTop: 24 }}>
           <h2>Events</h2>
+          <p><a href={`${API}/api/events.ics`}>Subscribe to the calendar feed</a></p>
           {!events.length ? (
             <p>Loading…</p>
           ) : (
             <ul>
               {events.map((ev) => (
                 <li key={ev.id} style={{ marginBottom: 8 }}>
-                  <strong>{ev.title}</strong> — {ev.start ? new Date(ev.start).toLocaleString() : "TBA"}
+                  <strong>{ev.title}</strong> — {formatStart(ev)}
                   {ev.venue ? ` @ ${ev.venue}` : ""}
                   {ev.url ? <> — <a href={ev.url} target="_blank" rel="noreferrer">Buy</a></> : null}
+                  {" — "}<a href={`${API}/api/events/${encodeURIComponent(ev.id)}.ics`}>Add to calendar</a>
                 </li>
               ))}
             </ul>
@@ -6,35 +6,58 @@ export default function Chat({ apiBase = "" }) {
   const [messages, setMessages] = useState([]); // {role:'user'|'assistant', text:string}
   const [results, setResults] = useState([]);   // normalized events (subset)
   const [loading, setLoading] = useState(false);
+  const [lookups, setLookups] = useState([]);   // tool calls in the current answer
+
+  // server-side chat session (history + last results), kept for the tab's lifetime
+  const sessionRef = useRef(sessionStorage.getItem("chatSessionId") || "");
+  function rememberSession(id) {
+    if (!id || id === sessionRef.current) return;
+    sessionRef.current = id;
+    sessionStorage.setItem("chatSessionId", id);
+  }
 
   // streaming buffer
   const [streamText, setStreamText] = useState("");
   const streamRef = useRef("");
   useEffect(() => { streamRef.current = streamText; }, [streamText]);
 
+  // "search_events" + { query: "jazz", dates: "this weekend" } → "Searched events: jazz, this weekend"
+  function describeLookup(name, args) {
+    const bits = args && typeof args === "object" ? Object.values(args).filter(v => v !== "" && v != null) : [];
+    const label = {
+      search_events: "Searched events",
+      get_event_details: "Looked up event",
+      list_venues: "Listed venues",
+    }[name] || name;
+    return bits.length ? `${label}: ${bits.join(", ")}` : label;
+  }
+
   async function fallbackAsk(q) {
     // Fallback for environments where EventSource isn’t available
     const r = await fetch(`${apiBase}/ai/ask`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ message: q }),
+      body: JSON.stringify({ message: q, session_id: sessionRef.current || undefined }),
     });
     if (!r.ok) throw new Error(`HTTP ${r.status}`);
     const data = await r.json();
+    rememberSession(data.session_id);
     setResults(data.hits || []);
-    setMessages(m => [...m, { role: "assistant", text: data.answer || "" }]);
+    setMessages(m => [...m, { role: "assistant", text: data.answer || "", lang: data.locale }]);
   }
 
   function startSSE(q) {
     let es;
     try {
-      es = new EventSource(`${apiBase}/ai/chat?message=${encodeURIComponent(q)}`);
+      const sid = sessionRef.current ? `&session_id=${encodeURIComponent(sessionRef.current)}` : "";
+      es = new EventSource(`${apiBase}/ai/chat?message=${encodeURIComponent(q)}${sid}`);
     } catch {
       return fallbackAsk(q);
     }
 
     setStreamText("");
     setResults([]);
+    setLookups([]);
     setLoading(true);
 
     es.onmessage = (ev) => {
@@ -44,16 +67,41 @@ export default function Chat({ apiBase = "" }) {
           setStreamText(prev => prev + (data.delta || ""));
         } else if (data.type === "hits") {
           setResults(Array.isArray(data.hits) ? data.hits : []);
+        } else if (data.type === "tool_call") {
+          setLookups(l => [...l, { id: data.id, text: describeLookup(data.name, data.args) }]);
+        } else if (data.type === "tool_result") {
+          const note = data.ok ? (data.count != null ? ` (${data.count})` : "") : " (failed)";
+          setLookups(l => l.map(x => (x.id === data.id ? { ...x, text: x.text + note } : x)));
+        } else if ((data.type === "verification" || data.type === "fallback") && data.text) {
+          // the server corrected the answer against the listed events, or
+          // replaced it after the model failed
+          setStreamText(data.text);
         }
       } catch {
         /* ignore malformed frames */
       }
     };
 
-    es.addEventListener("done", () => {
+    es.addEventListener("hello", (ev) => {
+      try {
+        rememberSession(JSON.parse(ev.data).session_id);
+      } catch {
+        /* older servers send no session */
+      }
+    });
+
+    es.addEventListener("done", (ev) => {
       es.close();
-      const final = streamRef.current || "";
-      if (final) setMessages(m => [...m, { role: "assistant", text: final }]);
+      let final = streamRef.current || "";
+      let lang;
+      try {
+        const data = JSON.parse(ev.data);
+        final = data.text || final; // includes any guard rewrite
+        lang = data.locale; // the language the server answered in
+      } catch {
+        /* keep the streamed text */
+      }
+      if (final) setMessages(m => [...m, { role: "assistant", text: final, lang }]);
       setStreamText("");
       setLoading(false);
     });
@@ -77,6 +125,16 @@ export default function Chat({ apiBase = "" }) {
     startSSE(q);
   }
 
+  function newChat() {
+    if (loading) return;
+    const id = sessionRef.current;
+    sessionRef.current = "";
+    sessionStorage.removeItem("chatSessionId");
+    if (id) fetch(`${apiBase}/ai/sessions/${encodeURIComponent(id)}`, { method: "DELETE" }).catch(() => {});
+    setMessages([]);
+    setResults([]);
+  }
+
   async function showDetails(id) {
     try {
       const r = await fetch(`${apiBase}/api/events/${id}`);
@@ -111,7 +169,12 @@ export default function Chat({ apiBase = "" }) {
           {messages.map((m, i) => (
             <div key={i} style={{ whiteSpace: "pre-wrap", margin: "6px 0" }}>
               <strong>{m.role === "user" ? "You" : "Assistant"}: </strong>
-              <span dangerouslySetInnerHTML={{ __html: m.text }} />
+              <span lang={m.lang} dangerouslySetInnerHTML={{ __html: m.text }} />
+            </div>
+          ))}
+          {loading && lookups.map((l) => (
+            <div key={l.id} style={{ margin: "4px 0", fontSize: 13, color: "#777" }}>
+              ↳ {l.text}
             </div>
           ))}
           {streamText && (
@@ -134,6 +197,9 @@ export default function Chat({ apiBase = "" }) {
           <button type="submit" disabled={loading} style={{ padding: "10px 16px" }}>
             {loading ? "Streaming…" : "Send"}
           </button>
+          <button type="button" onClick={newChat} disabled={loading} style={{ padding: "10px 16px" }}>
+            New chat
+          </button>
         </form>
 
         {!!results.length && (
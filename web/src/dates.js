@@ -0,0 +1,14 @@
+// web/src/dates.js
+
+// Server sends a UTC instant, or a bare YYYY-MM-DD when only the day is known.
+// A bare day is a calendar date, not UTC midnight: formatted in UTC so zones
+// west of it don't show the day before.
+export function formatStart(ev, fallback = "TBA") {
+  const value = ev.start || ev.date || "";
+  const d = new Date(value);
+  if (!value || Number.isNaN(d.getTime())) return fallback;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return d.toLocaleDateString(undefined, { timeZone: "UTC" });
+  return ev.time_known === false
+    ? d.toLocaleDateString(undefined, { timeZone: ev.tz || undefined })
+    : d.toLocaleString(undefined, { timeZone: ev.tz || undefined });
+}
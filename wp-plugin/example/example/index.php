@@ -2,7 +2,7 @@
 /*
 Plugin Name: Example (Events API)
 Description: Event CPT + REST + single webhook AFTER post+meta save (full payload, de-duplicated).
-Version: 1.6.0
+Version: 1.8.0
 Author: You
 */
 
@@ -25,6 +25,8 @@ add_action('init', function () {
     'show_in_rest' => true,
     'menu_icon' => 'dashicons-calendar-alt',
     'supports' => ['title','editor','excerpt','thumbnail'],
+    // Categories/tags feed the app's category ranking (server/lib/categories.js)
+    'taxonomies' => ['category','post_tag'],
   ]);
 
   register_post_meta('event','start',[
@@ -36,14 +38,27 @@ add_action('init', function () {
   register_post_meta('event','ticket_url',[
     'type'=>'string','single'=>true,'show_in_rest'=>true,'sanitize_callback'=>'esc_url_raw'
   ]);
+  // Repeating events: RRULE (e.g. FREQ=WEEKLY;BYDAY=FR), extra dates, skipped dates
+  register_post_meta('event','rrule',[
+    'type'=>'string','single'=>true,'show_in_rest'=>true,'sanitize_callback'=>'sanitize_text_field'
+  ]);
+  register_post_meta('event','rdates',[
+    'type'=>'string','single'=>true,'show_in_rest'=>true,'sanitize_callback'=>'sanitize_textarea_field'
+  ]);
+  register_post_meta('event','exdates',[
+    'type'=>'string','single'=>true,'show_in_rest'=>true,'sanitize_callback'=>'sanitize_textarea_field'
+  ]);
 });
 
-/** 2) Meta box (lets editors enter start/venue/ticket_url) */
+/** 2) Meta box (lets editors enter start/venue/ticket_url and repeat dates) */
 add_action('add_meta_boxes', function () {
   add_meta_box('event_meta','Event details', function($post){
     $start=get_post_meta($post->ID,'start',true);
     $venue=get_post_meta($post->ID,'venue',true);
     $turl =get_post_meta($post->ID,'ticket_url',true);
+    $rrule=get_post_meta($post->ID,'rrule',true);
+    $rdates=get_post_meta($post->ID,'rdates',true);
+    $exdates=get_post_meta($post->ID,'exdates',true);
     wp_nonce_field('event_meta_save','event_meta_nonce'); ?>
     <p><label><strong>Start (ISO 8601)</strong><br/>
       <input type="text" name="event_start" value="<?php echo esc_attr($start); ?>" style="width:100%" placeholder="2025-09-01T19:30:00Z">
@@ -54,6 +69,15 @@ add_action('add_meta_boxes', function () {
     <p><label><strong>Ticket URL</strong><br/>
       <input type="url" name="event_ticket_url" value="<?php echo esc_attr($turl); ?>" style="width:100%" placeholder="https://tickets.example.com/xyz">
     </label></p>
+    <p><label><strong>Repeats (RRULE)</strong><br/>
+      <input type="text" name="event_rrule" value="<?php echo esc_attr($rrule); ?>" style="width:100%" placeholder="FREQ=WEEKLY;BYDAY=FR;UNTIL=20261231">
+    </label></p>
+    <p><label><strong>Extra dates</strong> (one per line)<br/>
+      <textarea name="event_rdates" rows="3" style="width:100%" placeholder="2025-09-05T19:30:00Z"><?php echo esc_textarea($rdates); ?></textarea>
+    </label></p>
+    <p><label><strong>Skip dates</strong> (one per line)<br/>
+      <textarea name="event_exdates" rows="3" style="width:100%" placeholder="2025-12-26"><?php echo esc_textarea($exdates); ?></textarea>
+    </label></p>
   <?php }, 'event','side','default');
 });
 
@@ -73,10 +97,16 @@ add_action('save_post_event', function($post_id, $post, $update){
     }
     $venue = isset($_POST['event_venue']) ? sanitize_text_field($_POST['event_venue']) : '';
     $turl  = isset($_POST['event_ticket_url']) ? esc_url_raw($_POST['event_ticket_url']) : '';
+    $rrule = isset($_POST['event_rrule']) ? strtoupper(sanitize_text_field($_POST['event_rrule'])) : '';
+    $rdates  = isset($_POST['event_rdates']) ? sanitize_textarea_field($_POST['event_rdates']) : '';
+    $exdates = isset($_POST['event_exdates']) ? sanitize_textarea_field($_POST['event_exdates']) : '';
 
     update_post_meta($post_id,'start',$start);
     update_post_meta($post_id,'venue',$venue);
     update_post_meta($post_id,'ticket_url',$turl);
+    update_post_meta($post_id,'rrule',$rrule);
+    update_post_meta($post_id,'rdates',$rdates);
+    update_post_meta($post_id,'exdates',$exdates);
   }
 }, 10, 3);
 
@@ -89,11 +119,15 @@ function example_events_build_payload($post_id, $action = 'updated', $source = '
   $start = get_post_meta($post_id, 'start', true);
   $venue = get_post_meta($post_id, 'venue', true);
   $turl  = get_post_meta($post_id, 'ticket_url', true);
+  $rrule   = get_post_meta($post_id, 'rrule', true);
+  $rdates  = get_post_meta($post_id, 'rdates', true);
+  $exdates = get_post_meta($post_id, 'exdates', true);
   $mod   = $post->post_modified_gmt ?: $post->post_date_gmt;
   $status = $post->post_status;
 
   $fingerprint = md5(implode('|', [
-    (int)$post_id, (string)$title, (string)$start, (string)$venue, (string)$turl, (string)$mod, (string)$status
+    (int)$post_id, (string)$title, (string)$start, (string)$venue, (string)$turl, (string)$mod, (string)$status,
+    (string)$rrule, (string)$rdates, (string)$exdates
   ]));
 
   return [
@@ -102,6 +136,9 @@ function example_events_build_payload($post_id, $action = 'updated', $source = '
     'start'        => (string)$start,
     'venue'        => (string)$venue,
     'url'          => (string)$turl,
+    'rrule'        => (string)$rrule,
+    'rdates'       => (string)$rdates,
+    'exdates'      => (string)$exdates,
     'status'       => (string)$status,
     'modified_gmt' => (string)$mod,
     'action'       => (string)$action,
@@ -110,6 +147,19 @@ function example_events_build_payload($post_id, $action = 'updated', $source = '
   ];
 }
 
+/** Utility: term names on an event, optionally limited to one taxonomy */
+function example_events_term_names($post_id, $taxonomy = null) {
+  $names = [];
+  foreach (get_object_taxonomies('event') as $tax) {
+    if ($taxonomy && $tax !== $taxonomy) continue;
+    if ($tax === 'post_tag' && !$taxonomy) continue; // tags are listed separately
+    $terms = get_the_terms($post_id, $tax);
+    if (!is_array($terms)) continue;
+    foreach ($terms as $t) if ($t->slug !== 'uncategorized') $names[] = $t->name;
+  }
+  return array_values(array_unique($names));
+}
+
 /** Utility: send webhook once per fingerprint (2s lock) */
 function example_events_send_once($payload) {
   if (!$payload) return;
@@ -156,14 +206,17 @@ add_action('wp_after_insert_post', function($post_id, $post, $update, $post_befo
   example_events_send_once($payload);
 }, 20, 4);
 
-/** 5) Public REST endpoint for apps */
+/** 5) Public REST endpoint for apps (paged: ?page=N&per_page=M, max 100; X-WP-Total/X-WP-TotalPages headers) */
 add_action('rest_api_init', function () {
   register_rest_route('example/v1','/events',[
     'methods'=>'GET','permission_callback'=>'__return_true',
     'callback'=>function(\WP_REST_Request $req){
+      $per_page = max(1, min(100, (int)($req->get_param('per_page') ?: 50)));
+      $page     = max(1, (int)($req->get_param('page') ?: 1));
       $q = new WP_Query([
         'post_type'=>'event','post_status'=>'publish',
-        'posts_per_page'=>50,'orderby'=>'meta_value','meta_key'=>'start','order'=>'ASC',
+        'posts_per_page'=>$per_page,'paged'=>$page,
+        'orderby'=>'meta_value','meta_key'=>'start','order'=>'ASC',
       ]);
       $out = [];
       while ($q->have_posts()){ $q->the_post(); $id=get_the_ID();
@@ -172,10 +225,19 @@ add_action('rest_api_init', function () {
           'start'=>get_post_meta($id,'start',true),
           'venue'=>get_post_meta($id,'venue',true),
           'url'=>get_post_meta($id,'ticket_url',true),
+          'rrule'=>get_post_meta($id,'rrule',true),
+          'rdates'=>get_post_meta($id,'rdates',true),
+          'exdates'=>get_post_meta($id,'exdates',true),
+          'categories'=>example_events_term_names($id),
+          'tags'=>example_events_term_names($id,'post_tag'),
+          'modified_gmt'=>get_post_modified_time('Y-m-d H:i:s', true, $id),
         ];
       }
       wp_reset_postdata();
-      return rest_ensure_response($out);
+      $resp = rest_ensure_response($out);
+      $resp->header('X-WP-Total', (int)$q->found_posts);
+      $resp->header('X-WP-TotalPages', (int)$q->max_num_pages);
+      return $resp;
     }
   ]);
 });